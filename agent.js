@@ -1,16 +1,25 @@
-import { GoogleGenAI } from "@google/genai";
 import { config } from 'dotenv';
 import { Memory } from './memory.js';
+import { LongTermMemory, InMemoryLongTermStore, MongoLongTermStore } from './longTermMemory.js';
+import { createProvider, toEmbeddingModel } from './providers/index.js';
+import { ToolRegistry } from './tools/registry.js';
+import { assembleContext, estimateTokens, estimateMessageTokens, estimatePartTokens, getContextWindow } from './contextWindow.js';
+import { AttachmentStore, normalizeInput } from './attachments.js';
+import { validateSchema } from './jsonSchema.js';
+import { buildStructuredPrompt, buildRetryPrompt, parseJsonReply } from './structuredOutput.js';
+import { isRetryableError, withRetry } from './retry.js';
+import { loadPricing, getModelPricing, normalizeUsage, calculateCost } from './pricing.js';
 import mongoose from 'mongoose';
 
 config();
 
 class Agent {
   constructor(sessionId, options = {}) {
-    const apiKey = process.env.GOOGLE_API_KEY;
-    if (!apiKey) {
-      throw new Error("GOOGLE_API_KEY environment variable not set.");
-    }
+    // LLM provider: 'gemini' (default), 'openai', 'fake' or a provider instance
+    this.provider = createProvider(
+      options.provider || process.env.LLM_PROVIDER || 'gemini',
+      options.providerOptions
+    );
 
     // MongoDB configuration
     this.useMongoDb = options.useMongoDb !== undefined ? options.useMongoDb : false;
@@ -21,12 +30,11 @@ class Agent {
       this._connectToMongoDB();
     }
 
-    this.genAI = new GoogleGenAI({ apiKey });
     this.sessionId = sessionId || `session_${Date.now()}`;
 
     // Model configuration with defaults
     this.modelConfig = {
-      model: options.model || "gemini-1.5-flash",
+      model: options.model || this.provider.defaultModel,
       temperature: options.temperature !== undefined ? options.temperature : 0.7,
       topP: options.topP !== undefined ? options.topP : 0.95,
       topK: options.topK !== undefined ? options.topK : 40,
@@ -37,19 +45,297 @@ class Agent {
     // Memory configuration
     this.memory = new Memory({
       sessionId: this.sessionId,
+      // New sessions belong to the agent's user
+      userId: options.userId,
       maxMessageCount: options.maxMessageCount || 200,
-      useMongoDb: this.useMongoDb
+      useMongoDb: this.useMongoDb,
+      // Conversation storage: 'mongodb', 'file', 'sqlite' or an adapter instance
+      storage: options.storage || (this.useMongoDb ? 'mongodb' : process.env.MEMORY_STORAGE),
+      storageOptions: options.storageOptions,
+      // Local log of writes storage hasn't applied yet: a log instance, false, or options for the default one
+      writeAheadLog: options.writeAheadLog,
+      writeAheadLogOptions: options.writeAheadLogOptions,
+      embeddingModel: toEmbeddingModel(this.provider),
+      summarize: options.summarize,
+      summarizeAfter: options.summarizeAfter,
+      keepRecentMessages: options.keepRecentMessages,
+      summarizer: (params) => this._summarizeMessages(params)
     });
 
-    // Initialize token tracking
+    // Token and cost totals for this agent, from the usage metadata of its replies,
+    // summaries and memory extraction; embedding calls aren't counted (see pricing.js)
     this.tokenStats = {
       totalInput: 0,
+      totalCached: 0,
       totalOutput: 0,
-      currentSession: 0
+      currentSession: 0,
+      cost: 0
+    };
+
+    // Prices per model: a table in the config/pricing.json format (see pricing.js),
+    // or the file PRICING_CONFIG / config/pricing.json
+    this.pricing = options.pricing || loadPricing();
+
+    // Spend and token limits (a QuotaManager, see quota.js), checked before each
+    // reply; usage is counted against this session, the user and the global scope
+    this.quota = options.quota || null;
+
+    // Context budget: the model's window, capped to keep long sessions affordable
+    this.contextTokenBudget = Math.min(
+      options.contextWindow || getContextWindow(this.modelConfig.model),
+      options.maxContextTokens || 32768
+    );
+    // Share of the history budget kept for the most recent turns
+    this.recentContextRatio = options.recentContextRatio !== undefined ? options.recentContextRatio : 0.6;
+
+    // Content of images and files attached to user messages (messages keep references)
+    this.attachments = options.attachmentStore || new AttachmentStore(options.attachmentOptions);
+
+    // Tools the model can call, and how many call/response rounds a turn may take
+    this.tools = new ToolRegistry(options.tools || []);
+    this.maxToolIterations = options.maxToolIterations || 5;
+
+    // Time limit in ms for a reply, from the model request to the last chunk (0: none).
+    // A single request can override it with options.timeout.
+    this.requestTimeout = options.requestTimeout !== undefined
+      ? options.requestTimeout
+      : Number(process.env.REQUEST_TIMEOUT_MS) || 0;
+
+    // Retries for rate limits and server errors: { maxRetries, baseDelay, maxDelay } (see retry.js)
+    this.retryOptions = { ...options.retry };
+    // Models tried in order when the primary model keeps failing (e.g. ['gemini-1.5-flash']),
+    // from the option or a comma-separated FALLBACK_MODELS
+    this.fallbackModels = options.fallbackModels
+      || (process.env.FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+
+    // Long-term memory about the user, shared across their sessions.
+    // Pass a LongTermMemory instance, or true to create one on this agent's storage.
+    this.userId = options.userId || null;
+    this.longTermMemory = options.longTermMemory === true
+      ? new LongTermMemory({
+        store: this.useMongoDb ? new MongoLongTermStore() : new InMemoryLongTermStore(),
+        embeddingModel: toEmbeddingModel(this.provider)
+      })
+      : options.longTermMemory || null;
+    this.longTermMemoryCount = options.longTermMemoryCount || 5;
+    // Extract durable facts from each exchange into long-term memory
+    this.extractMemories = options.extractMemories || false;
+
+    if (this.longTermMemory && this.userId) {
+      this.tools.register(this._createSaveMemoryTool());
+    }
+  }
+
+  // Tool letting the model store a fact about the user explicitly
+  _createSaveMemoryTool() {
+    return {
+      name: 'save_memory',
+      description: 'Saves a lasting fact about the user (preferences, personal details, ongoing projects) so it can be recalled in future conversations.',
+      parameters: {
+        type: 'object',
+        properties: {
+          fact: {
+            type: 'string',
+            description: 'The fact to remember, written as a short standalone sentence'
+          }
+        },
+        required: ['fact']
+      },
+      execute: async ({ fact }) => {
+        const { created } = await this.remember(fact);
+        return { saved: created, duplicate: !created };
+      }
+    };
+  }
+
+  // Store a fact in the user's long-term memory
+  async remember(text, options = {}) {
+    if (!this.longTermMemory || !this.userId) {
+      throw new Error('Long-term memory requires the longTermMemory and userId options');
+    }
+    return this.longTermMemory.remember(this.userId, text, {
+      source: options.source || 'explicit',
+      sessionId: this.sessionId
+    });
+  }
+
+  // Long-term memories relevant to the input, from any of the user's sessions
+  async _recallMemories(input) {
+    if (!this.longTermMemory || !this.userId) return [];
+    try {
+      const results = await this.longTermMemory.recall(this.userId, input, this.longTermMemoryCount);
+      if (results.length > 0) {
+        console.log(`Recalled ${results.length} long-term memories`);
+      }
+      return results.map(result => result.entry);
+    } catch (error) {
+      console.error('Error recalling long-term memories:', error.message);
+      return [];
+    }
+  }
+
+  // Ask the model for durable facts about the user in one exchange and store them
+  async _extractMemories(input, reply) {
+    const prompt = [
+      `User: ${input}`,
+      `Assistant: ${reply}`,
+      'List the lasting facts about the user revealed in this exchange (preferences, personal details, goals, ongoing projects). ' +
+      'Ignore small talk and anything only relevant to this moment. ' +
+      'Reply with a JSON array of short standalone sentences, or [] if there are none.'
+    ].join('\n\n');
+
+    const text = await this._complete(prompt, {
+      temperature: 0,
+      maxOutputTokens: 512,
+      systemInstruction: 'You extract long-term memories about a user from conversations. Reply with JSON only.'
+    }, 'memory extraction');
+
+    let facts;
+    try {
+      facts = JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+    } catch (error) {
+      console.warn('Could not parse extracted memories:', error.message);
+      return [];
+    }
+    if (!Array.isArray(facts)) return [];
+
+    const stored = [];
+    for (const fact of facts) {
+      if (typeof fact !== 'string' || !fact.trim()) continue;
+      const { entry, created } = await this.remember(fact, { source: 'extracted' });
+      if (created) stored.push(entry);
+    }
+    if (stored.length > 0) {
+      console.log(`Extracted ${stored.length} new long-term memories`);
+    }
+    return stored;
+  }
+
+  // Register a tool ({ name, description, parameters, execute }) the model can call
+  registerTool(tool) {
+    this.tools.register(tool);
+    return this;
+  }
+
+  // Convert a stored memory message into Gemini-style content
+  async _messageToContent(msg) {
+    if (msg.role === 'tool_call') {
+      // Text the model wrote before its calls comes first, as it was produced
+      const parts = msg.precedingText ? [{ text: msg.precedingText }] : [];
+      return { role: 'model', parts: [...parts, { functionCall: msg.toolCall }] };
+    }
+    if (msg.role === 'tool_result') {
+      return { role: 'user', parts: [{ functionResponse: msg.toolResult }] };
+    }
+    return {
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: await this._messageParts(msg)
     };
+  }
 
-    // Initialize pricing based on model
-    this.pricing = this._getPricingForModel(this.modelConfig.model);
+  // Parts of a message: its text followed by its attachments
+  async _messageParts(msg) {
+    const parts = msg.text ? [{ text: msg.text }] : [];
+    parts.push(...await this.attachments.toParts(msg.attachments));
+    return parts.length > 0 ? parts : [{ text: '' }];
+  }
+
+  // Condense a span of messages (plus the previous summary) into a new rolling summary
+  async _summarizeMessages({ messages, previousSummary }) {
+    const transcript = messages.map(msg => {
+      const attached = (msg.attachments || []).map(attachment => ` [attached ${attachment.name}]`).join('');
+      return `${msg.role}: ${msg.text}${attached}`;
+    }).join('\n');
+    const prompt = [
+      previousSummary ? `Summary of the conversation so far:\n${previousSummary}` : '',
+      `New conversation messages:\n${transcript}`,
+      'Write an updated summary of the whole conversation. Keep every fact, name, number, decision and open question the user may refer to later. Be concise.'
+    ].filter(Boolean).join('\n\n');
+
+    return this._complete(prompt, {
+      temperature: 0.2,
+      maxOutputTokens: 1024,
+      systemInstruction: 'You summarize conversations for an assistant\'s long-term context.'
+    }, 'summarization');
+  }
+
+  // Send a one-off prompt without history and collect the reply text. Its usage
+  // counts toward the token and cost totals and the quotas, like a reply's.
+  async _complete(message, config, purpose) {
+    const { result: response, model } = await this._callModel(candidate => this.provider.streamChat({
+      model: candidate,
+      history: [],
+      message,
+      config
+    }));
+
+    const request = { model, history: [], message, text: '', usageMetadata: null };
+    for await (const chunk of response) {
+      if (chunk.text) request.text += chunk.text;
+      if (chunk.usageMetadata) request.usageMetadata = chunk.usageMetadata;
+    }
+    await this._recordUsage(this._turnUsage([request], config.systemInstruction), purpose);
+    return request.text;
+  }
+
+  // System instruction for this turn, with recalled long-term memories and the
+  // rolling summary of older turns injected ahead of the history
+  _buildSystemInstruction(memories = []) {
+    let instruction = this.modelConfig.systemInstruction;
+    if (memories.length > 0) {
+      instruction += `\n\nWhat you remember about the user from previous conversations:\n${memories.map(memory => `- ${memory.text}`).join('\n')}`;
+    }
+    const summary = this.memory.getSummary();
+    if (summary) {
+      instruction += `\n\nSummary of the earlier conversation:\n${summary.text}`;
+    }
+    return instruction;
+  }
+
+  // Select the history for this turn under the token budget: the context budget
+  // minus the system instruction (with summary), the new input (with its attachments)
+  // and the output reservation
+  async _assembleContext(userMessage, systemInstruction) {
+    const input = userMessage.text;
+    // Messages covered by the rolling summary are represented by the summary instead,
+    // and the current user message is sent separately
+    const previousMessages = this.memory.getUnsummarizedMessages()
+      .filter(msg => msg.id !== userMessage.id);
+    if (previousMessages.length === 0) return [];
+
+    const budget = this.contextTokenBudget
+      - estimateTokens(systemInstruction)
+      - estimateMessageTokens(userMessage)
+      - this.modelConfig.maxOutputTokens;
+    if (budget <= 0) {
+      console.warn(`No room for conversation history within the ${this.contextTokenBudget} token budget`);
+      return [];
+    }
+
+    // Relevance ranking costs embedding calls, so skip it when everything fits
+    const totalTokens = previousMessages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+    const rankedMessages = totalTokens > budget ? await this.memory.getRelevantContext(input) : [];
+
+    const context = assembleContext({
+      messages: previousMessages,
+      rankedMessages,
+      budget,
+      recentRatio: this.recentContextRatio
+    });
+    console.log(`Context: ${context.recentTurns} recent + ${context.relevantTurns} relevant turns (~${context.tokens}/${budget} tokens, ${context.droppedTurns} turns left out)`);
+
+    return context.messages;
+  }
+
+  // Append content to a history, merging consecutive parts from the same role
+  _appendContent(history, content) {
+    const last = history[history.length - 1];
+    if (last && last.role === content.role) {
+      history[history.length - 1] = { role: last.role, parts: [...last.parts, ...content.parts] };
+    } else {
+      history.push(content);
+    }
+    return history;
   }
 
   // Private method to connect to MongoDB
@@ -97,6 +383,9 @@ class Agent {
 
   // Method to close MongoDB connection
   async closeMongoConnection() {
+    // Write out queued messages before the connection goes away
+    await this.memory.flushPendingOperations();
+
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
       console.log('MongoDB connection closed');
@@ -125,69 +414,245 @@ class Agent {
     return false;
   }
 
+  // Count the tokens of a text, or of a list of parts (including images and files)
   async getTokenCount(text) {
     try {
-      // Ensure text is a string
-      const textToCount = typeof text === 'string' ? text : String(text);
-      
-      const result = await this.genAI.models.countTokens({
-        model: "gemini-1.5-flash",
+      const parts = Array.isArray(text)
+        ? text
+        : [{ text: typeof text === 'string' ? text : String(text) }];
+
+      return await withRetry(() => this.provider.countTokens({
+        model: this.modelConfig.model,
         contents: [{ 
           role: 'user', 
-          parts: [{ text: textToCount }] 
+          parts
         }]
-      });
-      return result.totalTokens;
+      }), this.retryOptions);
     } catch (error) {
       console.error("Error counting tokens:", error);
       return null;
     }
   }
-  async analyzeStream(input) {
-    try {
-      // Try to count tokens, but continue even if it fails
-      const inputTokens = await this.getTokenCount(input);
-      if (inputTokens) {
-        this.tokenStats.totalInput += inputTokens;
-        this.tokenStats.currentSession += inputTokens;
-        console.log(`User input: ${inputTokens} tokens`);
-      }
-    } catch (error) {
-      console.log("Token counting skipped for user input");
+  // Answer a user input: a string, { text, attachments } or a list of parts
+  // (see attachments.js). Attachments are stored and referenced from the message.
+  // options.config adds generation config for this request (e.g. responseMimeType).
+  // options.signal (an AbortSignal) cancels the reply and options.timeout limits it;
+  // either way the partial reply is saved flagged as interrupted.
+  async analyzeStream(input, options = {}) {
+    const { text, attachments } = normalizeInput(input);
+    if (!text.trim() && attachments.length === 0) {
+      throw this._httpError(400, 'A message needs text or an attachment');
     }
+    await this._checkQuota();
+    const references = await Promise.all(attachments.map(attachment => this.attachments.save(attachment)));
 
     // Add user message to memory
-    await this.memory.addMessage({ role: 'user', text: input }, input);
+    const userMessage = await this.memory.addMessage({
+      role: 'user',
+      text,
+      ...(references.length > 0 && { attachments: references })
+    }, text);
+
+    // A new conversation is titled after its first message
+    if (!this.memory.title && text.trim()) {
+      await this.memory.setTitle(this._titleFrom(text));
+    }
 
-    // Get conversation history from memory
-    const memoryContext = await this.memory.getRelevantContext(input);
-    let relevantContextTokens = 0;
+    return this._streamResponse(userMessage, options);
+  }
 
-    // Try to count tokens in memory context if available
-    if (memoryContext && memoryContext.length > 0) {
+  // Session title from a message: its first line, shortened to 60 characters
+  _titleFrom(text) {
+    const line = text.trim().split('\n')[0].replace(/\s+/g, ' ');
+    return line.length > 60 ? `${line.slice(0, 59).trimEnd()}…` : line;
+  }
+
+  // Continue another conversation; its history is loaded from storage (see Memory.setSessionId)
+  async setSessionId(sessionId) {
+    this.sessionId = sessionId;
+    await this.memory.setSessionId(sessionId);
+  }
+
+  // Ask for JSON conforming to a JSON schema and return the parsed value.
+  // A reply that doesn't parse or validate is answered with the problems and
+  // retried (up to options.maxAttempts, default 3); once a reply is valid, the
+  // failed attempts are removed from the conversation.
+  async analyzeStructured(input, schema, options = {}) {
+    const maxAttempts = options.maxAttempts || 3;
+    const { text, attachments } = normalizeInput(input);
+    // JSON mode can't be combined with function calling on Gemini, so it is only requested without tools
+    const config = this.tools.getFunctionDeclarations().length === 0 ? { responseMimeType: 'application/json' } : {};
+
+    let prompt = { text: buildStructuredPrompt(text, schema), attachments };
+    let problems = [];
+    let reply = '';
+    const failedAttempts = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const before = new Set(this.memory.getAllMessages().map(msg => msg.id));
+      const responseStream = await this.analyzeStream(prompt, { config, signal: options.signal, timeout: options.timeout });
+      reply = '';
+      for await (const chunk of responseStream) {
+        if (chunk.text) reply += chunk.text;
+      }
+      // Messages of this attempt: its prompt (the original request on the first attempt) and the reply
+      const added = this.memory.getAllMessages().filter(msg => !before.has(msg.id));
+
+      let value;
       try {
-        // Format the context for token counting if it's an array of messages
-        let contextText = memoryContext;
-        if (Array.isArray(memoryContext)) {
-          contextText = memoryContext.map(msg => `${msg.role}: ${msg.text}`).join('\n');
-        }
-        
-        relevantContextTokens = await this.getTokenCount(contextText);
-        if (relevantContextTokens) {
-          this.tokenStats.totalInput += relevantContextTokens;
-          this.tokenStats.totalHistory = relevantContextTokens;
-          this.tokenStats.currentSession += relevantContextTokens;
-          console.log(`Memory context: ${relevantContextTokens} tokens (included in input)`);
-        } else {
-          console.log(`Memory context: token count unavailable`);
-        }
+        value = parseJsonReply(reply);
+        problems = validateSchema(value, schema);
       } catch (error) {
-        console.log("Token counting skipped for memory context:", error.message);
+        problems = [{ path: '$', message: error.message }];
       }
-    } else {
-      console.log("No relevant conversation context retrieved");
+
+      if (problems.length === 0) {
+        // Keep the original request and the valid reply
+        if (attempt > 1) failedAttempts.push(added[0]);
+        await this._deleteMessages(failedAttempts);
+        return value;
+      }
+
+      console.warn(`Structured output attempt ${attempt}/${maxAttempts} failed: ${problems.map(problem => `${problem.path} ${problem.message}`).join('; ')}`);
+      failedAttempts.push(...(attempt === 1 ? added.slice(1) : added));
+      prompt = buildRetryPrompt(problems);
+    }
+
+    const error = this._httpError(422, `No reply conforming to the schema after ${maxAttempts} attempts`);
+    error.problems = problems;
+    error.output = reply;
+    throw error;
+  }
+
+  // Delete messages from memory, skipping ones already gone
+  async _deleteMessages(messages) {
+    for (const msg of messages) {
+      if (!msg || !this.memory.getMessage(msg.id)) continue;
+      try {
+        await this.memory.deleteMessage(msg.id);
+      } catch (error) {
+        console.warn(`Could not remove message ${msg.id}:`, error.message);
+      }
+    }
+  }
+
+  // Edit a past user message. By default the turns after it are dropped and
+  // the reply is regenerated; with fork: true the edited message starts a new
+  // branch instead and the original stays on its branch.
+  // Returns the response stream (or null with regenerate: false)
+  async editMessage(messageId, text, options = {}) {
+    const message = this._getMessageOrThrow(messageId);
+    if (message.role !== 'user') {
+      throw this._httpError(400, 'Only user messages can be edited');
+    }
+    if (options.regenerate !== false) await this._checkQuota();
+
+    if (options.fork) {
+      await this.memory.fork(message.parentId, { name: options.branchName });
+      const userMessage = await this.memory.addMessage({
+        role: 'user',
+        text,
+        ...(message.attachments && { attachments: message.attachments })
+      }, text);
+      if (options.regenerate === false) return null;
+      return this._streamResponse(userMessage, options);
     }
 
+    if (options.regenerate !== false && !this.memory.getAllMessages().includes(message)) {
+      throw this._httpError(400, 'That message is not on the active branch; switch to its branch or edit with fork');
+    }
+    await this.memory.editMessage(messageId, text);
+    if (options.regenerate === false) return null;
+    return this.regenerate(messageId, { signal: options.signal, timeout: options.timeout });
+  }
+
+  // Delete a message (a tool call is deleted together with its result)
+  async deleteMessage(messageId) {
+    this._getMessageOrThrow(messageId);
+    return this.memory.deleteMessage(messageId);
+  }
+
+  // Regenerate the reply from a point in the conversation: the turn containing
+  // the given message (default: the latest turn) is answered again and later turns
+  // are dropped. With fork: true ("try a different answer") the new reply goes on
+  // a new branch and the existing one is kept; the message can then be on any branch.
+  // options.signal and options.timeout work as for analyzeStream.
+  async regenerate(messageId, options = {}) {
+    await this._checkQuota();
+    const messages = messageId
+      ? this.memory.getPathTo(this._getMessageOrThrow(messageId).id)
+      : this.memory.getAllMessages();
+    if (messageId && !options.fork && !this.memory.getAllMessages().includes(messages[messages.length - 1])) {
+      throw this._httpError(400, 'That message is not on the active branch; switch to its branch or regenerate with fork');
+    }
+
+    // Back up to the user message that starts the turn
+    let index = messages.length - 1;
+    while (index >= 0 && messages[index].role !== 'user') {
+      index--;
+    }
+    if (index < 0) {
+      throw this._httpError(400, 'There is no user message to regenerate a reply for');
+    }
+
+    const userMessage = messages[index];
+    if (options.fork) {
+      const branch = await this.memory.fork(userMessage.id, { name: options.branchName });
+      console.log(`Regenerating reply to message ${userMessage.id} on new branch ${branch.name}`);
+      return this._streamResponse(userMessage, options);
+    }
+
+    if (userMessage.summarized) {
+      throw this._httpError(400, 'That turn has been condensed into the conversation summary and can\'t be regenerated');
+    }
+
+    const removed = await this.memory.truncateAfter(userMessage.id);
+    console.log(`Regenerating reply to message ${userMessage.id} (dropped ${removed.length} later messages)`);
+    return this._streamResponse(userMessage, options);
+  }
+
+  // Start a new branch after a message (see Memory.fork)
+  async fork(messageId, options = {}) {
+    if (messageId) this._getMessageOrThrow(messageId);
+    return this.memory.fork(messageId || null, options);
+  }
+
+  // Continue the conversation on another branch
+  async switchBranch(branchId) {
+    if (!this.memory.branches.some(branch => branch.id === branchId)) {
+      throw this._httpError(404, `Branch "${branchId}" not found`);
+    }
+    return this.memory.switchBranch(branchId);
+  }
+
+  listBranches() {
+    return this.memory.listBranches();
+  }
+
+  _getMessageOrThrow(messageId) {
+    const message = this.memory.getMessage(messageId);
+    if (!message) {
+      throw this._httpError(404, `Message "${messageId}" not found`);
+    }
+    return message;
+  }
+
+  // Error carrying the HTTP status the server should answer with
+  _httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Stream the reply to a user message that is already in memory
+  async _streamResponse(userMessage, options = {}) {
+    const input = userMessage.text;
+    // Text-only messages are sent as a string, messages with attachments as parts
+    const message = userMessage.attachments?.length > 0 ? await this._messageParts(userMessage) : input;
+
+    // Recall long-term memories about the user relevant to this input
+    const memories = await this._recallMemories(input);
+
     // Create chat options using the model configuration
     const chatOptions = {
       model: this.modelConfig.model,
@@ -196,88 +661,169 @@ class Agent {
         topP: this.modelConfig.topP,
         topK: this.modelConfig.topK,
         maxOutputTokens: this.modelConfig.maxOutputTokens,
-        systemInstruction: this.modelConfig.systemInstruction // Move this inside config
+        systemInstruction: this._buildSystemInstruction(memories), // Move this inside config
+        ...options.config
       }
     };
 
-    // Build the chat history for the Gemini API
+    // Build the chat history for the Gemini API within the token budget
+    const contextMessages = await this._assembleContext(userMessage, chatOptions.config.systemInstruction);
     const chatHistory = [];
 
-    // Instead of adding context as a separate message, directly include previous messages
-    if (memoryContext && memoryContext.length > 0) {
-      console.log(`Including previous conversation context (${relevantContextTokens} tokens)`);
-      
-      // Get the actual message objects instead of a formatted string
-      const previousMessages = this.memory.getAllMessages();
-      
-      // Add each message to the chat history with proper roles
-      for (const msg of previousMessages) {
-        // Skip the current user message as it will be added separately
-        if (msg.role === 'user' && msg.text === input) continue;
-        
-        // Map memory roles to Gemini API roles
-        const role = msg.role === 'assistant' ? 'model' : 'user';
-        chatHistory.push({ 
-          role: role, 
-          parts: [{ text: msg.text }] 
-        });
+    if (contextMessages.length > 0) {
+      for (const msg of contextMessages) {
+        // Map memory roles (including tool calls and results) to Gemini API content
+        this._appendContent(chatHistory, await this._messageToContent(msg));
       }
-      
-      console.log(`Added ${chatHistory.length} previous messages to chat history`);
+      console.log(`Added ${contextMessages.length} previous messages to chat history`);
     } else {
       console.log("No previous conversation context available");
     }
 
     chatOptions.history = chatHistory;
+    chatOptions.tools = this.tools.getFunctionDeclarations();
 
-    // Create a chat session
-    const chat = this.genAI.chats.create(chatOptions);
-
-    // Send the message and get a streaming response
-    const response = await chat.sendMessageStream({
-      message: input
-    });
+    // Send the message through the provider and get a streaming response.
+    // The request's signal aborts it on cancellation or timeout.
+    // Rate limits and server errors are retried, then the fallback models are tried.
+    const request = this._requestSignal(options);
+    chatOptions.signal = request.signal;
+    let response;
+    let model;
+    try {
+      request.signal.throwIfAborted();
+      ({ result: response, model } = await this._callModel(candidate => this.provider.streamChat({
+        ...chatOptions,
+        model: candidate,
+        message
+      }), { signal: request.signal }));
+    } catch (error) {
+      request.dispose();
+      throw request.signal.aborted ? request.signal.reason : error;
+    }
 
-    // Collect the full response to save to memory
+    // Collect the full response to save to memory, and each model request of the
+    // turn (one per tool round) with its usage metadata
     let fullResponse = '';
+    const requests = [{ model, history: chatHistory, message, text: '', usageMetadata: null }];
     const self = this;
 
     const responseStream = {
       [Symbol.asyncIterator]: async function* () {
-        for await (const chunk of response) {
-          if (chunk.text) {
-            fullResponse += chunk.text;
-            yield chunk;
-          }
-        }
+        let currentResponse = response;
+        let currentMessage = message;
+        let history = chatHistory;
+        let completed = false;
+        let failed = false;
 
-        // Count tokens in the response
-        const responseTokens = await self.getTokenCount(fullResponse);
-        if (responseTokens) {
-          self.tokenStats.totalOutput += responseTokens;
-          self.tokenStats.currentSession += responseTokens;
-          console.log(`Assistant response: ${responseTokens} tokens`);
-        }
+        try {
+          for (let iteration = 0; ; iteration++) {
+            let turnText = '';
+            const functionCalls = [];
+
+            const currentRequest = requests[requests.length - 1];
 
-        // After collecting the full response, save it to memory
-        await self.memory.addMessage({ role: 'assistant', text: fullResponse }, input);
-        console.log(`Saved assistant response to memory (${fullResponse.length} chars)`);
-
-        // Calculate costs
-        const inputTokensInMillions = self.tokenStats.totalInput / 1000000;
-        const outputTokensInMillions = self.tokenStats.totalOutput / 1000000;
-
-        // Only calculate costs if we have valid token counts
-        if (self.tokenStats.totalInput > 0 && self.tokenStats.totalOutput > 0) {
-          const inputCost = inputTokensInMillions *
-            (self.tokenStats.totalInput <= 128000 ? self.pricing.input.small : self.pricing.input.standard);
-          const outputCost = outputTokensInMillions *
-            (self.tokenStats.totalOutput <= 128000 ? self.pricing.output.small : self.pricing.output.standard);
-          const totalCost = inputCost + outputCost;
-          self.pricing.totalCost = totalCost; // Store the calculated cost
-          console.log(`Calculated totalCost: $${totalCost.toFixed(10)}`);
-        } else {
-          console.log(`Cost calculation skipped due to missing token counts`);
+            for await (const chunk of currentResponse) {
+              request.signal.throwIfAborted();
+              // Usage metadata is cumulative within a response, so the latest counts
+              if (chunk.usageMetadata) {
+                currentRequest.usageMetadata = chunk.usageMetadata;
+              }
+              if (chunk.text) {
+                fullResponse += chunk.text;
+                turnText += chunk.text;
+                currentRequest.text += chunk.text;
+                yield { text: chunk.text };
+              }
+              if (chunk.functionCalls) {
+                functionCalls.push(...chunk.functionCalls);
+              }
+            }
+
+            // No tool calls means the model produced its final answer
+            if (functionCalls.length === 0) break;
+
+            if (iteration >= self.maxToolIterations) {
+              console.warn(`Stopping after ${self.maxToolIterations} tool iterations without a final answer`);
+              break;
+            }
+            request.signal.throwIfAborted();
+
+            // Record the model's calls, run them, then record the results
+            const calls = functionCalls.map((call, index) => ({
+              id: call.id || `call_${Date.now()}_${index}`,
+              name: call.name,
+              args: call.args || {}
+            }));
+
+            // Text streamed before the calls is kept with the first of them, so the
+            // history replays it ahead of the calls; the saved reply is the text after them
+            for (const [index, call] of calls.entries()) {
+              console.log(`Model requested tool: ${call.name}(${JSON.stringify(call.args)})`);
+              await self.memory.addMessage({
+                role: 'tool_call',
+                text: `${call.name}(${JSON.stringify(call.args)})`,
+                toolCall: call,
+                ...(index === 0 && turnText && { precedingText: turnText })
+              }, input);
+              yield { toolCall: call };
+            }
+            fullResponse = '';
+
+            const functionResponses = [];
+            for (const call of calls) {
+              const toolResponse = await self.tools.execute(call.name, call.args);
+              const toolResult = { id: call.id, name: call.name, response: toolResponse };
+              await self.memory.addMessage({
+                role: 'tool_result',
+                text: JSON.stringify(toolResponse),
+                toolResult
+              }, input);
+              functionResponses.push({ functionResponse: toolResult });
+              yield { toolResult };
+            }
+
+            // Continue the conversation with the function responses
+            history = [...history];
+            self._appendContent(history, {
+              role: 'user',
+              parts: typeof currentMessage === 'string' ? [{ text: currentMessage }] : currentMessage
+            });
+            self._appendContent(history, {
+              role: 'model',
+              parts: [
+                ...(turnText ? [{ text: turnText }] : []),
+                ...calls.map(call => ({ functionCall: call }))
+              ]
+            });
+            currentMessage = functionResponses;
+            // Continue on the model that answered so far, falling back further if it fails
+            ({ result: currentResponse, model } = await self._callModel(candidate => self.provider.streamChat({
+              ...chatOptions,
+              model: candidate,
+              history,
+              message: currentMessage
+            }), { models: self._modelChain(model), signal: request.signal }));
+            requests.push({ model, history, message: currentMessage, text: '', usageMetadata: null });
+          }
+          completed = true;
+        } catch (error) {
+          if (!request.signal.aborted) {
+            failed = true;
+            throw error;
+          }
+          throw request.signal.reason;
+        } finally {
+          request.dispose();
+          // Save the reply, or what arrived of it when the request was aborted
+          // or the caller stopped reading
+          if (!failed) {
+            const interruptReason = completed
+              ? null
+              : request.signal.aborted ? request.signal.reason.reason : 'cancelled';
+            const usage = self._turnUsage(requests, chatOptions.config.systemInstruction);
+            await self._saveReply(input, fullResponse, { model, usage, interruptReason });
+          }
         }
       }
     };
@@ -288,9 +834,160 @@ class Agent {
     throw error;
   }
 
+  // Save an assistant reply to memory, with the model that wrote it and the turn's
+  // usage, and add the usage to the token and cost totals. An interrupted reply
+  // (interruptReason 'cancelled' or 'timeout') keeps the text received so far.
+  async _saveReply(input, fullResponse, { model, usage, interruptReason = null } = {}) {
+    await this.memory.addMessage({
+      role: 'assistant',
+      text: fullResponse,
+      model,
+      usage,
+      ...(interruptReason && { interrupted: true, interruptReason })
+    }, input);
+    if (interruptReason) {
+      console.log(`Saved interrupted assistant response to memory (${interruptReason}, ${fullResponse.length} chars)`);
+    } else {
+      console.log(`Saved assistant response to memory (${fullResponse.length} chars)`);
+    }
+
+    await this._recordUsage(usage, 'reply');
+
+    // Extract long-term memories in the background so the stream can finish
+    if (!interruptReason && this.extractMemories && this.longTermMemory && this.userId) {
+      this._extractMemories(input, fullResponse).catch(error => {
+        console.error('Error extracting long-term memories:', error.message);
+      });
+    }
+  }
+
+  // Add the usage of model requests (a reply, summarization or memory extraction)
+  // to the token and cost totals and count it against the quotas
+  async _recordUsage(usage, purpose) {
+    this.tokenStats.totalInput += usage.promptTokens;
+    this.tokenStats.totalCached += usage.cachedTokens;
+    this.tokenStats.totalOutput += usage.outputTokens;
+    this.tokenStats.currentSession += usage.promptTokens + usage.outputTokens;
+    this.tokenStats.cost += usage.cost;
+    if (this.quota) {
+      await this.quota.record(this._quotaSubjects(), { tokens: usage.promptTokens + usage.outputTokens, cost: usage.cost })
+        .catch(error => console.error('Error recording quota usage:', error.message));
+    }
+    console.log(`Usage (${purpose}): ${usage.promptTokens} prompt (${usage.cachedTokens} cached) + ${usage.outputTokens} output tokens on ${usage.model}${usage.estimated ? ' (estimated)' : ''}, cost $${usage.cost.toFixed(10)}`);
+  }
+
+  // Usage of a turn: the sum over its model requests, each priced at the tier for
+  // its own prompt size. A request without usage metadata (e.g. aborted before the
+  // provider reported it) is estimated from its content.
+  // Returns { model, promptTokens, cachedTokens, outputTokens, cost, estimated? }
+  _turnUsage(requests, systemInstruction) {
+    const usage = { model: requests[requests.length - 1].model, promptTokens: 0, cachedTokens: 0, outputTokens: 0, cost: 0 };
+
+    for (const request of requests) {
+      let requestUsage;
+      if (request.usageMetadata) {
+        requestUsage = normalizeUsage(request.usageMetadata);
+      } else {
+        const contents = [...request.history, { parts: typeof request.message === 'string' ? [{ text: request.message }] : request.message }];
+        requestUsage = {
+          promptTokens: estimateTokens(systemInstruction)
+            + contents.flatMap(content => content.parts).reduce((sum, part) => sum + estimatePartTokens(part), 0),
+          cachedTokens: 0,
+          outputTokens: estimateTokens(request.text)
+        };
+        usage.estimated = true;
+      }
+
+      usage.promptTokens += requestUsage.promptTokens;
+      usage.cachedTokens += requestUsage.cachedTokens;
+      usage.outputTokens += requestUsage.outputTokens;
+      usage.cost += calculateCost(getModelPricing(this.pricing, request.model), requestUsage);
+    }
+    return usage;
+  }
+
+  // Who a request's usage counts against
+  _quotaSubjects() {
+    return { sessionId: this.sessionId, userId: this.userId };
+  }
+
+  // Throw a QuotaExceededError (429) when a limit of this session, its user or
+  // the global scope is used up
+  async _checkQuota() {
+    if (this.quota) await this.quota.check(this._quotaSubjects());
+  }
+
+  // Models to try for a request in order: the primary model and the fallback
+  // models, starting at the given one
+  _modelChain(from = this.modelConfig.model) {
+    const models = [...new Set([this.modelConfig.model, ...this.fallbackModels])];
+    return models.slice(Math.max(models.indexOf(from), 0));
+  }
+
+  // Run a model call (fn receives the model name) with retries for retryable
+  // errors, moving on to the next model once a model's retries are exhausted.
+  // Returns { result, model } with the model that succeeded.
+  async _callModel(fn, { models = this._modelChain(), signal } = {}) {
+    let lastError;
+    for (const [index, model] of models.entries()) {
+      try {
+        const result = await withRetry(() => fn(model), {
+          ...this.retryOptions,
+          signal,
+          onRetry: (error, retry, delay) => {
+            console.warn(`Model ${model} failed (${error.status || error.message}); retry ${retry} in ${Math.round(delay)}ms`);
+          }
+        });
+        return { result, model };
+      } catch (error) {
+        if (signal?.aborted || !isRetryableError(error)) throw error;
+        lastError = error;
+        if (index < models.length - 1) {
+          console.warn(`Model ${model} is unavailable (${error.status || error.message}); falling back to ${models[index + 1]}`);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  // Signal for one model request: aborts when the caller's options.signal does
+  // or when the timeout (options.timeout, default requestTimeout) runs out.
+  // The abort reason is an error with reason 'cancelled' (499) or 'timeout' (504).
+  // Call dispose() once the request is over to clear the timer.
+  _requestSignal(options = {}) {
+    const controller = new AbortController();
+    const timeout = options.timeout !== undefined ? options.timeout : this.requestTimeout;
+
+    const onAbort = () => controller.abort(this._abortError('cancelled', 499, 'Request was cancelled'));
+    if (options.signal?.aborted) {
+      onAbort();
+    } else {
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const timer = timeout > 0
+      ? setTimeout(() => controller.abort(this._abortError('timeout', 504, `No complete reply within ${timeout}ms`)), timeout)
+      : null;
+
+    return {
+      signal: controller.signal,
+      dispose: () => {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  _abortError(reason, status, message) {
+    const error = this._httpError(status, message);
+    error.name = 'AbortError';
+    error.reason = reason;
+    return error;
+  }
+
   // Method to get current token statistics
   getTokenStats() {
-    const formattedCost = this.pricing.totalCost.toLocaleString('en-US', {
+    const formattedCost = this.tokenStats.cost.toLocaleString('en-US', {
       style: 'currency',
       currency: 'USD',
       minimumFractionDigits: 10,
@@ -300,43 +997,9 @@ class Agent {
     return {
       ...this.tokenStats,
       total: this.tokenStats.totalInput + this.tokenStats.totalOutput,
-      cost: this.pricing.totalCost,
       formattedCost: formattedCost
     };
   }
-
-  // Helper method to get pricing based on model
-  _getPricingForModel(model) {
-    // Default to Gemini 1.5 Flash pricing
-    const pricingMap = {
-      "gemini-1.5-flash": {
-        input: {
-          small: 0.000075, // $0.075 per 1M tokens for up to 128k tokens
-          standard: 0.00015  // $0.15 per 1M tokens for over 128k tokens
-        },
-        output: {
-          small: 0.0003,    // $0.30 per 1M tokens for up to 128k tokens
-          standard: 0.0006   // $0.60 per 1M tokens for over 128k tokens
-        }
-      },
-      "gemini-1.5-pro": {
-        input: {
-          small: 0.00025,   // $0.25 per 1M tokens for up to 128k tokens
-          standard: 0.0005   // $0.50 per 1M tokens for over 128k tokens
-        },
-        output: {
-          small: 0.0025,    // $2.50 per 1M tokens for up to 128k tokens
-          standard: 0.005    // $5.00 per 1M tokens for over 128k tokens
-        }
-      }
-      // Add more models as needed
-    };
-
-    return {
-      ...pricingMap[model] || pricingMap["gemini-1.5-flash"],
-      totalCost: 0
-    };
-  }
 }
 
 async function runAgentStream(userInput, sessionId) {
@@ -0,0 +1,202 @@
+/**
+ * Agent Cache
+ *
+ * Keeps the agents of active users in memory and drops the others:
+ * - Agents idle for longer than idleTimeout are evicted by a periodic sweep
+ * - Beyond maxAgents, or once the sessions they hold exceed maxMemoryBytes
+ *   (estimated, see Memory.estimateSize), the least recently used idle agents go first
+ * - Agents serving a request (between acquire() and release()) are never evicted
+ * - Before an agent is dropped its memory saves what is still queued; an agent
+ *   whose operations couldn't be saved anywhere is kept until they are, and one
+ *   without storage is kept while it holds messages (it has nowhere to save them)
+ * - The next request for an evicted key creates the agent again, which loads
+ *   its session from storage
+ */
+
+import { EventEmitter } from 'events';
+
+const EVICTION_REASONS = ['idle', 'lru', 'memory'];
+
+/**
+ * Emits 'evict' with { key, reason, agent } once an evicted agent's memory is
+ * saved, reason being 'idle', 'lru' (too many agents) or 'memory' (too large).
+ */
+export class AgentCache extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.create - async (key, context) => agent, for keys not in the cache
+   * @param {number} options.maxAgents - Most agents kept (default: AGENT_CACHE_MAX_AGENTS or 100)
+   * @param {number} options.idleTimeout - Ms without requests before an agent is evicted (default: AGENT_IDLE_TIMEOUT_MS or 15 minutes)
+   * @param {number} options.maxMemoryBytes - Most bytes of sessions kept (default: AGENT_CACHE_MAX_BYTES or 256MB)
+   * @param {number} options.sweepInterval - Ms between idle sweeps (default: a quarter of idleTimeout, at most a minute)
+   */
+  constructor(options = {}) {
+    super();
+    this.create = options.create;
+    this.maxAgents = options.maxAgents || Number(process.env.AGENT_CACHE_MAX_AGENTS) || 100;
+    this.idleTimeout = options.idleTimeout || Number(process.env.AGENT_IDLE_TIMEOUT_MS) || 15 * 60 * 1000;
+    this.maxMemoryBytes = options.maxMemoryBytes || Number(process.env.AGENT_CACHE_MAX_BYTES) || 256 * 1024 * 1024;
+
+    // key -> { agent, creating, active, lastUsed, size }, least recently used first
+    this.entries = new Map();
+    // key -> promise of an eviction in progress; requests for the key wait for it
+    this.closing = new Map();
+    this.counters = { hits: 0, misses: 0, evictions: Object.fromEntries(EVICTION_REASONS.map(reason => [reason, 0])) };
+
+    // The sweep doesn't keep the process alive
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepInterval || Math.min(this.idleTimeout / 4, 60 * 1000));
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Get the agent for a key, creating it when it isn't cached. The agent
+   * counts as in use, and can't be evicted, until release(key).
+   * @param {string} key - Cache key (e.g. a user id)
+   * @param {*} context - Passed to create() for a new agent
+   * @returns {Promise<Object>} - The agent
+   */
+  async acquire(key, context) {
+    // An eviction of this key finishes first, so the new agent loads what it saved
+    await this.closing.get(key);
+
+    let entry = this.entries.get(key);
+    if (entry) {
+      this.counters.hits++;
+      this.entries.delete(key);
+    } else {
+      this.counters.misses++;
+      entry = { agent: null, creating: null, active: 0, lastUsed: Date.now(), size: 0 };
+      entry.creating = Promise.resolve(this.create(key, context)).then(agent => {
+        entry.agent = agent;
+        return agent;
+      });
+      // A failed creation isn't cached
+      entry.creating.catch(() => {
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+      });
+    }
+    entry.active++;
+    entry.lastUsed = Date.now();
+    // Most recently used last
+    this.entries.set(key, entry);
+
+    try {
+      return await entry.creating;
+    } catch (error) {
+      entry.active--;
+      throw error;
+    }
+  }
+
+  /**
+   * End a request's use of an agent taken with acquire()
+   * @param {string} key - Cache key
+   */
+  release(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.active === 0) return;
+
+    entry.active--;
+    entry.lastUsed = Date.now();
+    if (entry.agent) entry.size = entry.agent.memory.estimateSize();
+    this._enforceLimits();
+  }
+
+  // Evict least recently used idle agents while the cache is over a limit
+  _enforceLimits() {
+    for (const [key, entry] of this.entries) {
+      const reason = this.entries.size > this.maxAgents
+        ? 'lru'
+        : this._totalSize() > this.maxMemoryBytes ? 'memory' : null;
+      if (!reason) return;
+      if (this._isIdle(entry)) this.evict(key, reason);
+    }
+  }
+
+  _isIdle(entry) {
+    return entry.active === 0 && entry.agent !== null;
+  }
+
+  _totalSize() {
+    let bytes = 0;
+    for (const entry of this.entries.values()) bytes += entry.size;
+    return bytes;
+  }
+
+  /**
+   * Evict the agents idle for longer than idleTimeout (also run periodically)
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (this._isIdle(entry) && now - entry.lastUsed > this.idleTimeout) {
+        this.evict(key, 'idle');
+      }
+    }
+  }
+
+  /**
+   * Drop an agent after its memory has saved what is queued. An agent in use
+   * isn't evicted; one whose unsaved operations would be lost is put back.
+   * @param {string} key - Cache key
+   * @param {string} reason - 'idle', 'lru' or 'memory'
+   * @returns {Promise<boolean>} - Whether the agent was evicted
+   */
+  async evict(key, reason = 'lru') {
+    const entry = this.entries.get(key);
+    if (!entry || !this._isIdle(entry)) return false;
+    this.entries.delete(key);
+
+    const closing = entry.agent.memory.close()
+      .catch(error => {
+        console.error(`Error saving the memory of evicted agent ${key}:`, error);
+        return false;
+      })
+      .then(closed => {
+        this.closing.delete(key);
+        if (!closed) {
+          // Requests for the key waited for this, so it has no newer agent
+          this.entries.set(key, entry);
+          return false;
+        }
+        this.counters.evictions[reason]++;
+        this.emit('evict', { key, reason, agent: entry.agent });
+        return true;
+      });
+    this.closing.set(key, closing);
+    return closing;
+  }
+
+  /**
+   * Save and drop every agent, e.g. before shutdown; agents in use are saved but kept
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    clearInterval(this.sweepTimer);
+    await Promise.all([...this.entries.keys()].map(key => this.evict(key, 'idle')));
+    await Promise.all([...this.entries.values()].map(entry => entry.agent?.memory.flushPendingOperations()));
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} - { agents, active, maxAgents, estimatedBytes, maxMemoryBytes, idleTimeout, hits, misses, hitRate, evictions: { idle, lru, memory }, evicting }
+   */
+  stats() {
+    const { hits, misses, evictions } = this.counters;
+    return {
+      agents: this.entries.size,
+      active: [...this.entries.values()].filter(entry => entry.active > 0).length,
+      maxAgents: this.maxAgents,
+      estimatedBytes: this._totalSize(),
+      maxMemoryBytes: this.maxMemoryBytes,
+      idleTimeout: this.idleTimeout,
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+      evictions: { ...evictions },
+      evicting: this.closing.size
+    };
+  }
+}
+
+export default AgentCache;
@@ -0,0 +1,215 @@
+/**
+ * Attachments
+ *
+ * Images, PDFs and text files sent along with a user message:
+ * - AttachmentStore keeps the content on disk under its SHA-256 hash, so the
+ *   same file attached twice is stored once
+ * - Memory messages only hold references: { id, name, mimeType, size, tokens }
+ * - Before a request, references are turned back into Gemini-style parts:
+ *   inlineData for images and PDFs (with the file's name in fileName, which
+ *   the Gemini SDK drops and the OpenAI adapter sends), text for text files
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { estimateAttachmentTokens } from './contextWindow.js';
+
+// MIME types by file extension, for attachments given without one
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.xml': 'text/xml',
+  '.json': 'application/json'
+};
+
+/**
+ * Whether attachments of a MIME type are sent to the model as text
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/') || mimeType === 'application/json';
+}
+
+/**
+ * Whether a MIME type can be attached
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export function isSupportedMimeType(mimeType) {
+  return mimeType.startsWith('image/') || mimeType === 'application/pdf' || isTextMimeType(mimeType);
+}
+
+// Recognize common binary formats from their first bytes
+function sniffMimeType(data) {
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  const header = data.subarray(0, 12).toString('latin1');
+  if (header.startsWith('GIF8')) return 'image/gif';
+  if (header.startsWith('RIFF') && header.slice(8, 12) === 'WEBP') return 'image/webp';
+  if (header.startsWith('%PDF')) return 'application/pdf';
+  return null;
+}
+
+// Marks attachments created in-process by localFile(); JSON request bodies can't carry it
+const LOCAL_FILE = Symbol('localFile');
+
+/**
+ * Attach a file from the local disk. Only attachments made with this helper are
+ * read from a path, so user input (e.g. an HTTP request body) can't name server files.
+ * @param {string} filePath - Path of the file
+ * @param {Object} options - Optional mimeType and name
+ * @returns {Object} - Attachment for an input's attachments
+ */
+export function localFile(filePath, options = {}) {
+  return { ...options, path: filePath, [LOCAL_FILE]: true };
+}
+
+// Error carrying the HTTP status the server should answer with
+function attachmentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Split a user input into its text and its attachments. Accepts:
+ * - a string
+ * - { text, attachments: [...] }
+ * - an array of parts: strings or { text } for text, anything else is an attachment
+ * An attachment is { data: Buffer|base64 string } or a file from localFile(), with optional mimeType and name.
+ * @param {string|Object|Array} input - User input
+ * @returns {Object} - { text, attachments }
+ */
+export function normalizeInput(input) {
+  if (typeof input === 'string') return { text: input, attachments: [] };
+  if (Array.isArray(input)) {
+    const texts = [];
+    const attachments = [];
+    for (const part of input) {
+      if (typeof part === 'string') texts.push(part);
+      else if (typeof part?.text === 'string') texts.push(part.text);
+      else attachments.push(part);
+    }
+    return { text: texts.join('\n'), attachments };
+  }
+  if (input && typeof input === 'object') {
+    return { text: input.text || '', attachments: input.attachments || [] };
+  }
+  return { text: input === undefined || input === null ? '' : String(input), attachments: [] };
+}
+
+export class AttachmentStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory for attachment content (default: ATTACHMENTS_DIR or ./data/attachments)
+   * @param {number} options.maxBytes - Largest accepted attachment (default: 20MB, Gemini's inline request limit)
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || process.env.ATTACHMENTS_DIR || path.join('data', 'attachments'));
+    this.maxBytes = options.maxBytes || 20 * 1024 * 1024;
+  }
+
+  _filePath(id) {
+    if (!/^[a-f0-9]{64}$/.test(id)) {
+      throw attachmentError(400, `Invalid attachment id "${id}"`);
+    }
+    return path.join(this.directory, id);
+  }
+
+  /**
+   * Store an attachment's content
+   * @param {Object} attachment - { data: Buffer|Uint8Array|base64 string } or a file from localFile(), with optional mimeType and name
+   * @returns {Promise<Object>} - Reference for the message: { id, name, mimeType, size, tokens }
+   */
+  async save(attachment) {
+    let data = attachment.data;
+    if (attachment.path !== undefined && !attachment[LOCAL_FILE]) {
+      throw attachmentError(400, 'Attachments must carry their data; file paths are only read for localFile() attachments');
+    }
+    if (attachment[LOCAL_FILE]) {
+      data = await fs.readFile(attachment.path);
+    } else if (typeof data === 'string') {
+      data = Buffer.from(data, 'base64');
+    } else if (data instanceof Uint8Array && !Buffer.isBuffer(data)) {
+      data = Buffer.from(data);
+    }
+    if (!Buffer.isBuffer(data)) {
+      throw attachmentError(400, 'An attachment needs data');
+    }
+    if (data.length > this.maxBytes) {
+      throw attachmentError(413, `Attachment is ${data.length} bytes; the limit is ${this.maxBytes}`);
+    }
+
+    const name = attachment.name || (attachment[LOCAL_FILE] ? path.basename(attachment.path) : 'attachment');
+    // Uploads often arrive as application/octet-stream, so fall back to the name and content
+    const mimeType = (attachment.mimeType && attachment.mimeType !== 'application/octet-stream' && attachment.mimeType)
+      || MIME_TYPES[path.extname(name).toLowerCase()]
+      || sniffMimeType(data);
+    if (!mimeType || !isSupportedMimeType(mimeType)) {
+      throw attachmentError(415, `Unsupported attachment type ${mimeType || 'unknown'} for ${name}; images, PDFs and text files are supported`);
+    }
+
+    const id = createHash('sha256').update(data).digest('hex');
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this._filePath(id), data, { flag: 'wx' }).catch(error => {
+      // Already stored
+      if (error.code !== 'EEXIST') throw error;
+    });
+
+    return { id, name, mimeType, size: data.length, tokens: estimateAttachmentTokens({ mimeType, data }) };
+  }
+
+  /**
+   * Read an attachment's content
+   * @param {string} id - Attachment id
+   * @returns {Promise<Buffer>}
+   */
+  async read(id) {
+    try {
+      return await fs.readFile(this._filePath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw attachmentError(404, `Attachment "${id}" not found`);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn attachment references into content parts for a model request
+   * @param {Array<Object>} attachments - References from a message
+   * @returns {Promise<Array<Object>>} - Gemini-style parts
+   */
+  async toParts(attachments = []) {
+    const parts = [];
+    for (const attachment of attachments) {
+      let data;
+      try {
+        data = await this.read(attachment.id);
+      } catch (error) {
+        console.warn(`Attachment ${attachment.name} is unavailable:`, error.message);
+        parts.push({ text: `[Attachment ${attachment.name} is no longer available]` });
+        continue;
+      }
+
+      if (isTextMimeType(attachment.mimeType)) {
+        parts.push({ text: `Attached file ${attachment.name}:\n${data.toString('utf8')}` });
+      } else {
+        parts.push({ inlineData: { mimeType: attachment.mimeType, data: data.toString('base64') }, fileName: attachment.name });
+      }
+    }
+    return parts;
+  }
+}
+
+export default AttachmentStore;
@@ -0,0 +1,445 @@
+/**
+ * Accounts and Authentication
+ *
+ * User accounts for the web server:
+ * - Local accounts: a username and a password, stored as a salted scrypt hash
+ * - API keys for programmatic clients, in the form ak_<key id>_<secret>; the
+ *   secret is shown once when the key is created and only its SHA-256 is stored
+ * - Users are kept in a store: InMemoryUserStore, FileUserStore (a JSON file)
+ *   or MongoUserStore (existing mongoose connection)
+ *
+ * A store implements:
+ * - get(id) -> user or null
+ * - findByUsername(username) -> user or null
+ * - findByApiKey(keyId) -> the user owning the key, or null
+ * - create(user) -> throws an error with status 409 when the username is taken
+ * - addApiKey(userId, apiKey) -> add a key to a user
+ * - removeApiKey(userId, keyId) -> boolean, whether the user had the key
+ * - touchApiKey(userId, keyId, time) -> set a key's lastUsedAt
+ * Users are plain objects: { id, username, passwordHash, apiKeys: [{ id, name, hash, createdAt, lastUsedAt }], createdAt }.
+ *
+ * Errors carry the HTTP status to report (400, 401, 404 or 409).
+ */
+
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import mongoose from 'mongoose';
+import User from './models/user.js';
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt cost parameters for new hashes; stored hashes keep the ones they were made with
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+// Longer passwords are refused so hashing stays cheap
+const MAX_PASSWORD_LENGTH = 1024;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const API_KEY_PATTERN = /^ak_([0-9a-f]{16})_([A-Za-z0-9_-]{32})$/;
+// How often a key's lastUsedAt is refreshed, so authenticating doesn't write every time
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Password to hash
+ * @returns {Promise<string>} - "scrypt$N$r$p$salt$hash", salt and hash in base64
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Password to check
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, N, r, p, salt, expected] = passwordHash.split('$');
+  if (scheme !== 'scrypt') return false;
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scryptAsync(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return timingSafeEqual(hash, expectedHash);
+}
+
+function hashApiKeySecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+// Compared against when a username doesn't exist, so a login takes as long either way
+const unknownUserHash = hashPassword(randomUUID());
+
+/**
+ * Keeps users in process; they last as long as the store does
+ */
+export class InMemoryUserStore {
+  constructor() {
+    this.users = new Map(); // id -> user
+  }
+
+  async get(id) {
+    return this.users.get(id) || null;
+  }
+
+  async findByUsername(username) {
+    return [...this.users.values()].find(user => user.username === username) || null;
+  }
+
+  async findByApiKey(keyId) {
+    return [...this.users.values()].find(user => user.apiKeys.some(key => key.id === keyId)) || null;
+  }
+
+  async create(user) {
+    if (await this.findByUsername(user.username)) {
+      throw httpError(409, `Username "${user.username}" is taken`);
+    }
+    this.users.set(user.id, user);
+  }
+
+  async addApiKey(userId, apiKey) {
+    this.users.get(userId)?.apiKeys.push(apiKey);
+  }
+
+  async removeApiKey(userId, keyId) {
+    const user = this.users.get(userId);
+    const index = user ? user.apiKeys.findIndex(key => key.id === keyId) : -1;
+    if (index === -1) return false;
+    user.apiKeys.splice(index, 1);
+    return true;
+  }
+
+  async touchApiKey(userId, keyId, time) {
+    const apiKey = this.users.get(userId)?.apiKeys.find(key => key.id === keyId);
+    if (apiKey) apiKey.lastUsedAt = time;
+  }
+}
+
+/**
+ * Keeps users in a JSON file, rewritten through a temporary file and a rename
+ * after each change
+ */
+export class FileUserStore extends InMemoryUserStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - User file (default: USERS_FILE or ./data/users.json)
+   */
+  constructor(options = {}) {
+    super();
+    this.path = path.resolve(options.path || process.env.USERS_FILE || path.join('data', 'users.json'));
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  _load() {
+    if (!this.loaded) {
+      this.loaded = fsPromises.readFile(this.path, 'utf8')
+        .then(data => {
+          for (const user of JSON.parse(data)) {
+            this.users.set(user.id, user);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    return this.loaded;
+  }
+
+  // Writes are chained so the file always ends with the latest users
+  async _write() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      const tempPath = `${this.path}.tmp`;
+      await fsPromises.mkdir(path.dirname(this.path), { recursive: true });
+      await fsPromises.writeFile(tempPath, JSON.stringify([...this.users.values()], null, 2), { encoding: 'utf8', mode: 0o600 });
+      await fsPromises.rename(tempPath, this.path);
+    });
+    await this.writeQueue;
+  }
+
+  async get(id) {
+    await this._load();
+    return super.get(id);
+  }
+
+  async findByUsername(username) {
+    await this._load();
+    return super.findByUsername(username);
+  }
+
+  async findByApiKey(keyId) {
+    await this._load();
+    return super.findByApiKey(keyId);
+  }
+
+  async create(user) {
+    await this._load();
+    await super.create(user);
+    await this._write();
+  }
+
+  async addApiKey(userId, apiKey) {
+    await this._load();
+    await super.addApiKey(userId, apiKey);
+    await this._write();
+  }
+
+  async removeApiKey(userId, keyId) {
+    await this._load();
+    const removed = await super.removeApiKey(userId, keyId);
+    if (removed) await this._write();
+    return removed;
+  }
+
+  async touchApiKey(userId, keyId, time) {
+    await this._load();
+    await super.touchApiKey(userId, keyId, time);
+    await this._write();
+  }
+}
+
+/**
+ * Keeps users in MongoDB through the app's mongoose connection
+ */
+export class MongoUserStore {
+  _assertConnected() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is not connected; user accounts are unavailable');
+    }
+  }
+
+  _toUser(doc) {
+    return {
+      id: doc.id,
+      username: doc.username,
+      passwordHash: doc.passwordHash,
+      apiKeys: doc.apiKeys.map(key => ({
+        id: key.id,
+        name: key.name,
+        hash: key.hash,
+        createdAt: key.createdAt.getTime(),
+        lastUsedAt: key.lastUsedAt ? key.lastUsedAt.getTime() : null
+      })),
+      createdAt: doc.createdAt.getTime()
+    };
+  }
+
+  _toKeyDocument(apiKey) {
+    return {
+      ...apiKey,
+      createdAt: new Date(apiKey.createdAt),
+      lastUsedAt: apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt) : undefined
+    };
+  }
+
+  async get(id) {
+    this._assertConnected();
+    const doc = await User.findOne({ id });
+    return doc ? this._toUser(doc) : null;
+  }
+
+  async findByUsername(username) {
+    this._assertConnected();
+    const doc = await User.findOne({ username });
+    return doc ? this._toUser(doc) : null;
+  }
+
+  async findByApiKey(keyId) {
+    this._assertConnected();
+    const doc = await User.findOne({ 'apiKeys.id': keyId });
+    return doc ? this._toUser(doc) : null;
+  }
+
+  async create(user) {
+    this._assertConnected();
+    try {
+      await User.create({
+        ...user,
+        apiKeys: user.apiKeys.map(apiKey => this._toKeyDocument(apiKey)),
+        createdAt: new Date(user.createdAt)
+      });
+    } catch (error) {
+      // Duplicate key on the unique username index
+      if (error.code === 11000) throw httpError(409, `Username "${user.username}" is taken`);
+      throw error;
+    }
+  }
+
+  async addApiKey(userId, apiKey) {
+    this._assertConnected();
+    await User.updateOne({ id: userId }, { $push: { apiKeys: this._toKeyDocument(apiKey) } });
+  }
+
+  async removeApiKey(userId, keyId) {
+    this._assertConnected();
+    const result = await User.updateOne({ id: userId, 'apiKeys.id': keyId }, { $pull: { apiKeys: { id: keyId } } });
+    return result.modifiedCount > 0;
+  }
+
+  async touchApiKey(userId, keyId, time) {
+    this._assertConnected();
+    await User.updateOne({ id: userId, 'apiKeys.id': keyId }, { $set: { 'apiKeys.$.lastUsedAt': new Date(time) } });
+  }
+}
+
+/**
+ * Registers users and authenticates them by password or API key.
+ * Methods return users without their credentials: { id, username, createdAt }.
+ */
+export class Accounts {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - User store (default: InMemoryUserStore)
+   * @param {number} options.minPasswordLength - Shortest password accepted at registration (default: 8)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryUserStore();
+    this.minPasswordLength = options.minPasswordLength || 8;
+  }
+
+  _toPublicUser(user) {
+    return { id: user.id, username: user.username, createdAt: user.createdAt };
+  }
+
+  _toPublicApiKey(key) {
+    return { id: key.id, name: key.name, createdAt: key.createdAt, lastUsedAt: key.lastUsedAt };
+  }
+
+  _normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Create a local account
+   * @param {string} username - 3 to 32 letters, digits, '.', '_' or '-' (case-insensitive)
+   * @param {string} password - At least minPasswordLength characters
+   * @returns {Promise<Object>} - The new user
+   * @throws {Error} - 400 for an invalid username or password, 409 when the username is taken
+   */
+  async register(username, password) {
+    const name = this._normalizeUsername(username);
+    if (!USERNAME_PATTERN.test(name)) {
+      throw httpError(400, 'Username must be 3 to 32 letters, digits, ".", "_" or "-"');
+    }
+    if (typeof password !== 'string' || password.length < this.minPasswordLength || password.length > MAX_PASSWORD_LENGTH) {
+      throw httpError(400, `Password must be ${this.minPasswordLength} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+
+    const user = {
+      id: randomUUID(),
+      username: name,
+      passwordHash: await hashPassword(password),
+      apiKeys: [],
+      createdAt: Date.now()
+    };
+    await this.store.create(user);
+    return this._toPublicUser(user);
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} - The user
+   * @throws {Error} - 401 when either is wrong (without saying which)
+   */
+  async login(username, password) {
+    const user = await this.store.findByUsername(this._normalizeUsername(username));
+    const valid = typeof password === 'string' && password.length <= MAX_PASSWORD_LENGTH
+      && await verifyPassword(password, user ? user.passwordHash : await unknownUserHash);
+    if (!user || !valid) {
+      throw httpError(401, 'Invalid username or password');
+    }
+    return this._toPublicUser(user);
+  }
+
+  /**
+   * Get a user by id
+   * @param {string} id - User id
+   * @returns {Promise<Object|null>} - The user, or null when it no longer exists
+   */
+  async getUser(id) {
+    const user = await this.store.get(id);
+    return user ? this._toPublicUser(user) : null;
+  }
+
+  async _requireUser(userId) {
+    const user = await this.store.get(userId);
+    if (!user) throw httpError(404, 'User not found');
+    return user;
+  }
+
+  /**
+   * Create an API key. The key itself is only returned here.
+   * @param {string} userId - Owner of the key
+   * @param {string} name - Label to tell keys apart (optional)
+   * @returns {Promise<Object>} - { key, apiKey: { id, name, createdAt, lastUsedAt } }
+   */
+  async createApiKey(userId, name) {
+    const user = await this._requireUser(userId);
+    const id = randomBytes(8).toString('hex');
+    const secret = randomBytes(24).toString('base64url');
+    const apiKey = { id, name: name || null, hash: hashApiKeySecret(secret), createdAt: Date.now(), lastUsedAt: null };
+
+    await this.store.addApiKey(user.id, apiKey);
+    return { key: `ak_${id}_${secret}`, apiKey: this._toPublicApiKey(apiKey) };
+  }
+
+  /**
+   * List a user's API keys, without their secrets
+   * @param {string} userId - Owner of the keys
+   * @returns {Promise<Array<Object>>} - [{ id, name, createdAt, lastUsedAt }]
+   */
+  async listApiKeys(userId) {
+    const user = await this._requireUser(userId);
+    return user.apiKeys.map(key => this._toPublicApiKey(key));
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {string} userId - Owner of the key
+   * @param {string} keyId - Key id
+   * @returns {Promise<boolean>} - Whether the user had the key
+   */
+  async revokeApiKey(userId, keyId) {
+    await this._requireUser(userId);
+    return this.store.removeApiKey(userId, keyId);
+  }
+
+  /**
+   * Find the user an API key belongs to
+   * @param {string} key - Key as returned by createApiKey
+   * @returns {Promise<Object|null>} - The user, or null for an unknown, revoked or malformed key
+   */
+  async authenticateApiKey(key) {
+    const match = typeof key === 'string' ? key.match(API_KEY_PATTERN) : null;
+    if (!match) return null;
+    const [, keyId, secret] = match;
+
+    const user = await this.store.findByApiKey(keyId);
+    const apiKey = user?.apiKeys.find(candidate => candidate.id === keyId);
+    if (!apiKey || !timingSafeEqual(Buffer.from(hashApiKeySecret(secret)), Buffer.from(apiKey.hash))) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_RESOLUTION) {
+      await this.store.touchApiKey(user.id, keyId, Date.now());
+    }
+    return this._toPublicUser(user);
+  }
+}
+
+export default Accounts;
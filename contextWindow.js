@@ -0,0 +1,167 @@
+/**
+ * Context Window Assembly
+ *
+ * Chooses which stored messages go into a model request under a token budget:
+ * - Messages are grouped into turns (a user message plus the tool calls, tool
+ *   results and assistant reply that follow it), so selected history always
+ *   alternates user/model and never splits a function call from its response
+ * - The most recent turns are kept first, up to a share of the budget
+ * - The rest of the budget goes to older turns in order of relevance
+ * - Selected turns are returned in chronological order
+ */
+
+// Context window sizes (input + output tokens) per model
+export const MODEL_CONTEXT_WINDOWS = {
+  "gemini-1.5-flash": 1048576,
+  "gemini-1.5-pro": 2097152,
+  "gemini-2.0-flash": 1048576,
+  "gpt-4o": 128000,
+  "gpt-4o-mini": 128000,
+  "fake-model": 32768
+};
+
+// Used when a model isn't listed above
+export const DEFAULT_CONTEXT_WINDOW = 32768;
+
+/**
+ * Get the context window size for a model
+ * @param {string} model - Model name
+ * @returns {number} - Context window in tokens
+ */
+export function getContextWindow(model) {
+  return MODEL_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Estimate the token count of a piece of text (~4 characters per token).
+ * Used for budgeting, where an exact count per message isn't worth an API call.
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Gemini's token cost of one image, and of one PDF page (each page is sent as an image)
+export const IMAGE_TOKENS = 258;
+export const PDF_PAGE_TOKENS = 258;
+
+/**
+ * Count the pages of a PDF from its page objects
+ * @param {Buffer} data - PDF content
+ * @returns {number} - Page count (at least 1)
+ */
+export function countPdfPages(data) {
+  const pages = data.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+  return Math.max(pages ? pages.length : 0, 1);
+}
+
+/**
+ * Estimate the tokens an attachment costs in a request
+ * @param {Object} attachment - { mimeType, data: Buffer }
+ * @returns {number} - Estimated tokens
+ */
+export function estimateAttachmentTokens({ mimeType, data }) {
+  if (mimeType.startsWith('image/')) return IMAGE_TOKENS;
+  if (mimeType === 'application/pdf') return countPdfPages(data) * PDF_PAGE_TOKENS;
+  return estimateTokens(data.toString('utf8'));
+}
+
+/**
+ * Estimate the tokens of one Gemini-style content part
+ * @param {Object} part - { text } or { inlineData: { mimeType, data (base64) } }
+ * @returns {number} - Estimated tokens (0 for function calls and responses)
+ */
+export function estimatePartTokens(part) {
+  if (typeof part.text === 'string') return estimateTokens(part.text);
+  if (part.inlineData) {
+    return estimateAttachmentTokens({
+      mimeType: part.inlineData.mimeType,
+      data: Buffer.from(part.inlineData.data, 'base64')
+    });
+  }
+  return 0;
+}
+
+/**
+ * Estimate the tokens a stored message costs in a request
+ * @param {Object} message - Memory message
+ * @returns {number} - Estimated tokens, including attachments and a small per-message overhead
+ */
+export function estimateMessageTokens(message) {
+  const attachmentTokens = (message.attachments || []).reduce((sum, attachment) => sum + (attachment.tokens || 0), 0);
+  return estimateTokens(message.text) + estimateTokens(message.precedingText) + attachmentTokens + 4;
+}
+
+/**
+ * Group messages into turns, each starting at a user message
+ * @param {Array<Object>} messages - Messages in chronological order
+ * @param {Function} estimate - Token estimator for a message
+ * @returns {Array<Object>} - Turns as { index, messages, tokens }
+ */
+export function groupIntoTurns(messages, estimate = estimateMessageTokens) {
+  const turns = [];
+
+  for (const message of messages) {
+    const current = turns[turns.length - 1];
+    if (!current || message.role === 'user') {
+      turns.push({ index: turns.length, messages: [message], tokens: estimate(message) });
+    } else {
+      current.messages.push(message);
+      current.tokens += estimate(message);
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Select the history to send under a token budget
+ * @param {Object} params
+ * @param {Array<Object>} params.messages - Candidate messages in chronological order
+ * @param {Array<Object>} params.rankedMessages - The same messages ordered most relevant first (may be partial)
+ * @param {number} params.budget - Token budget for the history
+ * @param {number} params.recentRatio - Share of the budget reserved for the most recent turns (default: 0.6)
+ * @param {Function} params.estimate - Token estimator for a message
+ * @returns {Object} - { messages, tokens, recentTurns, relevantTurns, droppedTurns }
+ */
+export function assembleContext({ messages, rankedMessages = [], budget, recentRatio = 0.6, estimate = estimateMessageTokens }) {
+  const turns = groupIntoTurns(messages, estimate);
+  const selected = new Set();
+  let used = 0;
+
+  // Most recent turns first, contiguously, up to the recent share of the budget
+  const recentBudget = Math.floor(budget * recentRatio);
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (used + turns[i].tokens > recentBudget) break;
+    selected.add(i);
+    used += turns[i].tokens;
+  }
+  const recentTurns = selected.size;
+
+  // Fill the remaining budget with older turns by their best-ranked message
+  const rankOf = new Map(rankedMessages.map((message, rank) => [message, rank]));
+  const candidates = turns
+    .filter(turn => !selected.has(turn.index))
+    .map(turn => ({
+      turn,
+      rank: Math.min(...turn.messages.map(message => rankOf.has(message) ? rankOf.get(message) : Infinity))
+    }))
+    // Unranked turns fall back to recency
+    .sort((a, b) => a.rank - b.rank || b.turn.index - a.turn.index);
+
+  for (const { turn } of candidates) {
+    if (used + turn.tokens > budget) continue;
+    selected.add(turn.index);
+    used += turn.tokens;
+  }
+
+  const chosen = turns.filter(turn => selected.has(turn.index));
+  return {
+    messages: chosen.flatMap(turn => turn.messages),
+    tokens: used,
+    recentTurns,
+    relevantTurns: chosen.length - recentTurns,
+    droppedTurns: turns.length - chosen.length
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Conversation Tree
+ *
+ * A session's messages form a tree: every message points at the message
+ * before it (parentId), so forking from a message starts a new branch that
+ * shares the history up to that point.
+ * - A branch is { id, name, forkedFrom, createdAt }; forkedFrom is the message
+ *   it starts after (null for the main branch)
+ * - Each message records the branch it was added on (branchId)
+ * - A branch's head is its most recently added message, or its fork point
+ *   while it has none; its path is the chain of parents from the head to the root
+ */
+
+export const MAIN_BRANCH_ID = 'main';
+
+/**
+ * Create the branch every session starts with
+ * @returns {Object} - Branch
+ */
+export function createMainBranch() {
+  return { id: MAIN_BRANCH_ID, name: 'main', forkedFrom: null, createdAt: Date.now() };
+}
+
+/**
+ * Get the branch a message was added on (messages stored before branching belong to main)
+ * @param {Object} message
+ * @returns {string} - Branch id
+ */
+export function branchIdOf(message) {
+  return message.branchId || MAIN_BRANCH_ID;
+}
+
+/**
+ * Link messages stored before branching into a chain in storage order
+ * @param {Array<Object>} messages - All messages in storage order
+ * @returns {Array<Object>} - The messages that were changed
+ */
+export function linkUnparentedMessages(messages) {
+  const changed = [];
+  let previous = null;
+  for (const message of messages) {
+    if (message.parentId === undefined) {
+      message.parentId = previous ? previous.id : null;
+      message.branchId = branchIdOf(message);
+      changed.push(message);
+    }
+    if (branchIdOf(message) === MAIN_BRANCH_ID) previous = message;
+  }
+  return changed;
+}
+
+/**
+ * Find the head of a branch
+ * @param {Array<Object>} messages - All messages in storage order
+ * @param {Object} branch
+ * @returns {string|null} - Id of the head message, or null for an empty branch
+ */
+export function findHeadId(messages, branch) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (branchIdOf(messages[i]) === branch.id) return messages[i].id;
+  }
+  return branch.forkedFrom || null;
+}
+
+/**
+ * Get the messages from the root to a message
+ * @param {Map<string, Object>} messagesById - All messages by id
+ * @param {string|null} headId - Last message of the path
+ * @returns {Array<Object>} - Messages in chronological order
+ */
+export function pathTo(messagesById, headId) {
+  const path = [];
+  const seen = new Set();
+  let current = headId ? messagesById.get(headId) : null;
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.push(current);
+    current = current.parentId ? messagesById.get(current.parentId) : null;
+  }
+  return path.reverse();
+}
+
+/**
+ * Get the active path of a branch
+ * @param {Array<Object>} messages - All messages in storage order
+ * @param {Object} branch
+ * @returns {Array<Object>} - Messages in chronological order
+ */
+export function branchPath(messages, branch) {
+  const messagesById = new Map(messages.map(message => [message.id, message]));
+  return pathTo(messagesById, findHeadId(messages, branch));
+}
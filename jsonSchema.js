@@ -0,0 +1,143 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset of JSON Schema used by the config files and tool/structured
+ * output schemas: type, enum, const, required, properties, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ * anyOf and oneOf. Problems are reported with a JSONPath-style location.
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a schema type
+ * @param {*} value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Append a property name to a JSONPath
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string}
+ */
+export function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - JSONPath of the value (default: '$')
+ * @returns {Array<Object>} - Problems as { path, message }; empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `Expected ${types.join(' or ')} but got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `Expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')} but got ${JSON.stringify(value)}` });
+  }
+
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `Expected ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `Expected at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `Expected at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `Does not match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `Expected a value >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `Expected a value <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `Expected at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `Expected at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'Required property is missing' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'Unknown property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, joinPath(path, key)));
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.filter(option => validateSchema(value, option, path).length === 0);
+    if (matches.length === 0) {
+      errors.push({ path, message: 'Does not match any of the allowed schemas' });
+    }
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(value, option, path).length === 0);
+    if (matches.length !== 1) {
+      errors.push({ path, message: `Expected to match exactly one schema but matched ${matches.length}` });
+    }
+  }
+
+  return errors;
+}
+
+export default validateSchema;
@@ -0,0 +1,220 @@
+/**
+ * Long-Term Memory
+ *
+ * Facts and notes about a user that persist across sessions, as opposed to
+ * Memory, which holds one session's conversation:
+ * - Memories are written explicitly (remember) or extracted from conversations
+ * - Each turn recalls the memories most similar to the input, from any session
+ * - Near-duplicates of an existing memory are not stored twice
+ *
+ * Storage is pluggable. A store implements:
+ * - add(entry) -> stored entry with an id
+ * - search(userId, queryVector, k) -> [{ entry, score }], best first
+ * - list(userId) -> entries, newest first
+ * - remove(userId, id) -> boolean
+ * InMemoryLongTermStore and MongoLongTermStore (existing mongoose connection) are provided.
+ */
+
+import mongoose from 'mongoose';
+import MemoryEntry from './models/memoryEntry.js';
+import { InMemoryVectorIndex } from './vectorIndex.js';
+
+/**
+ * Keeps memories in process; they last as long as the store does
+ */
+export class InMemoryLongTermStore {
+  constructor() {
+    this.users = new Map(); // userId -> { entries: Map<id, entry>, index: InMemoryVectorIndex }
+    this.nextId = 1;
+  }
+
+  _userState(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, { entries: new Map(), index: new InMemoryVectorIndex() });
+    }
+    return this.users.get(userId);
+  }
+
+  async add(entry) {
+    const stored = { ...entry, id: String(this.nextId++) };
+    const state = this._userState(entry.userId);
+    state.entries.set(stored.id, stored);
+    if (stored.embedding) state.index.add(stored.id, stored.embedding);
+    return stored;
+  }
+
+  async search(userId, queryVector, k) {
+    const state = this._userState(userId);
+    return state.index.search(queryVector, k).map(({ id, score }) => ({ entry: state.entries.get(id), score }));
+  }
+
+  async list(userId) {
+    return [...this._userState(userId).entries.values()].reverse();
+  }
+
+  async remove(userId, id) {
+    const state = this._userState(userId);
+    state.index.remove(id);
+    return state.entries.delete(id);
+  }
+}
+
+/**
+ * Stores memories in MongoDB through the app's mongoose connection.
+ * Similarity is computed in process over the user's memories, which stays
+ * cheap at the scale of facts about a single user.
+ */
+export class MongoLongTermStore {
+  _assertConnected() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is not connected; long-term memories are unavailable');
+    }
+  }
+
+  _toEntry(doc) {
+    return {
+      id: doc._id.toString(),
+      userId: doc.userId,
+      text: doc.text,
+      embedding: doc.embedding && doc.embedding.length > 0 ? [...doc.embedding] : undefined,
+      source: doc.source,
+      sessionId: doc.sessionId,
+      createdAt: doc.createdAt.getTime()
+    };
+  }
+
+  async add(entry) {
+    this._assertConnected();
+    const doc = await MemoryEntry.create({
+      userId: entry.userId,
+      text: entry.text,
+      embedding: entry.embedding,
+      source: entry.source,
+      sessionId: entry.sessionId,
+      createdAt: entry.createdAt
+    });
+    return this._toEntry(doc);
+  }
+
+  async search(userId, queryVector, k) {
+    const index = new InMemoryVectorIndex();
+    const entries = new Map();
+    for (const entry of await this.list(userId)) {
+      if (!entry.embedding) continue;
+      entries.set(entry.id, entry);
+      index.add(entry.id, entry.embedding);
+    }
+    return index.search(queryVector, k).map(({ id, score }) => ({ entry: entries.get(id), score }));
+  }
+
+  async list(userId) {
+    this._assertConnected();
+    const docs = await MemoryEntry.find({ userId }).sort({ createdAt: -1 });
+    return docs.map(doc => this._toEntry(doc));
+  }
+
+  async remove(userId, id) {
+    this._assertConnected();
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const result = await MemoryEntry.deleteOne({ _id: id, userId });
+    return result.deletedCount > 0;
+  }
+}
+
+/**
+ * Long-term memory for users, backed by a store and an embedding model
+ */
+export class LongTermMemory {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Memory store (default: InMemoryLongTermStore)
+   * @param {Object} options.embeddingModel - Embedding model ({ embedContent(text) -> { embedding: { values } } })
+   * @param {number} options.minScore - Minimum similarity for a memory to be recalled (default: 0.3)
+   * @param {number} options.duplicateThreshold - Similarity above which a new memory counts as a duplicate (default: 0.95)
+   */
+  constructor(options = {}) {
+    if (!options.embeddingModel) {
+      throw new Error('LongTermMemory requires an embeddingModel');
+    }
+    this.store = options.store || new InMemoryLongTermStore();
+    this.embeddingModel = options.embeddingModel;
+    this.minScore = options.minScore !== undefined ? options.minScore : 0.3;
+    this.duplicateThreshold = options.duplicateThreshold !== undefined ? options.duplicateThreshold : 0.95;
+  }
+
+  async _embed(text) {
+    const result = await this.embeddingModel.embedContent(text);
+    const values = result?.embedding?.values;
+    return values && values.length > 0 ? Array.from(values) : null;
+  }
+
+  /**
+   * Store a memory for a user, unless an equivalent one already exists
+   * @param {string} userId - Owner of the memory
+   * @param {string} text - The fact or note
+   * @param {Object} options
+   * @param {string} options.source - 'explicit' (default) or 'extracted'
+   * @param {string} options.sessionId - Session the memory came from
+   * @returns {Promise<Object>} - { entry, created }; entry is the existing memory for duplicates
+   */
+  async remember(userId, text, options = {}) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!userId) throw new Error('A userId is required to store a memory');
+    if (!trimmed) throw new Error('Cannot store an empty memory');
+
+    const embedding = await this._embed(trimmed);
+    if (embedding) {
+      const [closest] = await this.store.search(userId, embedding, 1);
+      if (closest && closest.score >= this.duplicateThreshold) {
+        return { entry: closest.entry, created: false };
+      }
+    }
+
+    const entry = await this.store.add({
+      userId,
+      text: trimmed,
+      embedding: embedding || undefined,
+      source: options.source || 'explicit',
+      sessionId: options.sessionId,
+      createdAt: Date.now()
+    });
+    return { entry, created: true };
+  }
+
+  /**
+   * Find a user's memories most relevant to a query, across all sessions
+   * @param {string} userId - Owner of the memories
+   * @param {string} query - Text to compare against
+   * @param {number} k - Maximum number of memories (default: 5)
+   * @returns {Promise<Array<Object>>} - [{ entry, score }], best first
+   */
+  async recall(userId, query, k = 5) {
+    if (!userId || !query) return [];
+    const embedding = await this._embed(query);
+    if (!embedding) return [];
+
+    const results = await this.store.search(userId, embedding, k);
+    return results.filter(result => result.score >= this.minScore);
+  }
+
+  /**
+   * List a user's memories, newest first
+   * @param {string} userId
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(userId) {
+    return this.store.list(userId);
+  }
+
+  /**
+   * Delete one of a user's memories
+   * @param {string} userId
+   * @param {string} id - Memory id
+   * @returns {Promise<boolean>} - Whether a memory was deleted
+   */
+  async forget(userId, id) {
+    return this.store.remove(userId, id);
+  }
+}
+
+export default LongTermMemory;
@@ -3,20 +3,27 @@
  *
  * Provides a hybrid conversation memory system that combines:
  * - In-memory storage for recent messages
- * - MongoDB persistence for long-term storage
+ * - Persistence through a storage adapter (MongoDB, JSON-lines files or SQLite; see storage/)
  * - Relevance-based pruning to maintain context
- * - Optional embedding-based similarity for better context retrieval
+ * - Optional rolling summarization of older messages instead of dropping them
+ * - Branching: the history is a tree of messages, and the context is the
+ *   path of the active branch (see conversationTree.js)
+ * - Optional embedding-based similarity for better context retrieval,
+ *   with each message embedded once and searched through a vector index
  * - Batch processing for efficient database operations
  */
 
-import mongoose from 'mongoose';
-import Conversation from './models/conversation.js';
+import { randomUUID } from 'crypto';
+import { createStorage } from './storage/index.js';
+import { WriteAheadLog } from './storage/writeAheadLog.js';
 import { model as embeddingModel } from './embed.js';
+import { InMemoryVectorIndex } from './vectorIndex.js';
+import { MAIN_BRANCH_ID, createMainBranch, branchIdOf, linkUnparentedMessages, pathTo, branchPath } from './conversationTree.js';
 
 /**
  * Memory class for managing conversation history
  * with intelligent pruning and context retrieval
- * and MongoDB persistence with batch processing
+ * and persistence with batch processing
  */
 export class Memory {
     /**
@@ -25,17 +32,44 @@ export class Memory {
      * @param {number} options.maxSizeBytes - Maximum memory size in bytes (default: 5MB)
      * @param {number} options.maxMessageCount - Maximum number of messages to store (default: 20)
      * @param {Object} options.embeddingModel - Optional embedding model for semantic similarity
-     * @param {string} options.sessionId - Session ID for MongoDB persistence (default: 'default-session')
+     * @param {Object} options.vectorIndex - Vector index for message embeddings (default: brute-force in-memory index)
+     * @param {string} options.sessionId - Session ID used as the storage key (default: 'default-session')
+     * @param {string} options.userId - User that sessions first saved by this instance belong to (default: none)
+     * @param {string|Object} options.storage - Storage adapter or name ('mongodb', 'file', 'sqlite'); none when omitted
+     * @param {Object} options.storageOptions - Options for a storage created by name (directory, filename)
+     * @param {boolean} options.useMongoDb - Shorthand for storage: 'mongodb'
+     * @param {Object|boolean} options.writeAheadLog - Write-ahead log for pending operations, or false to disable (default: on with storage)
+     * @param {Object} options.writeAheadLogOptions - Options for the default write-ahead log (directory, sync)
+     * @param {number} options.retryDelay - Milliseconds before retrying operations storage couldn't save (default: 5000)
      * @param {number} options.batchSaveDelay - Milliseconds to wait before executing batch save (default: 2000)
      * @param {number} options.maxBatchSize - Maximum number of operations to queue before forcing a save (default: 10)
+     * @param {boolean} options.summarize - Condense older messages into a rolling summary (default: false)
+     * @param {number} options.summarizeAfter - Unsummarized message count that triggers summarization (default: 30)
+     * @param {number} options.keepRecentMessages - Most recent messages never summarized (default: 10)
+     * @param {Function} options.summarizer - async ({ messages, previousSummary }) => summary text
      */
     constructor(options = {}) {
         this.maxSizeBytes = options.maxSizeBytes || 1 * 1024 * 1024; // 1MB default
         this.maxMessageCount = options.maxMessageCount || 300; // Limit total messages
-        this.messages = [];
+        this.allMessages = []; // Every message of the session, across branches, in the order added
+        this.messages = []; // The active branch path, oldest first
+        this.branches = [createMainBranch()];
+        this.activeBranchId = MAIN_BRANCH_ID;
+        this.title = null; // Shown in session lists
+        this.userId = options.userId || null; // Owner given to new sessions
+        this.owner = null; // User the current session belongs to, once saved
         this.embeddingModel = options.embeddingModel || embeddingModel; // Use imported model as default
+        this.vectorIndex = options.vectorIndex || new InMemoryVectorIndex();
+        this.pendingEmbeddings = new Map(); // In-flight embedding requests per message
         this.sessionId = options.sessionId || 'default-session';
         this.useMongoDb = options.useMongoDb !== undefined ? options.useMongoDb : false;
+        this.storage = createStorage(options.storage || (this.useMongoDb ? 'mongodb' : null), options.storageOptions);
+        this.loading = null; // Pending load of the session from storage
+        this.isLoaded = false; // Whether the session has been loaded from storage
+        // Local log of operations storage hasn't applied yet (on by default with storage)
+        this.writeAheadLog = !this.storage || options.writeAheadLog === false
+            ? null
+            : typeof options.writeAheadLog === 'object' ? options.writeAheadLog : new WriteAheadLog(options.writeAheadLogOptions);
 
         // Batch processing properties
         this.pendingOperations = [];
@@ -43,72 +77,158 @@ export class Memory {
         this.batchSaveDelay = options.batchSaveDelay || 2000; // ms between batch saves
         this.maxBatchSize = options.maxBatchSize || 10; // max operations per batch
         this.isSaving = false; // Lock to prevent concurrent saves
+        this.savingPromise = null; // The batch run in progress, for callers that need to wait for it
+        this.retryDelay = options.retryDelay || 5000; // ms before retrying operations storage couldn't save
+        this.retryTimeout = null;
+
+        // Summarization policy
+        this.summarize = options.summarize !== undefined ? options.summarize : false;
+        this.summarizeAfter = options.summarizeAfter || 30;
+        this.keepRecentMessages = options.keepRecentMessages !== undefined ? options.keepRecentMessages : 10;
+        this.summarizer = options.summarizer || null;
+        this.summaries = []; // Rolling summaries, latest last
+        this.isSummarizing = false;
 
-        // Check MongoDB connection status if MongoDB is enabled
-        this.isMongoConnected = this.useMongoDb ? mongoose.connection.readyState === 1 : false;
+        // Check storage status if persistence is enabled
+        this.isStorageReady = this.storage ? this.storage.isReady() : false;
         
-        if (this.useMongoDb) {
+        if (this.storage) {
             if (this.debug) {
-                console.log(`Memory constructor - MongoDB connection status: ${this.isMongoConnected ? 'Connected' : 'Not connected'}`);
-                console.log(`MongoDB readyState: ${mongoose.connection.readyState}`);
+                console.log(`Memory constructor - ${this.storage.name} storage status: ${this.isStorageReady ? 'Ready' : 'Not ready'}`);
             } else {
                 // Only log minimal connection info
-                console.log(`MongoDB ${this.isMongoConnected ? 'connected' : 'not connected'}`);
+                console.log(`${this.storage.name} storage ${this.isStorageReady ? 'ready' : 'not ready'}`);
             }
 
-            // Load conversation history from MongoDB if connected
-            if (this.isMongoConnected) {
-                this._loadFromMongoDB();
+            // Load conversation history if the storage is ready
+            if (this.isStorageReady) {
+                this.loading = this._loadFromStorage();
             }
         }
     }
 
     /**
-     * Load conversation history from MongoDB
+     * Load conversation history from storage, first replaying any operations
+     * a previous run left in the write-ahead log
      * @private
      */
-    async _loadFromMongoDB() {
+    async _loadFromStorage() {
         try {
-            const conversation = await Conversation.findOne({ sessionId: this.sessionId });
+            await this._replayWriteAheadLog();
+
+            const conversation = await this.storage.load(this.sessionId);
             if (conversation) {
-                if (Array.isArray(conversation.messages)) {
-                    // Convert MongoDB documents to plain objects and update timestamps
-                    this.messages = conversation.messages.map(msg => ({
-                        role: msg.role,
-                        text: msg.text,
-                        timestamp: msg.timestamp.getTime()
-                    }));
-                    console.log(`Loaded ${this.messages.length} messages from MongoDB for session ${this.sessionId}`);
-                } else {
-                    console.warn(`Invalid 'messages' field in MongoDB document for session ${this.sessionId}. Expected an array.`);
-                    // Initialize with empty array for safety
-                    this.messages = [];
+                // Keep messages storage doesn't have yet: added while it was unavailable,
+                // or logged by a previous run and still waiting to be replayed
+                const loadedIds = new Set(conversation.messages.map(message => message.id));
+                const unsaved = [
+                    ...this.allMessages,
+                    ...this.pendingOperations
+                        .filter(operation => operation.type === 'add' && operation.sessionId === this.sessionId)
+                        .flatMap(operation => operation.payload.items)
+                ].filter((message, index, all) => !loadedIds.has(message.id) && all.findIndex(other => other.id === message.id) === index);
+
+                this.allMessages = [...conversation.messages, ...unsaved];
+                this.summaries = conversation.summaries;
+
+                // Branches changed while storage was unavailable win over the stored ones
+                const pendingBranches = this.pendingOperations
+                    .filter(operation => operation.type === 'branches' && operation.sessionId === this.sessionId)
+                    .pop();
+                const { branches, activeBranchId } = pendingBranches ? pendingBranches.payload : conversation;
+                this.branches = branches && branches.length > 0 ? branches : [createMainBranch()];
+                this.activeBranchId = this.branches.some(branch => branch.id === activeBranchId) ? activeBranchId : MAIN_BRANCH_ID;
+                const pendingTitle = this.pendingOperations
+                    .filter(operation => operation.type === 'title' && operation.sessionId === this.sessionId)
+                    .pop();
+                this.title = pendingTitle ? pendingTitle.payload.title : conversation.title || null;
+                const pendingOwner = this.pendingOperations
+                    .filter(operation => operation.type === 'owner' && operation.sessionId === this.sessionId)
+                    .pop();
+                this.owner = pendingOwner ? pendingOwner.payload.userId : conversation.userId || null;
+
+                // Messages stored before ids existed get one, and the session is rewritten once to keep them
+                const missingIds = conversation.messages.filter(message => !message.id);
+                for (const message of missingIds) {
+                    message.id = randomUUID();
+                }
+                // Messages stored before branching are chained in the order they were added
+                const unlinked = linkUnparentedMessages(this.allMessages);
+                if (missingIds.length > 0) {
+                    await this._queueOperation('replace', this._snapshot());
+                } else if (unlinked.length > 0) {
+                    await this._queueOperation('update', {
+                        items: unlinked.map(message => ({ id: message.id, fields: { parentId: message.parentId, branchId: message.branchId } }))
+                    });
                 }
+
+                this._refreshActivePath();
+                console.log(`Loaded ${conversation.messages.length} messages from ${this.storage.name} storage for session ${this.sessionId}`);
             }
+            this.isLoaded = true;
         } catch (error) {
-            console.error('Error loading conversation from MongoDB:', error);
+            console.error(`Error loading conversation from ${this.storage.name} storage:`, error);
             // Continue with empty messages array if there's an error
         }
     }
 
     /**
-     * Queue an operation for batch processing
-     * @param {string} operationType - Type of operation ('add', 'prune', etc.)
-     * @param {Object} payload - Additional data for the operation
+     * Queue the operations a previous run logged but never saved, and try to save them now
+     * @private
+     */
+    async _replayWriteAheadLog() {
+        if (!this.writeAheadLog) return;
+
+        const queued = new Set(this.pendingOperations.map(operation => operation.id));
+        const operations = (await this.writeAheadLog.read(this.sessionId))
+            .filter(operation => !queued.has(operation.id));
+        if (operations.length === 0) return;
+
+        console.log(`Replaying ${operations.length} logged operations for session ${this.sessionId}`);
+        this.pendingOperations = [...operations, ...this.pendingOperations];
+        await this._processBatch();
+    }
+
+    /**
+     * Queue an operation for batch processing. With a write-ahead log the
+     * operation is on disk before this returns; it stays queued until storage
+     * has applied it, including while storage is unavailable.
+     * @param {string} operationType - Type of operation:
+     *   'add' ({ items: messages }), 'update' ({ items: [{ id, fields }] }), 'prune' or 'delete' ({ ids }),
+     *   'summarize' ({ ids, summary }), 'branches' ({ branches, activeBranchId }), 'title' ({ title }),
+     *   'owner' ({ userId }) or 'replace' ({ messages, summaries, branches, activeBranchId, title, userId })
+     * @param {Object} payload - Data for the operation
      * @private
      */
     async _queueOperation(operationType, payload = {}) {
-        if (!this.isMongoConnected) {
-            if (this.debug) console.log(`MongoDB not connected, skipping ${operationType} operation queue`);
+        if (!this.storage) {
+            if (this.debug) console.log(`No storage configured, skipping ${operationType} operation queue`);
             return;
         }
 
-        // Add operation to queue
-        this.pendingOperations.push({
+        // A session without an owner is claimed for this instance's user by its first write
+        if (this.userId && !this.owner && operationType !== 'owner') {
+            await this.setOwner(this.userId);
+        }
+
+        const operation = {
+            id: randomUUID(),
+            sessionId: this.sessionId,
             type: operationType,
             payload,
             timestamp: Date.now()
-        });
+        };
+
+        if (this.writeAheadLog) {
+            try {
+                await this.writeAheadLog.append(this.sessionId, [operation]);
+            } catch (error) {
+                console.error('Error writing to the write-ahead log:', error.message);
+            }
+        }
+
+        // Add operation to queue
+        this.pendingOperations.push(operation);
 
         if (this.debug) console.log(`Queued ${operationType} operation. Queue size: ${this.pendingOperations.length}`);
 
@@ -139,80 +259,191 @@ export class Memory {
     }
 
     /**
-     * Process queued operations in a batch
+     * Try the queue again later, e.g. once storage reconnects. The timer doesn't
+     * keep the process alive; the write-ahead log covers an exit in the meantime.
+     * @private
+     */
+    _scheduleRetry() {
+        if (this.retryTimeout) return;
+        this.retryTimeout = setTimeout(async () => {
+            this.retryTimeout = null;
+            this._updateStorageStatus();
+            await this._processBatch();
+        }, this.retryDelay);
+        this.retryTimeout.unref?.();
+    }
+
+    /**
+     * Process queued operations in a batch, replaying them against storage
+     * in the order they happened. Operations queued while a batch is being
+     * written are picked up by the same run, and callers arriving during a
+     * run wait for it to finish. Operations that can't be saved stay queued
+     * (and logged) and are retried.
      * @private
      */
     async _processBatch() {
-        if (this.isSaving || this.pendingOperations.length === 0) {
+        if (this.isSaving) {
+            return this.savingPromise;
+        }
+        if (this.pendingOperations.length === 0) {
             return;
         }
         
         this.isSaving = true;
-        
+        this.savingPromise = this._runBatches();
+        return this.savingPromise;
+    }
+
+    /**
+     * Drain the operation queue
+     * @private
+     */
+    async _runBatches() {
         try {
-            const operationsToProcess = [...this.pendingOperations];
-            this.pendingOperations = [];
-            
-            if (this.debug) {
-                console.log(`Processing batch of ${operationsToProcess.length} operations`);
-            }
-            
-            // Process all operations
-            await this._saveToMongoDB();
-            
-            if (this.debug) {
-                console.log(`Successfully processed ${operationsToProcess.length} operations`);
+            while (this.pendingOperations.length > 0) {
+                if (!this._updateStorageStatus()) {
+                    if (this.debug) console.log(`Storage not ready, keeping ${this.pendingOperations.length} operations queued`);
+                    this._scheduleRetry();
+                    break;
+                }
+
+                const operationsToProcess = this.pendingOperations;
+                this.pendingOperations = [];
+                
+                if (this.debug) {
+                    console.log(`Processing batch of ${operationsToProcess.length} operations`);
+                }
+
+                // Consecutive adds become one append and consecutive updates one write
+                const steps = [];
+                for (const operation of operationsToProcess) {
+                    const last = steps[steps.length - 1];
+                    if (last && last.type === operation.type && last.sessionId === operation.sessionId
+                        && (operation.type === 'add' || operation.type === 'update')) {
+                        last.items.push(...operation.payload.items);
+                        last.operations.push(operation);
+                    } else {
+                        steps.push({
+                            type: operation.type,
+                            sessionId: operation.sessionId,
+                            payload: operation.payload,
+                            items: [...(operation.payload.items || [])],
+                            operations: [operation]
+                        });
+                    }
+                }
+
+                for (let i = 0; i < steps.length; i++) {
+                    const saved = await this._saveToStorage(steps[i]);
+                    if (!saved) {
+                        // Keep the unsaved operations, in order, ahead of anything queued since
+                        this.pendingOperations = [...steps.slice(i).flatMap(step => step.operations), ...this.pendingOperations];
+                        this._scheduleRetry();
+                        return;
+                    }
+                    await this._removeFromWriteAheadLog(steps[i]);
+                }
+                
+                if (this.debug) {
+                    console.log(`Successfully processed ${operationsToProcess.length} operations`);
+                }
             }
         } catch (error) {
             console.error('Error processing batch operations:', error);
-            // Re-queue failed operations
-            this.pendingOperations = [...this.pendingOperations];
         } finally {
             this.isSaving = false;
+            this.savingPromise = null;
         }
     }
 
     /**
-     * Save conversation to MongoDB with retry logic
+     * Drop a saved step's operations from the write-ahead log
+     * @param {Object} step - The saved step
      * @private
+     */
+    async _removeFromWriteAheadLog(step) {
+        if (!this.writeAheadLog) return;
+        try {
+            // A saved delete also drops the deleted messages from logged adds: storage only
+            // skips ids it still holds, so replaying those adds would restore the messages
+            const removedIds = ['prune', 'delete'].includes(step.type) ? step.payload.ids : [];
+            await this.writeAheadLog.remove(step.sessionId, step.operations.map(operation => operation.id), removedIds);
+        } catch (error) {
+            // The operations stay logged and are replayed later. Replaying them is safe: the
+            // log is rewritten as a whole, so a delete whose removal failed is still logged
+            // after the adds it undoes
+            console.warn('Error updating the write-ahead log:', error.message);
+        }
+    }
+
+    /**
+     * Apply one step of a batch to storage with retry logic
+     * @private
+     * @param {Object} step - { type: 'add'|'update'|'prune'|'delete'|'summarize'|'branches'|'title'|'owner'|'replace', sessionId, payload, items }
      * @param {number} retryCount - Current retry attempt (default: 0)
      * @param {number} maxRetries - Maximum number of retries (default: 3)
      * @param {number} baseDelay - Base delay for exponential backoff in ms (default: 300)
+     * @returns {Promise<boolean>} - Whether the step was saved
      */
-    async _saveToMongoDB(retryCount = 0, maxRetries = 3, baseDelay = 300) {
-        if (!this.isMongoConnected) {
-            if (this.debug) console.log('MongoDB not connected, skipping save');
-            return;
+    async _saveToStorage(step, retryCount = 0, maxRetries = 3, baseDelay = 300) {
+        if (!this.isStorageReady) {
+            if (this.debug) console.log('Storage not ready, skipping save');
+            return false;
         }
 
         try {
-            if (this.debug) console.log(`Attempting to save ${this.messages.length} messages to MongoDB for session ${this.sessionId}`);
-
-            // Find or create conversation document
-            const result = await Conversation.findOneAndUpdate(
-                { sessionId: this.sessionId },
-                {
-                    messages: this.messages,
-                    lastUpdated: new Date()
-                },
-                { upsert: true, new: true, lean: true } // Using lean for better performance
-            );
+            if (this.debug) console.log(`Saving ${step.type} operation to ${this.storage.name} storage for session ${step.sessionId}`);
+
+            switch (step.type) {
+                case 'add':
+                    await this.storage.append(step.sessionId, step.items);
+                    break;
+                case 'update':
+                    await this.storage.updateMessages(step.sessionId, step.items);
+                    break;
+                case 'prune':
+                case 'delete':
+                    await this.storage.removeMessages(step.sessionId, step.payload.ids);
+                    break;
+                case 'summarize':
+                    await this.storage.updateMessages(
+                        step.sessionId,
+                        step.payload.ids.map(id => ({ id, fields: { summarized: true } }))
+                    );
+                    await this.storage.addSummary(step.sessionId, step.payload.summary);
+                    break;
+                case 'branches':
+                    await this.storage.setBranches(step.sessionId, step.payload);
+                    break;
+                case 'title':
+                    await this.storage.setTitle(step.sessionId, step.payload.title);
+                    break;
+                case 'owner':
+                    await this.storage.setOwner(step.sessionId, step.payload.userId);
+                    break;
+                case 'replace':
+                    await this.storage.replace(step.sessionId, step.payload);
+                    break;
+                default:
+                    throw new Error(`Unknown storage operation "${step.type}"`);
+            }
 
             if (this.debug) {
-                console.log(`Successfully saved ${this.messages.length} messages to MongoDB for session ${this.sessionId}`);
-                console.log(`MongoDB document ID: ${result._id}`);
+                console.log(`Successfully saved ${step.type} operation to ${this.storage.name} storage for session ${step.sessionId}`);
             }
+            return true;
         } catch (error) {
-            console.error(`Error saving conversation to MongoDB (attempt ${retryCount + 1}/${maxRetries + 1}):`, error);
+            console.error(`Error saving conversation to ${this.storage.name} storage (attempt ${retryCount + 1}/${maxRetries + 1}):`, error);
             
             // Implement exponential backoff retry logic
-            if (retryCount < maxRetries) {
+            if (retryCount < maxRetries && this._updateStorageStatus()) {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 if (this.debug) console.log(`Retrying in ${delay}ms...`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this._saveToMongoDB(retryCount + 1, maxRetries, baseDelay);
+                return this._saveToStorage(step, retryCount + 1, maxRetries, baseDelay);
             } else {
-                console.error(`Failed to save conversation after ${maxRetries + 1} attempts`);
+                console.error(`Could not save conversation; ${step.operations.length} operations stay queued${this.writeAheadLog ? ' in the write-ahead log' : ''}`);
+                return false;
             }
         }
     }
@@ -230,34 +461,111 @@ export class Memory {
         };
         
         // Convert the message to a string and calculate its byte size
-        return stringToBytes(JSON.stringify(message));
+        // (the cached embedding is bookkeeping, not conversation content)
+        const { embedding, ...content } = message;
+        return stringToBytes(JSON.stringify(content));
     }
 
     /**
-     * Calculate relevance score between a message and current context
-     * @param {Object} message - The message to evaluate
-     * @param {string} currentContext - The current context to compare against
-     * @returns {Promise<number>} - Relevance score (0-1)
+     * Embed a piece of text
+     * @param {string} text - Text to embed
+     * @returns {Promise<Array<number>|null>} - Embedding vector, or null if unavailable
      * @private
      */
-    async _calculateRelevanceScore(message, currentContext) {
+    async _embedText(text) {
+        if (!this.embeddingModel || !text) return null;
+
         try {
-            if (!this.embeddingModel) {
-                const textScore = this._basicTextSimilarity(message.text, currentContext);
-                return textScore;
+            const result = await this.embeddingModel.embedContent(text);
+            const values = result?.embedding?.values;
+            return values && values.length > 0 ? Array.from(values) : null;
+        } catch (error) {
+            console.warn('Embedding error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Make sure a message has a cached embedding in the vector index.
+     * Each message is embedded once; concurrent callers share the same request.
+     * @param {Object} message - The message
+     * @returns {Promise<Array<number>|null>} - The message embedding
+     * @private
+     */
+    async _ensureEmbedding(message) {
+        if (message.embedding) {
+            if (!this.vectorIndex.has(message)) this.vectorIndex.add(message, message.embedding);
+            return message.embedding;
+        }
+
+        if (!this.pendingEmbeddings.has(message)) {
+            const text = message.text;
+            this.pendingEmbeddings.set(message, this._embedText(text).then(embedding => {
+                this.pendingEmbeddings.delete(message);
+                // Skip messages pruned or edited while their embedding was in flight
+                if (embedding && this.messages.includes(message) && message.text === text) {
+                    message.embedding = embedding;
+                    this.vectorIndex.add(message, embedding);
+                    // Persist the embedding so it isn't computed again after a reload
+                    this._queueOperation('update', { items: [{ id: message.id, fields: { embedding } }] });
+                }
+                return embedding;
+            }));
+        }
+        return this.pendingEmbeddings.get(message);
+    }
+
+    /**
+     * Score every message by relevance to a query. The query is embedded once
+     * and compared against cached message embeddings through the vector index;
+     * without embeddings, word overlap is used instead.
+     * @param {string} query - The query to compare against
+     * @returns {Promise<Map<Object, number>>} - Score per message
+     * @private
+     */
+    async _scoreMessages(query) {
+        const scores = new Map();
+        const queryEmbedding = await this._embedText(query);
+
+        if (queryEmbedding) {
+            await Promise.all(this.messages.map(message => this._ensureEmbedding(message)));
+            for (const { id, score } of this.vectorIndex.search(queryEmbedding)) {
+                scores.set(id, score);
             }
+        }
 
-            // If embedding model is available, use it for better similarity
-            const messageEmbedding = await this.embeddingModel.embedContent(message.text);
-            const contextEmbedding = await this.embeddingModel.embedContent(currentContext);
+        // Fall back to word overlap for anything the index couldn't score
+        for (const message of this.messages) {
+            if (!scores.has(message)) {
+                scores.set(message, this._basicTextSimilarity(message.text, query));
+            }
+        }
 
-            return this._cosineSimilarity(
-                messageEmbedding.embedding.values,
-                contextEmbedding.embedding.values
-            );
-        } catch (error) {
-            console.warn('Relevance calculation error:', error);
-            return 0;
+        return scores;
+    }
+
+    /**
+     * Find the messages most similar to a query
+     * @param {string} query - The query
+     * @param {number} k - Number of messages to return (default: 5)
+     * @returns {Promise<Array<Object>>} - [{ message, score }], most similar first
+     */
+    async searchSimilar(query, k = 5) {
+        const scores = await this._scoreMessages(query);
+        return [...scores.entries()]
+            .map(([message, score]) => ({ message, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    /**
+     * Remove messages from the vector index
+     * @param {Array<Object>} messages - Messages that were removed
+     * @private
+     */
+    _unindexMessages(messages) {
+        for (const message of messages) {
+            this.vectorIndex.remove(message);
         }
     }
 
@@ -276,29 +584,6 @@ export class Memory {
         return intersection.length / Math.sqrt(words1.size * words2.size);
     }
 
-    /**
-     * Calculate cosine similarity between two vectors
-     * @param {Array<number>} vec1 - First vector
-     * @param {Array<number>} vec2 - Second vector
-     * @returns {number} - Similarity score (0-1)
-     * @private
-     */
-    _cosineSimilarity(vec1, vec2) {
-        if (vec1.length !== vec2.length) return 0;
-
-        let dotProduct = 0;
-        let mag1 = 0;
-        let mag2 = 0;
-
-        for (let i = 0; i < vec1.length; i++) {
-            dotProduct += vec1[i] * vec2[i];
-            mag1 += vec1[i] * vec1[i];
-            mag2 += vec2[i] * vec2[i];
-        }
-
-        return dotProduct / (Math.sqrt(mag1) * Math.sqrt(mag2));
-    }
-
     /**
      * Prune the conversation history based on relevance to current context
      * @param {string} currentContext - The current context
@@ -307,14 +592,32 @@ export class Memory {
     async prune(currentContext) {
         if (this.messages.length <= this.maxMessageCount) return;
 
+        // The last message each summary covers marks where the summary ends on a branch, so it is kept
+        const anchors = new Set(this.summaries.map(summary => summary.lastMessageId).filter(Boolean));
+
+        // Messages covered by the summary are already condensed, so drop those first
+        if (this.summarize) {
+            const excess = this.messages.length - this.maxMessageCount;
+            const unsummarized = new Set(this.getUnsummarizedMessages());
+            const removedMessages = this.messages
+                .filter(message => !unsummarized.has(message) && !anchors.has(message.id))
+                .slice(0, excess);
+
+            if (removedMessages.length > 0) {
+                console.log(`Pruned ${removedMessages.length} summarized messages`);
+                await this._removeMessages(removedMessages, 'prune');
+            }
+            if (this.messages.length <= this.maxMessageCount) return;
+        }
+
         // Calculate relevance scores for all messages
-        const scoredMessages = await Promise.all(
-            this.messages.map(async (message, index) => ({
-                index,
+        const scores = await this._scoreMessages(currentContext);
+        const scoredMessages = this.messages
+            .filter(message => !anchors.has(message.id))
+            .map(message => ({
                 message,
-                score: await this._calculateRelevanceScore(message, currentContext)
-            }))
-        );
+                score: scores.get(message)
+            }));
 
         // Sort by relevance (least relevant first)
         const sortedByLeastRelevant = scoredMessages
@@ -322,73 +625,61 @@ export class Memory {
 
         // Determine how many messages to remove
         const messagesToRemoveCount = this.messages.length - this.maxMessageCount;
-        
-        // Get the indices of messages to remove (least relevant ones)
-        const messagesToRemove = sortedByLeastRelevant
+
+        // Remove the least relevant messages
+        const removedMessages = sortedByLeastRelevant
             .slice(0, messagesToRemoveCount)
-            .map(item => item.index);
-
-        // Create a new array with only the messages we want to keep
-        // This is more efficient than using splice multiple times
-        const newMessages = [];
-        for (let i = 0; i < this.messages.length; i++) {
-            if (!messagesToRemove.includes(i)) {
-                newMessages.push(this.messages[i]);
-            }
-        }
-        
-        this.messages = newMessages;
-        console.log(`Pruned ${messagesToRemoveCount} messages, keeping ${this.messages.length} most relevant messages`);
+            .map(item => item.message);
 
-        // Queue prune operation for batch saving instead of immediate save
-        await this._queueOperation('prune', { removedCount: messagesToRemoveCount });
+        await this._removeMessages(removedMessages, 'prune');
+        console.log(`Pruned ${removedMessages.length} messages, keeping ${this.messages.length} most relevant messages`);
     }
 
     /**
-     * Check if MongoDB is connected and update the connection status
-     * This should be called before any operation that requires MongoDB
+     * Check whether the storage is ready and update the status, waiting
+     * for a connection that is still being opened.
+     * This should be called before any operation that requires storage
      * @param {number} timeoutMs - Maximum time to wait for connection in ms
-     * @returns {Promise<boolean>} - Whether MongoDB is connected
+     * @returns {Promise<boolean>} - Whether the storage is ready
      */
-    async checkMongoConnection(timeoutMs = 5000) {
-        // Wait for MongoDB connection to be established
-        if (mongoose.connection.readyState === 0) {
-            if (this.debug) console.log('MongoDB connection not yet established, waiting...');
-            // Create a promise that resolves when connection is established or rejects after timeout
+    async checkStorage(timeoutMs = 5000) {
+        if (!this.storage) return false;
+
+        // Let an initial load finish before anything reads or writes the session
+        if (this.loading) await this.loading;
+
+        if (!this.storage.isReady()) {
+            if (this.debug) console.log(`${this.storage.name} storage not yet ready, waiting...`);
             try {
-                await Promise.race([
-                    // Promise that resolves when connection is established
-                    new Promise(resolve => {
-                        const checkInterval = setInterval(() => {
-                            if (mongoose.connection.readyState === 1) {
-                                clearInterval(checkInterval);
-                                resolve(true);
-                            }
-                        }, 100);
-                    }),
-                    // Promise that rejects after timeout
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('MongoDB connection timeout')), timeoutMs)
-                    )
-                ]);
+                await this.storage.waitUntilReady(timeoutMs);
             } catch (error) {
-                console.warn('MongoDB connection failed:', error.message);
-                this._updateMongoConnectionStatus();
-                return false;
+                console.warn(`${this.storage.name} storage unavailable:`, error.message);
             }
         }
 
         // Update the connection status
-        this._updateMongoConnectionStatus();
-        if (this.debug) console.log(`MongoDB connection check: ${this.isMongoConnected ? 'Connected' : 'Not connected'}`);
-        return this.isMongoConnected;
+        this._updateStorageStatus();
+        if (this.debug) console.log(`${this.storage.name} storage check: ${this.isStorageReady ? 'Ready' : 'Not ready'}`);
+
+        // Storage became available after start (or reconnected): load the session and save what queued up
+        if (this.isStorageReady && !this.isLoaded) {
+            this.loading = this._loadFromStorage();
+            await this.loading;
+            this.loading = null;
+        } else if (this.isStorageReady && this.pendingOperations.length > 0 && this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+            await this._processBatch();
+        }
+        return this.isStorageReady;
     }
 
     /**
      * Add a message to the conversation history
      * @param {Object} message - The message to add
+     *   ({ role: 'user'|'assistant'|'system'|'tool_call'|'tool_result', text, toolCall?, toolResult? })
      * @param {string} currentContext - The current context
-     * @returns {Promise<void>}
+     * @returns {Promise<Object>} - The stored message, with its id
      */
     async addMessage(message, currentContext) {
         // Log message with a more sophisticated approach
@@ -402,9 +693,11 @@ export class Memory {
             console.log(`Current session ID: ${this.sessionId}`);
         }
 
-        // Check MongoDB connection before trying to save
-        await this.checkMongoConnection();
-        if (this.debug) console.log(`MongoDB connected: ${this.isMongoConnected}`);
+        // Check storage before trying to save
+        if (this.storage) {
+            await this.checkStorage();
+        }
+        if (this.debug) console.log(`Storage ready: ${this.isStorageReady}`);
 
         // Add timestamp if not already present
         if (!message.timestamp) {
@@ -417,18 +710,28 @@ export class Memory {
             await this.prune(currentContext);
         }
 
-        this.messages.push({
-            ...message
-        });
+        // The id identifies the message in storage, so a replayed write never duplicates it.
+        // The message continues the active branch.
+        const head = this.messages[this.messages.length - 1];
+        const storedMessage = {
+            ...message,
+            id: message.id || randomUUID(),
+            parentId: head ? head.id : null,
+            branchId: this.activeBranchId
+        };
+        this.allMessages.push(storedMessage);
+        this.messages.push(storedMessage);
 
         if (this.debug) console.log(`Current memory size: ${this.messages.length} messages`);
 
-        // Queue message add operation for batch saving
-        if (this.isMongoConnected) {
-            await this._queueOperation('add', { messageId: message.timestamp });
-            // Force save to ensure messages are persisted immediately
-            await this._processBatch();
+        // Queue the message to be appended with the next batch
+        await this._queueOperation('add', { items: [storedMessage] });
+
+        if (this.summarize) {
+            await this.summarizeOlderMessages();
         }
+
+        return storedMessage;
     }
 
     /**
@@ -440,12 +743,11 @@ export class Memory {
     async getRelevantContext(currentQuery, maxContextSize = 1024 * 1024) {
         if (this.messages.length === 0) return [];
 
-        const scoredMessages = await Promise.all(
-            this.messages.map(async (message) => ({
-                message,
-                score: await this._calculateRelevanceScore(message, currentQuery)
-            }))
-        );
+        const scores = await this._scoreMessages(currentQuery);
+        const scoredMessages = this.messages.map(message => ({
+            message,
+            score: scores.get(message)
+        }));
 
         // Sort by relevance (most relevant first)
         const sortedMessages = scoredMessages
@@ -474,25 +776,395 @@ export class Memory {
     }
 
     /**
-     * Get all messages in the conversation history
-     * @returns {Array} - All messages
+     * Get a message by id, on any branch
+     * @param {string} id - Message id
+     * @returns {Object|null} - The message, or null if there is none with that id
+     */
+    getMessage(id) {
+        return this.allMessages.find(message => message.id === id) || null;
+    }
+
+    /**
+     * Get the messages leading to a message, on whichever branch it is
+     * @param {string} id - Message id
+     * @returns {Array<Object>} - Messages from the start of the conversation to the message
+     */
+    getPathTo(id) {
+        return pathTo(new Map(this.allMessages.map(message => [message.id, message])), id);
+    }
+
+    /**
+     * Change the text of a message. Its cached embedding is dropped and
+     * recomputed from the new text when next needed.
+     * @param {string} id - Message id
+     * @param {string} text - New text
+     * @returns {Promise<Object>} - The updated message
+     */
+    async editMessage(id, text) {
+        const message = this.getMessage(id);
+        if (!message) {
+            throw new Error(`No message with id "${id}" in session ${this.sessionId}`);
+        }
+        if (message.summarized) {
+            throw new Error(`Message "${id}" has already been condensed into the conversation summary and can't be edited`);
+        }
+
+        message.text = text;
+        message.editedAt = Date.now();
+        delete message.embedding;
+        this.vectorIndex.remove(message);
+
+        await this._queueOperation('update', {
+            items: [{ id, fields: { text, editedAt: message.editedAt, embedding: null } }]
+        });
+        return message;
+    }
+
+    /**
+     * Delete a message. A tool call and its result are deleted together,
+     * so the history never holds a call without its response. Messages that
+     * followed it (on any branch) now follow the message before it.
+     * @param {string} id - Message id
+     * @returns {Promise<Array<Object>>} - The deleted messages
+     */
+    async deleteMessage(id) {
+        const message = this.getMessage(id);
+        if (!message) {
+            throw new Error(`No message with id "${id}" in session ${this.sessionId}`);
+        }
+        if (message.summarized) {
+            throw new Error(`Message "${id}" has already been condensed into the conversation summary and can't be deleted`);
+        }
+
+        const callId = message.toolCall?.id || message.toolResult?.id;
+        const removed = callId
+            ? this.allMessages.filter(other => (other.toolCall?.id || other.toolResult?.id) === callId)
+            : [message];
+
+        await this._removeMessages(removed);
+        return removed;
+    }
+
+    /**
+     * Delete every message after the given one on the active branch, so the
+     * branch continues from it. Messages other branches still lead through
+     * are kept and handed over to one of those branches.
+     * @param {string} id - Id of the last message to keep
+     * @returns {Promise<Array<Object>>} - The deleted messages
+     */
+    async truncateAfter(id) {
+        const index = this.messages.findIndex(message => message.id === id);
+        if (index === -1) {
+            throw new Error(`No message with id "${id}" on the active branch of session ${this.sessionId}`);
+        }
+
+        const branch = this.getActiveBranch();
+        const after = this.messages.slice(index + 1);
+        const afterIds = new Set(after.map(message => message.id));
+
+        // Truncating before the fork point moves the fork point back
+        if (branch.forkedFrom && afterIds.has(branch.forkedFrom)) {
+            branch.forkedFrom = id;
+            await this._queueBranches();
+        }
+
+        // Messages shared with other branches stay, owned by the first branch that uses them
+        const sharedBy = new Map();
+        for (const other of this.branches) {
+            if (other === branch) continue;
+            for (const message of branchPath(this.allMessages, other)) {
+                if (afterIds.has(message.id) && !sharedBy.has(message)) sharedBy.set(message, other.id);
+            }
+        }
+
+        const own = after.filter(message => branchIdOf(message) === branch.id);
+        const handedOver = own.filter(message => sharedBy.has(message));
+        const removed = own.filter(message => !sharedBy.has(message));
+
+        for (const message of handedOver) {
+            message.branchId = sharedBy.get(message);
+        }
+        if (handedOver.length > 0) {
+            await this._queueOperation('update', {
+                items: handedOver.map(message => ({ id: message.id, fields: { branchId: message.branchId } }))
+            });
+        }
+
+        await this._removeMessages(removed);
+        this._refreshActivePath();
+        return removed;
+    }
+
+    /**
+     * Remove messages from memory and storage. Messages that followed a removed
+     * message, and branches forked from one, continue from its closest remaining ancestor.
+     * @param {Array<Object>} removed - Messages to remove
+     * @param {string} operationType - Storage operation to queue ('delete' or 'prune')
+     * @private
+     */
+    async _removeMessages(removed, operationType = 'delete') {
+        if (removed.length === 0) return;
+
+        const removedIds = new Set(removed.map(message => message.id));
+        const byId = new Map(this.allMessages.map(message => [message.id, message]));
+        const closestRemaining = id => {
+            let current = id ? byId.get(id) : null;
+            while (current && removedIds.has(current.id)) {
+                current = current.parentId ? byId.get(current.parentId) : null;
+            }
+            return current ? current.id : null;
+        };
+
+        this.allMessages = this.allMessages.filter(message => !removedIds.has(message.id));
+
+        const relinked = this.allMessages.filter(message => message.parentId && removedIds.has(message.parentId));
+        for (const message of relinked) {
+            message.parentId = closestRemaining(message.parentId);
+        }
+        const movedBranches = this.branches.filter(branch => branch.forkedFrom && removedIds.has(branch.forkedFrom));
+        for (const branch of movedBranches) {
+            branch.forkedFrom = closestRemaining(branch.forkedFrom);
+        }
+
+        this._unindexMessages(removed);
+        this._refreshActivePath();
+
+        await this._queueOperation(operationType, { ids: [...removedIds] });
+        if (relinked.length > 0) {
+            await this._queueOperation('update', {
+                items: relinked.map(message => ({ id: message.id, fields: { parentId: message.parentId } }))
+            });
+        }
+        if (movedBranches.length > 0) {
+            await this._queueBranches();
+        }
+    }
+
+    /**
+     * Get all messages on the active branch path
+     * @returns {Array} - All messages in chronological order
      */
     getAllMessages() {
         return this.messages;
     }
 
     /**
-     * Update MongoDB connection status
+     * Get the messages on the active branch not yet covered by its summary
+     * @returns {Array} - Unsummarized messages in chronological order
+     */
+    getUnsummarizedMessages() {
+        const summary = this.getSummary();
+        if (!summary) return this.messages;
+        if (summary.lastMessageId) {
+            const index = this.messages.findIndex(message => message.id === summary.lastMessageId);
+            return this.messages.slice(index + 1);
+        }
+        // Summaries written before branching mark the messages they cover
+        return this.messages.filter(message => !message.summarized);
+    }
+
+    /**
+     * Get the rolling summary of the active branch: the one that covers the
+     * most of its path. A summary written on another branch applies when the
+     * messages it covers are shared.
+     * @returns {Object|null} - { text, messageCount, coversUntil, lastMessageId, timestamp } or null
+     */
+    getSummary() {
+        const positions = new Map(this.messages.map((message, index) => [message.id, index]));
+        // Summaries written before branching apply while the path holds the messages they marked
+        const hasMarkedMessages = this.messages.some(message => message.summarized);
+        let latest = null;
+        let latestPosition = -1;
+        for (const summary of this.summaries) {
+            if (!summary.lastMessageId) {
+                if (hasMarkedMessages && latestPosition === -1) latest = summary;
+                continue;
+            }
+            const position = positions.get(summary.lastMessageId);
+            if (position !== undefined && position >= latestPosition) {
+                latest = summary;
+                latestPosition = position;
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Condense older unsummarized messages into the rolling summary once
+     * more than `summarizeAfter` of them have accumulated. The most recent
+     * `keepRecentMessages` stay verbatim, and the span always ends before a
+     * user message so a turn (including its tool calls) is never split.
+     * @returns {Promise<Object|null>} - The new summary, or null if nothing was summarized
+     */
+    async summarizeOlderMessages() {
+        if (!this.summarizer || this.isSummarizing) return null;
+
+        const unsummarized = this.getUnsummarizedMessages();
+        if (unsummarized.length <= this.summarizeAfter) return null;
+
+        // Find the span end: keep the recent messages, then back up to a turn boundary
+        let end = unsummarized.length - this.keepRecentMessages;
+        while (end > 0 && unsummarized[end] && unsummarized[end].role !== 'user') {
+            end--;
+        }
+        if (end <= 0) return null;
+
+        const span = unsummarized.slice(0, end);
+        const previousSummary = this.getSummary();
+
+        this.isSummarizing = true;
+        try {
+            const text = await this.summarizer({
+                messages: span,
+                previousSummary: previousSummary ? previousSummary.text : null
+            });
+            if (!text || !text.trim()) return null;
+
+            const summary = {
+                id: randomUUID(),
+                text: text.trim(),
+                messageCount: (previousSummary ? previousSummary.messageCount : 0) + span.length,
+                coversUntil: span[span.length - 1].timestamp,
+                branchId: this.activeBranchId,
+                lastMessageId: span[span.length - 1].id,
+                timestamp: Date.now()
+            };
+            this.summaries.push(summary);
+            for (const message of span) {
+                message.summarized = true;
+            }
+
+            console.log(`Summarized ${span.length} older messages (${summary.messageCount} total covered by summary)`);
+            await this._queueOperation('summarize', { ids: span.map(message => message.id), summary });
+            return summary;
+        } catch (error) {
+            // Leave the messages unsummarized and try again on a later message
+            console.error('Error summarizing conversation:', error.message);
+            return null;
+        } finally {
+            this.isSummarizing = false;
+        }
+    }
+
+    /**
+     * Get the active branch
+     * @returns {Object} - { id, name, forkedFrom, createdAt }
+     */
+    getActiveBranch() {
+        return this.branches.find(branch => branch.id === this.activeBranchId);
+    }
+
+    /**
+     * List the session's branches
+     * @returns {Array<Object>} - [{ id, name, forkedFrom, createdAt, messageCount, active }]
+     */
+    listBranches() {
+        return this.branches.map(branch => ({
+            ...branch,
+            messageCount: branchPath(this.allMessages, branch).length,
+            active: branch.id === this.activeBranchId
+        }));
+    }
+
+    /**
+     * Start a new branch after a message. The branch shares the history up to
+     * and including that message; messages added while it is active continue from there.
+     * @param {string|null} messageId - Message to fork from, on any branch (null starts an empty branch)
+     * @param {Object} options
+     * @param {string} options.name - Branch name (default: 'branch-<n>')
+     * @param {boolean} options.switchTo - Make the new branch active (default: true)
+     * @returns {Promise<Object>} - The new branch
+     */
+    async fork(messageId, options = {}) {
+        if (messageId !== null && !this.getMessage(messageId)) {
+            throw new Error(`No message with id "${messageId}" in session ${this.sessionId}`);
+        }
+
+        const branch = {
+            id: randomUUID(),
+            name: options.name || `branch-${this.branches.length}`,
+            forkedFrom: messageId,
+            createdAt: Date.now()
+        };
+        this.branches.push(branch);
+        if (options.switchTo !== false) {
+            this.activeBranchId = branch.id;
+            this._refreshActivePath();
+        }
+
+        console.log(`Forked branch ${branch.name} from ${messageId ? `message ${messageId}` : 'the start'} in session ${this.sessionId}`);
+        await this._queueBranches();
+        return branch;
+    }
+
+    /**
+     * Make another branch active; the context is built from its path from then on
+     * @param {string} branchId - Branch id
+     * @returns {Promise<Object>} - The branch
+     */
+    async switchBranch(branchId) {
+        const branch = this.branches.find(other => other.id === branchId);
+        if (!branch) {
+            throw new Error(`No branch with id "${branchId}" in session ${this.sessionId}`);
+        }
+        if (branchId === this.activeBranchId) return branch;
+
+        this.activeBranchId = branchId;
+        this._refreshActivePath();
+        await this._queueBranches();
+        return branch;
+    }
+
+    /**
+     * Recompute the active branch path and index its embeddings
      * @private
-     * @returns {boolean} - Current connection status
      */
-    _updateMongoConnectionStatus() {
-        const newConnectionStatus = mongoose.connection.readyState === 1;
-        
-        // Update connection status without logging the change
-        this.isMongoConnected = newConnectionStatus;
+    _refreshActivePath() {
+        this.messages = branchPath(this.allMessages, this.getActiveBranch());
+        this.vectorIndex.clear();
+        for (const message of this.messages) {
+            if (message.embedding) this.vectorIndex.add(message, message.embedding);
+        }
+    }
 
-        return this.isMongoConnected;
+    /**
+     * Queue a save of the branches and the active branch
+     * @private
+     */
+    async _queueBranches() {
+        await this._queueOperation('branches', {
+            branches: this.branches.map(branch => ({ ...branch })),
+            activeBranchId: this.activeBranchId
+        });
+    }
+
+    /**
+     * Copy of the whole session, for a 'replace' operation
+     * @returns {Object} - { messages, summaries, branches, activeBranchId, title, userId }
+     * @private
+     */
+    _snapshot() {
+        return {
+            messages: [...this.allMessages],
+            summaries: [...this.summaries],
+            branches: this.branches.map(branch => ({ ...branch })),
+            activeBranchId: this.activeBranchId,
+            title: this.title,
+            // An unclaimed session is claimed by the write this snapshot is for (see _queueOperation)
+            userId: this.owner || this.userId
+        };
+    }
+
+    /**
+     * Update storage status
+     * @private
+     * @returns {boolean} - Current storage status
+     */
+    _updateStorageStatus() {
+        // Update status without logging the change
+        this.isStorageReady = this.storage ? this.storage.isReady() : false;
+
+        return this.isStorageReady;
     }
 
     /**
@@ -507,14 +1179,131 @@ export class Memory {
 
         console.log(`Set conversation memory session ID to: ${sessionId}`);
         this.sessionId = sessionId;
+        this.allMessages = [];
         this.messages = [];
+        this.summaries = [];
+        this.branches = [createMainBranch()];
+        this.activeBranchId = MAIN_BRANCH_ID;
+        this.title = null;
+        this.owner = null;
+        this.vectorIndex.clear();
+        this.isLoaded = false;
+
+        // Check storage, which loads the new session once it is ready
+        if (this.storage) {
+            await this.checkStorage();
+        }
+    }
+
+    /**
+     * List the sessions kept in storage
+     * @param {Object} filter - { userId } to list only that user's sessions
+     * @returns {Promise<Array<Object>>} - [{ sessionId, title, userId, messageCount, lastUpdated }], most recent first
+     */
+    async listSessions(filter = {}) {
+        if (!this.storage || !(await this.checkStorage())) return [];
+        return this.storage.listSessions(filter);
+    }
+
+    /**
+     * Get a session without switching to it: the current session from memory,
+     * any other from storage
+     * @param {string} sessionId - Session to get (default: the current session)
+     * @returns {Promise<Object|null>} - { sessionId, title, userId, messages, branches, activeBranchId }
+     *   with the messages of the active branch path, or null for an unknown session
+     */
+    async getSession(sessionId = this.sessionId) {
+        if (sessionId === this.sessionId) {
+            if (this.storage) await this.checkStorage();
+            return {
+                sessionId,
+                title: this.title,
+                userId: this.owner,
+                messages: [...this.messages],
+                branches: this.branches.map(branch => ({ ...branch })),
+                activeBranchId: this.activeBranchId
+            };
+        }
+
+        if (!this.storage || !(await this.checkStorage())) return null;
+        const conversation = await this.storage.load(sessionId);
+        if (!conversation) return null;
+
+        const branches = conversation.branches && conversation.branches.length > 0 ? conversation.branches : [createMainBranch()];
+        const activeBranch = branches.find(branch => branch.id === conversation.activeBranchId) || branches[0];
+        linkUnparentedMessages(conversation.messages);
+        return {
+            sessionId,
+            title: conversation.title || null,
+            userId: conversation.userId || null,
+            messages: branchPath(conversation.messages, activeBranch),
+            branches,
+            activeBranchId: activeBranch.id
+        };
+    }
+
+    /**
+     * Set the current session's title
+     * @param {string} title - New title
+     * @returns {Promise<void>}
+     */
+    async setTitle(title) {
+        this.title = title;
+        await this._queueOperation('title', { title });
+    }
 
-        // Check MongoDB connection before trying to load
-        await this.checkMongoConnection();
+    /**
+     * Record the user the current session belongs to
+     * @param {string} userId - Owner
+     * @returns {Promise<void>}
+     */
+    async setOwner(userId) {
+        this.owner = userId;
+        await this._queueOperation('owner', { userId });
+    }
 
-        if (this.isMongoConnected) {
-            await this._loadFromMongoDB();
+    /**
+     * Rename a session. Renaming the current session also updates it in memory.
+     * @param {string} sessionId - Session to rename
+     * @param {string} title - New title
+     * @returns {Promise<void>}
+     */
+    async renameSession(sessionId, title) {
+        if (sessionId === this.sessionId) return this.setTitle(title);
+        if (!this.storage || !(await this.checkStorage())) {
+            throw new Error('Storage is unavailable; only the current session can be renamed');
         }
+        await this.storage.setTitle(sessionId, title);
+    }
+
+    /**
+     * Delete a session from storage. Deleting the current session also clears it from memory.
+     * @param {string} sessionId - Session to delete (default: the current session)
+     * @returns {Promise<boolean>} - Whether the session existed in storage or had saves queued for it
+     */
+    async deleteSession(sessionId = this.sessionId) {
+        // Drop queued saves so they don't recreate the session
+        const unsaved = this.pendingOperations.some(operation => operation.sessionId === sessionId);
+        this.pendingOperations = this.pendingOperations.filter(operation => operation.sessionId !== sessionId);
+        if (this.savingPromise) await this.savingPromise;
+
+        if (sessionId === this.sessionId) {
+            this.allMessages = [];
+            this.messages = [];
+            this.summaries = [];
+            this.branches = [createMainBranch()];
+            this.activeBranchId = MAIN_BRANCH_ID;
+            this.title = null;
+            this.owner = null;
+            this.vectorIndex.clear();
+        }
+
+        if (this.writeAheadLog) {
+            await this.writeAheadLog.clear(sessionId);
+        }
+
+        if (!this.storage || !(await this.checkStorage())) return false;
+        return (await this.storage.delete(sessionId)) || unsaved;
     }
 
     /**
@@ -531,7 +1320,47 @@ export class Memory {
         if (this.pendingOperations.length > 0) {
             console.log(`Flushing ${this.pendingOperations.length} pending operations`);
             await this._processBatch();
+        } else if (this.savingPromise) {
+            await this.savingPromise;
+        }
+    }
+
+    /**
+     * Rough size of the session held in memory: messages, summaries and cached embeddings
+     * @returns {number} - Estimated size in bytes
+     */
+    estimateSize() {
+        let bytes = new TextEncoder().encode(JSON.stringify(this.summaries)).length;
+        for (const message of this.allMessages) {
+            bytes += this._estimateMessageSize(message);
+            // Numbers in an array take 8 bytes each
+            if (message.embedding) bytes += message.embedding.length * 8;
+        }
+        return bytes;
+    }
+
+    /**
+     * Save pending operations and stop retrying, before the instance is dropped.
+     * Operations storage couldn't take are only safe to drop when the
+     * write-ahead log has them; otherwise the instance stays usable as it was.
+     * Without storage the conversation only exists here, so it is never safe to drop.
+     * @returns {Promise<boolean>} - Whether the instance can be dropped without losing anything
+     */
+    async close() {
+        if (!this.storage && this.allMessages.length > 0) {
+            return false;
+        }
+
+        await this.flushPendingOperations();
+        if (this.pendingOperations.length > 0 && !this.writeAheadLog) {
+            return false;
+        }
+
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
         }
+        return true;
     }
 }
 
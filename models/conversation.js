@@ -1,28 +1,148 @@
 import mongoose from 'mongoose';
 
+// Reference to attachment content (see attachments.js)
+const attachmentSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: String,
+  mimeType: String,
+  size: Number,
+  // Estimated tokens the attachment costs in a request
+  tokens: Number
+}, { _id: false });
+
+// Token usage and cost of the model requests behind an assistant reply (see pricing.js)
+const usageSchema = new mongoose.Schema({
+  model: String,
+  promptTokens: Number,
+  cachedTokens: Number,
+  outputTokens: Number,
+  cost: Number,
+  // Set when a request's usage wasn't reported and was estimated from its content
+  estimated: Boolean
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
+  // Stable id assigned by Memory; makes replayed writes idempotent
+  id: String,
   role: {
     type: String,
     required: true,
-    enum: ['user', 'assistant', 'system']
+    enum: ['user', 'assistant', 'system', 'tool_call', 'tool_result']
   },
+  // May be empty for a user message made only of attachments
+  text: {
+    type: String,
+    default: ''
+  },
+  // Images and files attached to a user message; the content lives in the attachment store
+  attachments: {
+    type: [attachmentSchema],
+    default: undefined
+  },
+  // Set on 'tool_call' messages: the function call requested by the model
+  toolCall: {
+    id: String,
+    name: String,
+    args: mongoose.Schema.Types.Mixed
+  },
+  // Set on 'tool_result' messages: the response returned to the model
+  toolResult: {
+    id: String,
+    name: String,
+    response: mongoose.Schema.Types.Mixed
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Previous message on the message's branch path (null for the first message)
+  parentId: String,
+  // Branch the message was added on
+  branchId: String,
+  // Set when the text was edited after the message was added
+  editedAt: Date,
+  // Model that wrote an assistant reply (a fallback model when the primary failed)
+  model: String,
+  usage: usageSchema,
+  // Set on an assistant reply cut short by a cancelled or timed-out request;
+  // the text is what arrived before the interruption
+  interrupted: Boolean,
+  interruptReason: {
+    type: String,
+    enum: ['cancelled', 'timeout']
+  },
+  // Cached embedding of the text, so it is computed only once per message
+  embedding: {
+    type: [Number],
+    default: undefined
+  },
+  // Set once the message is covered by a rolling summary
+  summarized: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const summarySchema = new mongoose.Schema({
+  id: String,
+  // Branch the summary was written for, and the last message it covers on that branch
+  branchId: String,
+  lastMessageId: String,
   text: {
     type: String,
     required: true
   },
+  // Number of messages condensed into this summary, including earlier summaries
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  // Timestamp of the last message the summary covers
+  coversUntil: {
+    type: Date,
+    required: true
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 });
 
+// A line of conversation forked from a message; see conversationTree.js
+const branchSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: String,
+  // Message the branch continues from (null for the main branch)
+  forkedFrom: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const conversationSchema = new mongoose.Schema({
   sessionId: {
     type: String,
     required: true,
     index: true
   },
+  // Shown in session lists; set from the first message or by renaming
+  title: String,
+  // User the conversation belongs to (see auth.js); only they can load it
+  userId: {
+    type: String,
+    index: true
+  },
   messages: [messageSchema],
+  summaries: [summarySchema],
+  branches: [branchSchema],
+  activeBranchId: String,
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// A long-term memory: a fact or note about a user that outlives any one session
+const memoryEntrySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    default: undefined
+  },
+  // 'explicit' when the agent or caller saved it, 'extracted' when pulled from a conversation
+  source: {
+    type: String,
+    enum: ['explicit', 'extracted'],
+    default: 'explicit'
+  },
+  // Session the memory was written in
+  sessionId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+memoryEntrySchema.index({ userId: 1, createdAt: -1 });
+
+const MemoryEntry = mongoose.model('MemoryEntry', memoryEntrySchema);
+
+export default MemoryEntry;
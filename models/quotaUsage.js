@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Usage counted against one quota window, e.g. a session's spend on one day
+const quotaUsageSchema = new mongoose.Schema({
+  // scope:subject:window:period, e.g. "user:alice:monthly:2026-10"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; expired counters are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+quotaUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const QuotaUsage = mongoose.model('QuotaUsage', quotaUsageSchema);
+
+export default QuotaUsage;
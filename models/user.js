@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// An API key for programmatic clients; only a hash of its secret is stored
+const apiKeySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: String,
+  // SHA-256 of the key's secret part
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date
+}, { _id: false });
+
+// A user account of the web server (see auth.js)
+const userSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Lowercase, so names are unique regardless of case
+  username: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // scrypt hash with its parameters and salt
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  apiKeys: [apiKeySchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.index({ 'apiKeys.id': 1 });
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
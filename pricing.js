@@ -0,0 +1,116 @@
+/**
+ * Pricing and Usage
+ *
+ * Turns the usage metadata of model responses into token counts and costs:
+ * - Prices per model come from config/pricing.json (USD per 1M tokens), with
+ *   tiers chosen by the size of each prompt, as the providers bill them
+ * - Cached prompt tokens are billed at the cached input price
+ * - Usage is normalized to { promptTokens, cachedTokens, outputTokens }, with
+ *   thinking tokens counted as output
+ * - Only generation is priced: embedding calls (relevance ranking, long-term
+ *   memory) have no entries here and aren't counted in token totals or quotas
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema } from './jsonSchema.js';
+
+const price = { type: 'number', minimum: 0 };
+
+export const pricingSchema = {
+  type: 'object',
+  required: ['models'],
+  properties: {
+    currency: { type: 'string' },
+    // Model whose prices apply to models missing from the table
+    default_model: { type: 'string', minLength: 1 },
+    models: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['tiers'],
+        additionalProperties: false,
+        properties: {
+          // Ordered by max_prompt_tokens; the last tier has no limit
+          tiers: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['input', 'output'],
+              additionalProperties: false,
+              properties: {
+                max_prompt_tokens: { type: 'integer', minimum: 1 },
+                input: price,
+                cached_input: price,
+                output: price
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const DEFAULT_PRICING_FILE = fileURLToPath(new URL('./config/pricing.json', import.meta.url));
+const loadedTables = new Map();
+
+/**
+ * Load and validate a pricing table (cached per file)
+ * @param {string} filePath - Pricing file (default: PRICING_CONFIG or this repo's config/pricing.json)
+ * @returns {Object} - Pricing table
+ * @throws {Error} - When the file is missing or doesn't match the schema
+ */
+export function loadPricing(filePath = process.env.PRICING_CONFIG || DEFAULT_PRICING_FILE) {
+  const resolved = path.resolve(filePath);
+  if (!loadedTables.has(resolved)) {
+    const table = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+    const problems = validateSchema(table, pricingSchema);
+    if (problems.length > 0) {
+      throw new Error(`Invalid pricing config ${filePath}:\n${problems.map(problem => `  ${problem.path}: ${problem.message}`).join('\n')}`);
+    }
+    loadedTables.set(resolved, table);
+  }
+  return loadedTables.get(resolved);
+}
+
+/**
+ * Get a model's prices, falling back to the table's default model
+ * @param {Object} table - Pricing table
+ * @param {string} model - Model name
+ * @returns {Object|null} - { tiers }, or null when neither is listed
+ */
+export function getModelPricing(table, model) {
+  return table.models[model] || table.models[table.default_model] || null;
+}
+
+/**
+ * Normalize a response's usage metadata
+ * @param {Object} usageMetadata - Gemini-style usage ({ promptTokenCount, cachedContentTokenCount, candidatesTokenCount, thoughtsTokenCount })
+ * @returns {Object} - { promptTokens, cachedTokens, outputTokens }
+ */
+export function normalizeUsage(usageMetadata = {}) {
+  return {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    cachedTokens: usageMetadata.cachedContentTokenCount || 0,
+    outputTokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0)
+  };
+}
+
+/**
+ * Cost of one request; the tier is chosen by the request's prompt size
+ * @param {Object} modelPricing - { tiers } from the pricing table
+ * @param {Object} usage - { promptTokens, cachedTokens, outputTokens }
+ * @returns {number} - Cost in the table's currency
+ */
+export function calculateCost(modelPricing, { promptTokens, cachedTokens = 0, outputTokens }) {
+  if (!modelPricing) return 0;
+  const tier = modelPricing.tiers.find(candidate => (
+    candidate.max_prompt_tokens === undefined || promptTokens <= candidate.max_prompt_tokens
+  )) || modelPricing.tiers[modelPricing.tiers.length - 1];
+  const cachedPrice = tier.cached_input !== undefined ? tier.cached_input : tier.input;
+
+  return ((promptTokens - cachedTokens) * tier.input + cachedTokens * cachedPrice + outputTokens * tier.output) / 1000000;
+}
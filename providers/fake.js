@@ -0,0 +1,183 @@
+/**
+ * Fake Provider
+ *
+ * Deterministic in-process provider for tests and offline runs.
+ * No network access and no API key required:
+ * - Replies come from a scripted list (or a function), falling back to an echo
+ * - A scripted reply may be an object ({ text, functionCalls }) to simulate tool calls
+ * - Tokens are counted as whitespace-separated words, plus an estimate for
+ *   inline data (images, PDFs)
+ * - Embeddings are hashed bag-of-words vectors, so similar texts score as similar
+ * - An optional delay between chunks makes slow streams (timeouts, cancellation) testable
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import { estimatePartTokens } from '../contextWindow.js';
+
+export class FakeProvider {
+  /**
+   * Create a new fake provider
+   * @param {Object} options - Configuration options
+   * @param {Array<string|Object|Function>|Function} options.responses - Scripted replies, used in order.
+   *   Objects are { text, functionCalls }. Functions receive ({ model, history, message, config, tools })
+   *   and return a string or an object.
+   * @param {number} options.chunkSize - Words per streamed chunk (default: 3)
+   * @param {number} options.dimensions - Embedding vector size (default: 64)
+   * @param {number} options.delay - Milliseconds to wait before each streamed chunk (default: 0)
+   */
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.defaultModel = 'fake-model';
+    this.responses = options.responses || [];
+    this.chunkSize = options.chunkSize || 3;
+    this.dimensions = options.dimensions || 64;
+    this.delay = options.delay || 0;
+
+    // Every streamChat request, for inspection in tests
+    this.calls = [];
+  }
+
+  /**
+   * Extract plain text from a message or list of parts
+   * @param {string|Array} message - Message text or parts
+   * @returns {string}
+   * @private
+   */
+  _textOf(message) {
+    if (typeof message === 'string') return message;
+    return (message || []).map(part => part.text || '').join('');
+  }
+
+  /**
+   * Pick the reply for a request
+   * @param {Object} request - The streamChat request
+   * @returns {Object} - { text, functionCalls }
+   * @private
+   */
+  _nextResponse(request) {
+    const index = this.calls.length - 1;
+    let scripted = typeof this.responses === 'function'
+      ? this.responses
+      : this.responses[index % Math.max(this.responses.length, 1)];
+
+    if (typeof scripted === 'function') scripted = scripted(request);
+    if (typeof scripted === 'string') return { text: scripted };
+    if (scripted && typeof scripted === 'object') return { text: scripted.text || '', functionCalls: scripted.functionCalls };
+    return { text: `Echo: ${this._textOf(request.message)}` };
+  }
+
+  /**
+   * Count tokens for the inline data (images, PDFs) in a message or list of parts
+   * @param {string|Array} message - Message text or parts
+   * @returns {number}
+   * @private
+   */
+  _inlineDataTokens(message) {
+    if (typeof message === 'string') return 0;
+    return (message || [])
+      .filter(part => part.inlineData)
+      .reduce((sum, part) => sum + estimatePartTokens(part), 0);
+  }
+
+  /**
+   * Count words in a string
+   * @param {string} text
+   * @returns {number}
+   * @private
+   */
+  _countWords(text) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    return words.length;
+  }
+
+  /**
+   * Stream a scripted chat response
+   * @param {Object} params
+   * @param {string} params.model - Model name
+   * @param {Array} params.history - Previous contents ({ role: 'user'|'model', parts })
+   * @param {string|Array} params.message - The new user message (text or parts)
+   * @param {Object} params.config - Generation config
+   * @param {Array} params.tools - Function declarations ({ name, description, parameters })
+   * @param {AbortSignal} params.signal - Stops the stream when aborted
+   * @returns {Promise<AsyncIterable<Object>>} - Chunks of shape { text, functionCalls, usageMetadata }
+   */
+  async streamChat({ model, history = [], message, config = {}, tools = [], signal }) {
+    signal?.throwIfAborted();
+    const request = { model, history, message, config, tools };
+    this.calls.push(request);
+
+    const { text: reply, functionCalls } = this._nextResponse(request);
+    const words = reply ? reply.split(/(?<=\s)/) : [];
+    const promptText = [
+      config.systemInstruction || '',
+      ...history.map(content => this._textOf(content.parts)),
+      this._textOf(message)
+    ].join(' ');
+    const usageMetadata = {
+      promptTokenCount: this._countWords(promptText)
+        + history.reduce((sum, content) => sum + this._inlineDataTokens(content.parts), 0)
+        + this._inlineDataTokens(message),
+      candidatesTokenCount: this._countWords(reply)
+    };
+    usageMetadata.totalTokenCount = usageMetadata.promptTokenCount + usageMetadata.candidatesTokenCount;
+
+    const chunkSize = this.chunkSize;
+    const delay = this.delay;
+    // Wait before a chunk, stopping early when the request is aborted
+    const beforeChunk = async () => {
+      if (delay > 0) await sleep(delay, undefined, { signal });
+      signal?.throwIfAborted();
+    };
+    const calls = (functionCalls || []).map((call, i) => ({
+      id: call.id || `fake_call_${this.calls.length}_${i}`,
+      name: call.name,
+      args: call.args || {}
+    }));
+
+    return (async function* () {
+      for (let i = 0; i < words.length; i += chunkSize) {
+        await beforeChunk();
+        yield { text: words.slice(i, i + chunkSize).join('') };
+      }
+      await beforeChunk();
+      yield {
+        functionCalls: calls.length > 0 ? calls : undefined,
+        usageMetadata
+      };
+    })();
+  }
+
+  /**
+   * Count tokens for a list of contents
+   * @param {Object} params
+   * @param {Array} params.contents - Contents to count
+   * @returns {Promise<number>} - Word count across all text parts, plus inline data estimates
+   */
+  async countTokens({ contents }) {
+    return contents.reduce((sum, content) => (
+      sum + this._countWords(this._textOf(content.parts)) + this._inlineDataTokens(content.parts)
+    ), 0);
+  }
+
+  /**
+   * Embed a piece of text as a normalized hashed bag-of-words vector
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} - Embedding vector
+   */
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+      let hash = 0;
+      for (let i = 0; i < word.length; i++) {
+        hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+      }
+      vector[hash % this.dimensions] += 1;
+    }
+
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+  }
+}
+
+export default FakeProvider;
@@ -0,0 +1,173 @@
+/**
+ * Gemini Provider
+ *
+ * Adapter over @google/genai exposing the provider interface used by Agent:
+ * - streamChat: streaming chat completion from history + new message
+ * - countTokens: token count for a list of contents
+ * - embed: embedding vector for a piece of text
+ * SDK errors carry the HTTP status only in their message ("got status: 429 ..."),
+ * so it is copied to error.status, where retry.js looks for it.
+ */
+
+import { GoogleGenAI } from "@google/genai";
+
+export class GeminiProvider {
+  /**
+   * Create a new Gemini provider
+   * @param {Object} options - Configuration options
+   * @param {string} options.apiKey - API key (default: process.env.GOOGLE_API_KEY)
+   * @param {string} options.embeddingModel - Model used for embeddings (default: 'embedding-001')
+   * @param {string} options.baseUrl - API base URL, e.g. for a proxy (default: the SDK's)
+   */
+  constructor(options = {}) {
+    const apiKey = options.apiKey || process.env.GOOGLE_API_KEY;
+    if (!apiKey) {
+      throw new Error("GOOGLE_API_KEY environment variable not set.");
+    }
+
+    this.name = 'gemini';
+    this.defaultModel = 'gemini-1.5-flash';
+    this.embeddingModel = options.embeddingModel || 'embedding-001';
+    this.genAI = new GoogleGenAI({
+      apiKey,
+      ...(options.baseUrl && { httpOptions: { baseUrl: options.baseUrl } })
+    });
+  }
+
+  /**
+   * Give an SDK error the HTTP status from its message. Failed requests read
+   * "got status: 429 Too Many Requests. {...}"; errors inside a stream give the
+   * status name instead ("got status: RESOURCE_EXHAUSTED. {...}") and the code in the body.
+   * @param {Error} error - Error thrown by the SDK
+   * @returns {Error} - The same error
+   * @private
+   */
+  _withStatus(error) {
+    if (error && typeof error.status !== 'number' && typeof error.message === 'string') {
+      const match = /got status: (\d{3})\b/.exec(error.message) || /"code"\s*:\s*(\d{3})\b/.exec(error.message);
+      if (match) error.status = Number(match[1]);
+    }
+    return error;
+  }
+
+  /**
+   * Convert a JSON schema into Gemini's schema dialect (upper-case type names)
+   * @param {Object} schema - JSON schema
+   * @returns {Object} - Gemini schema
+   * @private
+   */
+  _toGeminiSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => this._toGeminiSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'type' && typeof value === 'string') {
+        converted.type = value.toUpperCase();
+      } else if (key === 'properties') {
+        converted.properties = Object.fromEntries(
+          Object.entries(value).map(([name, property]) => [name, this._toGeminiSchema(property)])
+        );
+      } else if (key === 'items' || key === 'anyOf') {
+        converted[key] = this._toGeminiSchema(value);
+      } else {
+        converted[key] = value;
+      }
+    }
+    return converted;
+  }
+
+  /**
+   * Stream a chat response
+   * @param {Object} params
+   * @param {string} params.model - Model name
+   * @param {Array} params.history - Previous contents ({ role: 'user'|'model', parts })
+   * @param {string|Array} params.message - The new user message (text or parts)
+   * @param {Object} params.config - Generation config (temperature, topP, topK, maxOutputTokens, systemInstruction, responseMimeType)
+   * @param {Array} params.tools - Function declarations ({ name, description, parameters })
+   * @param {AbortSignal} params.signal - Aborts the request and the stream
+   * @returns {Promise<AsyncIterable<Object>>} - Chunks of shape { text, functionCalls, usageMetadata }
+   */
+  async streamChat({ model, history = [], message, config = {}, tools = [], signal }) {
+    const chatConfig = { ...config };
+    if (signal) {
+      chatConfig.abortSignal = signal;
+    }
+    if (tools.length > 0) {
+      chatConfig.tools = [{
+        functionDeclarations: tools.map(tool => ({
+          ...tool,
+          parameters: this._toGeminiSchema(tool.parameters)
+        }))
+      }];
+    }
+
+    // One request with the whole history: a chat session from the SDK would leave its
+    // own copy of a failed request's promise rejected with no handler
+    const contents = [...history, { role: 'user', parts: typeof message === 'string' ? [{ text: message }] : message }];
+    const response = await this.genAI.models.generateContentStream({ model, contents, config: chatConfig }).catch(error => {
+      throw this._withStatus(error);
+    });
+    const self = this;
+
+    return (async function* () {
+      try {
+        for await (const chunk of response) {
+          // Read parts directly: the SDK's text getter warns on function call parts
+          const parts = chunk.candidates?.[0]?.content?.parts || [];
+          const textParts = parts.filter(part => typeof part.text === 'string' && !part.thought);
+          const functionCalls = parts
+            .filter(part => part.functionCall)
+            .map(part => ({
+              id: part.functionCall.id,
+              name: part.functionCall.name,
+              args: part.functionCall.args || {}
+            }));
+
+          yield {
+            text: textParts.length > 0 ? textParts.map(part => part.text).join('') : undefined,
+            functionCalls: functionCalls.length > 0 ? functionCalls : undefined,
+            usageMetadata: chunk.usageMetadata
+          };
+        }
+      } catch (error) {
+        throw self._withStatus(error);
+      }
+    })();
+  }
+
+  /**
+   * Count tokens for a list of contents
+   * @param {Object} params
+   * @param {string} params.model - Model name
+   * @param {Array} params.contents - Contents to count
+   * @returns {Promise<number>} - Total token count
+   */
+  async countTokens({ model, contents }) {
+    const result = await this.genAI.models.countTokens({ model, contents }).catch(error => {
+      throw this._withStatus(error);
+    });
+    return result.totalTokens;
+  }
+
+  /**
+   * Embed a piece of text
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} - Embedding vector
+   */
+  async embed(text) {
+    const result = await this.genAI.models.embedContent({
+      model: this.embeddingModel,
+      contents: text
+    }).catch(error => {
+      throw this._withStatus(error);
+    });
+    return result.embeddings?.[0]?.values || [];
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,54 @@
+/**
+ * LLM provider registry
+ *
+ * Every provider implements the same interface:
+ * - streamChat({ model, history, message, config, tools, signal }) -> async iterable of { text, functionCalls, usageMetadata };
+ *   an aborted signal stops the request and the stream
+ * - countTokens({ model, contents }) -> number
+ * - embed(text) -> Array<number>
+ */
+
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openai.js';
+import { FakeProvider } from './fake.js';
+
+const providers = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  fake: FakeProvider
+};
+
+/**
+ * Resolve a provider from a name or an existing instance
+ * @param {string|Object} provider - Provider name ('gemini', 'openai', 'fake') or provider instance
+ * @param {Object} options - Options passed to the provider constructor
+ * @returns {Object} - Provider instance
+ */
+export function createProvider(provider = 'gemini', options = {}) {
+  if (provider && typeof provider === 'object') {
+    return provider;
+  }
+
+  const ProviderClass = providers[provider];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider "${provider}". Available providers: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * Wrap a provider in the embedding model shape Memory expects
+ * ({ embedContent(text) -> { embedding: { values } } })
+ * @param {Object} provider - Provider instance
+ * @returns {Object} - Embedding model
+ */
+export function toEmbeddingModel(provider) {
+  return {
+    embedContent: async (text) => ({
+      embedding: { values: await provider.embed(text) }
+    })
+  };
+}
+
+export { GeminiProvider, OpenAICompatibleProvider, FakeProvider };
@@ -0,0 +1,283 @@
+/**
+ * OpenAI-compatible Provider
+ *
+ * Talks to any server implementing the OpenAI HTTP API
+ * (/chat/completions with SSE streaming and /embeddings).
+ * Contents are accepted in the Gemini shape used throughout the agent
+ * and translated to OpenAI chat messages on the way out.
+ */
+
+import { estimatePartTokens } from '../contextWindow.js';
+
+export class OpenAICompatibleProvider {
+  /**
+   * Create a new OpenAI-compatible provider
+   * @param {Object} options - Configuration options
+   * @param {string} options.baseUrl - API base URL (default: process.env.OPENAI_BASE_URL or https://api.openai.com/v1)
+   * @param {string} options.apiKey - API key (default: process.env.OPENAI_API_KEY)
+   * @param {string} options.defaultModel - Chat model used when none is given (default: 'gpt-4o-mini')
+   * @param {string} options.embeddingModel - Model used for embeddings (default: 'text-embedding-3-small')
+   * @param {Function} options.fetch - fetch implementation (default: global fetch)
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.defaultModel = options.defaultModel || 'gpt-4o-mini';
+    this.embeddingModel = options.embeddingModel || 'text-embedding-3-small';
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Send a JSON POST request to the API
+   * @param {string} path - Endpoint path
+   * @param {Object} body - Request body
+   * @param {AbortSignal} signal - Aborts the request and the response body
+   * @returns {Promise<Response>}
+   * @private
+   */
+  async _post(path, body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible request to ${path} failed with status ${response.status}: ${errorText}`);
+      error.status = response.status;
+      // Seconds to wait before retrying, when the server says (see retry.js)
+      const retryAfter = response.headers?.get('retry-after');
+      if (retryAfter) {
+        error.retryAfter = Number(retryAfter) >= 0
+          ? Number(retryAfter)
+          : Math.max(0, (Date.parse(retryAfter) - Date.now()) / 1000);
+      }
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Convert inline data (images, PDFs) into an OpenAI content part
+   * @param {Object} inlineData - { mimeType, data (base64) }
+   * @param {string} fileName - The attachment's file name, when known
+   * @returns {Object} - OpenAI content part
+   * @private
+   */
+  _inlineDataToContentPart({ mimeType, data }, fileName) {
+    const url = `data:${mimeType};base64,${data}`;
+    if (mimeType.startsWith('image/')) {
+      return { type: 'image_url', image_url: { url } };
+    }
+    return { type: 'file', file: { filename: fileName || 'attachment.pdf', file_data: url } };
+  }
+
+  /**
+   * Convert one Gemini-style content into OpenAI chat messages.
+   * Function calls become assistant tool_calls, function responses
+   * become tool messages, and inline data becomes image or file parts.
+   * @param {string} role - 'user' or 'model'
+   * @param {Array} parts - Content parts
+   * @returns {Array} - OpenAI messages
+   * @private
+   */
+  _contentToMessages(role, parts = []) {
+    const text = parts.map(part => part.text || '').join('');
+    const functionCalls = parts.filter(part => part.functionCall);
+    const functionResponses = parts.filter(part => part.functionResponse);
+
+    if (role === 'model') {
+      const message = { role: 'assistant', content: text || null };
+      if (functionCalls.length > 0) {
+        message.tool_calls = functionCalls.map(({ functionCall }) => ({
+          id: functionCall.id,
+          type: 'function',
+          function: {
+            name: functionCall.name,
+            arguments: JSON.stringify(functionCall.args || {})
+          }
+        }));
+      }
+      return [message];
+    }
+
+    const messages = functionResponses.map(({ functionResponse }) => ({
+      role: 'tool',
+      tool_call_id: functionResponse.id,
+      content: JSON.stringify(functionResponse.response)
+    }));
+    if (parts.some(part => part.inlineData)) {
+      // Multimodal messages use a list of content parts
+      messages.push({
+        role: 'user',
+        content: parts
+          .filter(part => typeof part.text === 'string' || part.inlineData)
+          .map(part => part.inlineData ? this._inlineDataToContentPart(part.inlineData, part.fileName) : { type: 'text', text: part.text })
+      });
+    } else if (text || functionResponses.length === 0) {
+      messages.push({ role: 'user', content: text });
+    }
+    return messages;
+  }
+
+  /**
+   * Convert Gemini-style contents into OpenAI chat messages
+   * @param {Array} history - Previous contents
+   * @param {string|Array} message - The new user message
+   * @param {string} systemInstruction - Optional system instruction
+   * @returns {Array} - OpenAI messages
+   * @private
+   */
+  _toMessages(history, message, systemInstruction) {
+    const messages = [];
+
+    if (systemInstruction) {
+      messages.push({ role: 'system', content: systemInstruction });
+    }
+
+    for (const content of history) {
+      messages.push(...this._contentToMessages(content.role, content.parts));
+    }
+
+    const messageParts = typeof message === 'string' ? [{ text: message }] : message;
+    messages.push(...this._contentToMessages('user', messageParts));
+
+    return messages;
+  }
+
+  /**
+   * Stream a chat response
+   * @param {Object} params
+   * @param {string} params.model - Model name
+   * @param {Array} params.history - Previous contents ({ role: 'user'|'model', parts })
+   * @param {string|Array} params.message - The new user message (text or parts)
+   * @param {Object} params.config - Generation config (temperature, topP, maxOutputTokens, systemInstruction, responseMimeType)
+   * @param {Array} params.tools - Function declarations ({ name, description, parameters })
+   * @param {AbortSignal} params.signal - Aborts the request and the stream
+   * @returns {Promise<AsyncIterable<Object>>} - Chunks of shape { text, functionCalls, usageMetadata }
+   */
+  async streamChat({ model, history = [], message, config = {}, tools = [], signal }) {
+    const body = {
+      model: model || this.defaultModel,
+      messages: this._toMessages(history, message, config.systemInstruction),
+      temperature: config.temperature,
+      top_p: config.topP,
+      max_tokens: config.maxOutputTokens,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    if (config.responseMimeType === 'application/json') {
+      body.response_format = { type: 'json_object' };
+    }
+    if (tools.length > 0) {
+      body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+    }
+
+    const response = await this._post('/chat/completions', body, signal);
+
+    return (async function* () {
+      const decoder = new TextDecoder();
+      // Tool call deltas arrive in fragments keyed by index
+      const pendingToolCalls = [];
+      let buffer = '';
+
+      const flushToolCalls = () => {
+        const functionCalls = pendingToolCalls.filter(Boolean).map(call => ({
+          id: call.id,
+          name: call.name,
+          args: call.arguments ? JSON.parse(call.arguments) : {}
+        }));
+        pendingToolCalls.length = 0;
+        return functionCalls;
+      };
+
+      // Leaving this loop (at [DONE]) also stops reading the response body
+      stream: for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const data = trimmed.substring(5).trim();
+          if (data === '[DONE]') break stream;
+
+          const event = JSON.parse(data);
+          const choice = event.choices?.[0];
+          const text = choice?.delta?.content;
+
+          for (const delta of choice?.delta?.tool_calls || []) {
+            const call = pendingToolCalls[delta.index] || (pendingToolCalls[delta.index] = { arguments: '' });
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.name = delta.function.name;
+            if (delta.function?.arguments) call.arguments += delta.function.arguments;
+          }
+
+          const functionCalls = choice?.finish_reason ? flushToolCalls() : [];
+          const usageMetadata = event.usage ? {
+            promptTokenCount: event.usage.prompt_tokens,
+            cachedContentTokenCount: event.usage.prompt_tokens_details?.cached_tokens,
+            candidatesTokenCount: event.usage.completion_tokens,
+            totalTokenCount: event.usage.total_tokens
+          } : undefined;
+
+          if (text || functionCalls.length > 0 || usageMetadata) {
+            yield {
+              text: text || undefined,
+              functionCalls: functionCalls.length > 0 ? functionCalls : undefined,
+              usageMetadata
+            };
+          }
+        }
+      }
+
+      // Some servers end the stream without a finish_reason
+      const remaining = flushToolCalls();
+      if (remaining.length > 0) {
+        yield { functionCalls: remaining };
+      }
+    })();
+  }
+
+  /**
+   * Estimate tokens for a list of contents.
+   * The OpenAI API has no counting endpoint, so this uses the
+   * common ~4 characters per token approximation for text and
+   * fixed per-image (and per-PDF-page) costs for inline data.
+   * @param {Object} params
+   * @param {Array} params.contents - Contents to count
+   * @returns {Promise<number>} - Estimated token count
+   */
+  async countTokens({ contents }) {
+    return contents
+      .flatMap(content => content.parts || [])
+      .reduce((sum, part) => sum + estimatePartTokens(part), 0);
+  }
+
+  /**
+   * Embed a piece of text
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} - Embedding vector
+   */
+  async embed(text) {
+    const response = await this._post('/embeddings', {
+      model: this.embeddingModel,
+      input: text
+    });
+    const result = await response.json();
+    return result.data?.[0]?.embedding || [];
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,334 @@
+/**
+ * Quotas
+ *
+ * Spend and token limits per session, per user and globally:
+ * - Limits are set per scope ('session', 'user', 'global') and window ('daily',
+ *   'monthly'; UTC), on cost (USD) and/or tokens (prompt + output), in
+ *   config/quotas.json or passed directly
+ * - check() runs before a request and throws QuotaExceededError once any
+ *   limit is used up; record() adds a reply's usage to every window it counts against
+ * - Crossing the warning threshold (default: 80% of a limit) emits a 'warning' event
+ * - Counters are kept in a store, so they survive restarts: InMemoryQuotaStore,
+ *   FileQuotaStore (a JSON file) and MongoQuotaStore (existing mongoose connection)
+ *
+ * A store implements:
+ * - get(keys) -> { [key]: { tokens, cost } } for the keys with usage
+ * - add(key, { tokens, cost }, expiresAt) -> the key's new { tokens, cost }
+ *
+ * Limits are checked before a request and usage is only known after it, so
+ * concurrent requests can overshoot a limit by the size of those requests.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import QuotaUsage from './models/quotaUsage.js';
+import { validateSchema } from './jsonSchema.js';
+
+export const QUOTA_SCOPES = ['session', 'user', 'global'];
+export const QUOTA_WINDOWS = ['daily', 'monthly'];
+const METRICS = ['cost', 'tokens'];
+
+const windowLimits = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    cost: { type: 'number', minimum: 0 },
+    tokens: { type: 'integer', minimum: 0 }
+  }
+};
+const scopeLimits = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(QUOTA_WINDOWS.map(window => [window, windowLimits]))
+};
+
+export const quotasSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    warning_threshold: { type: 'number', minimum: 0, maximum: 1 },
+    limits: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(QUOTA_SCOPES.map(scope => [scope, scopeLimits]))
+    }
+  }
+};
+
+const DEFAULT_QUOTAS_FILE = fileURLToPath(new URL('./config/quotas.json', import.meta.url));
+
+/**
+ * Load and validate a quota config
+ * @param {string} filePath - Quota file (default: QUOTA_CONFIG or this repo's config/quotas.json)
+ * @returns {Object} - { limits, warningThreshold }, the options for QuotaManager
+ * @throws {Error} - When the file is missing or doesn't match the schema
+ */
+export function loadQuotas(filePath = process.env.QUOTA_CONFIG || DEFAULT_QUOTAS_FILE) {
+  const config = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf-8'));
+  const problems = validateSchema(config, quotasSchema);
+  if (problems.length > 0) {
+    throw new Error(`Invalid quota config ${filePath}:\n${problems.map(problem => `  ${problem.path}: ${problem.message}`).join('\n')}`);
+  }
+  return { limits: config.limits || {}, warningThreshold: config.warning_threshold };
+}
+
+/**
+ * Thrown when a request would exceed a quota. Carries the HTTP status (429)
+ * and when the window resets.
+ */
+export class QuotaExceededError extends Error {
+  /**
+   * @param {Object} details - { scope, subject, window, metric, used, limit, resetsAt }
+   */
+  constructor(details) {
+    const amount = details.metric === 'cost'
+      ? `$${details.used.toFixed(4)} of $${details.limit}`
+      : `${details.used} of ${details.limit} tokens`;
+    super(`${details.window.charAt(0).toUpperCase()}${details.window.slice(1)} ${details.scope} quota exceeded (${amount} used); it resets at ${details.resetsAt.toISOString()}`);
+    this.name = 'QuotaExceededError';
+    this.status = 429;
+    Object.assign(this, details);
+    // Seconds until the window resets, for a Retry-After header
+    this.retryAfter = Math.max(0, Math.ceil((details.resetsAt.getTime() - Date.now()) / 1000));
+  }
+}
+
+/**
+ * Keeps counters in process; they last as long as the store does
+ */
+export class InMemoryQuotaStore {
+  constructor() {
+    this.counters = new Map(); // key -> { tokens, cost, expiresAt }
+  }
+
+  async get(keys) {
+    const now = Date.now();
+    const usage = {};
+    for (const key of keys) {
+      const counter = this.counters.get(key);
+      if (counter && counter.expiresAt > now) {
+        usage[key] = { tokens: counter.tokens, cost: counter.cost };
+      }
+    }
+    return usage;
+  }
+
+  async add(key, { tokens, cost }, expiresAt) {
+    const counter = this.counters.get(key) || { tokens: 0, cost: 0, expiresAt: expiresAt.getTime() };
+    counter.tokens += tokens;
+    counter.cost += cost;
+    this.counters.set(key, counter);
+    return { tokens: counter.tokens, cost: counter.cost };
+  }
+}
+
+/**
+ * Keeps counters in a JSON file, rewritten through a temporary file and a
+ * rename after each change. Expired counters are dropped on write.
+ */
+export class FileQuotaStore extends InMemoryQuotaStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Counter file (default: QUOTA_USAGE_FILE or ./data/quota-usage.json)
+   */
+  constructor(options = {}) {
+    super();
+    this.path = path.resolve(options.path || process.env.QUOTA_USAGE_FILE || path.join('data', 'quota-usage.json'));
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  _load() {
+    if (!this.loaded) {
+      this.loaded = fsPromises.readFile(this.path, 'utf8')
+        .then(data => {
+          for (const [key, counter] of Object.entries(JSON.parse(data))) {
+            this.counters.set(key, counter);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    return this.loaded;
+  }
+
+  async get(keys) {
+    await this._load();
+    return super.get(keys);
+  }
+
+  async add(key, usage, expiresAt) {
+    await this._load();
+    const totals = await super.add(key, usage, expiresAt);
+
+    // Writes are chained so the file always ends with the latest counters
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      const now = Date.now();
+      for (const [counterKey, counter] of this.counters) {
+        if (counter.expiresAt <= now) this.counters.delete(counterKey);
+      }
+      const tempPath = `${this.path}.tmp`;
+      await fsPromises.mkdir(path.dirname(this.path), { recursive: true });
+      await fsPromises.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.counters)), 'utf8');
+      await fsPromises.rename(tempPath, this.path);
+    });
+    await this.writeQueue;
+    return totals;
+  }
+}
+
+/**
+ * Keeps counters in MongoDB through the app's mongoose connection
+ */
+export class MongoQuotaStore {
+  _assertConnected() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is not connected; quota usage is unavailable');
+    }
+  }
+
+  async get(keys) {
+    this._assertConnected();
+    const docs = await QuotaUsage.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } });
+    return Object.fromEntries(docs.map(doc => [doc.key, { tokens: doc.tokens, cost: doc.cost }]));
+  }
+
+  async add(key, { tokens, cost }, expiresAt) {
+    this._assertConnected();
+    const doc = await QuotaUsage.findOneAndUpdate(
+      { key },
+      { $inc: { tokens, cost }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    );
+    return { tokens: doc.tokens, cost: doc.cost };
+  }
+}
+
+/**
+ * Enforces quotas and counts usage against them.
+ * Emits 'warning' with { scope, subject, window, metric, used, limit, resetsAt }
+ * when usage crosses the warning threshold of a limit.
+ */
+export class QuotaManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.limits - { [scope]: { [window]: { cost, tokens } } }
+   * @param {number} options.warningThreshold - Share of a limit that triggers a warning (default: 0.8)
+   * @param {Object} options.store - Counter store (default: InMemoryQuotaStore)
+   * @param {Function} options.now - Clock, for tests (default: () => new Date())
+   */
+  constructor(options = {}) {
+    super();
+    this.limits = options.limits || {};
+    this.warningThreshold = options.warningThreshold !== undefined ? options.warningThreshold : 0.8;
+    this.store = options.store || new InMemoryQuotaStore();
+    this.now = options.now || (() => new Date());
+  }
+
+  // The current period of a window and when it ends
+  _period(window, date) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    if (window === 'daily') {
+      return { period: date.toISOString().slice(0, 10), resetsAt: new Date(Date.UTC(year, month, date.getUTCDate() + 1)) };
+    }
+    return { period: date.toISOString().slice(0, 7), resetsAt: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+
+  /**
+   * The windows a request counts against: every configured limit of its session,
+   * its user (when known) and the global scope
+   * @param {Object} subjects - { sessionId, userId }
+   * @returns {Array<Object>} - { key, scope, subject, window, limit, resetsAt }
+   * @private
+   */
+  _buckets({ sessionId, userId } = {}) {
+    const date = this.now();
+    const subjects = { session: sessionId, user: userId, global: '*' };
+    const buckets = [];
+
+    for (const scope of QUOTA_SCOPES) {
+      const subject = subjects[scope];
+      if (!subject) continue;
+      for (const window of QUOTA_WINDOWS) {
+        const limit = this.limits[scope]?.[window];
+        if (!limit) continue;
+        const { period, resetsAt } = this._period(window, date);
+        buckets.push({ key: `${scope}:${subject}:${window}:${period}`, scope, subject, window, limit, resetsAt });
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * Current usage against every applicable limit
+   * @param {Object} subjects - { sessionId, userId }
+   * @returns {Promise<Array<Object>>} - { scope, subject, window, limit, used: { tokens, cost }, resetsAt }
+   */
+  async usage(subjects) {
+    const buckets = this._buckets(subjects);
+    if (buckets.length === 0) return [];
+    const usage = await this.store.get(buckets.map(bucket => bucket.key));
+    return buckets.map(({ key, ...bucket }) => ({ ...bucket, used: usage[key] || { tokens: 0, cost: 0 } }));
+  }
+
+  /**
+   * Throw if any applicable limit is used up
+   * @param {Object} subjects - { sessionId, userId }
+   * @throws {QuotaExceededError}
+   */
+  async check(subjects) {
+    for (const bucket of await this.usage(subjects)) {
+      for (const metric of METRICS) {
+        const limit = bucket.limit[metric];
+        if (limit !== undefined && bucket.used[metric] >= limit) {
+          throw new QuotaExceededError({
+            scope: bucket.scope,
+            subject: bucket.subject,
+            window: bucket.window,
+            metric,
+            used: bucket.used[metric],
+            limit,
+            resetsAt: bucket.resetsAt
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Count a reply's usage against every applicable window
+   * @param {Object} subjects - { sessionId, userId }
+   * @param {Object} usage - { tokens, cost }
+   */
+  async record(subjects, { tokens = 0, cost = 0 }) {
+    for (const bucket of this._buckets(subjects)) {
+      const used = await this.store.add(bucket.key, { tokens, cost }, bucket.resetsAt);
+      const previous = { tokens: used.tokens - tokens, cost: used.cost - cost };
+
+      for (const metric of METRICS) {
+        const limit = bucket.limit[metric];
+        if (limit === undefined) continue;
+        const threshold = limit * this.warningThreshold;
+        if (previous[metric] < threshold && used[metric] >= threshold) {
+          this.emit('warning', {
+            scope: bucket.scope,
+            subject: bucket.subject,
+            window: bucket.window,
+            metric,
+            used: used[metric],
+            limit,
+            resetsAt: bucket.resetsAt
+          });
+        }
+      }
+    }
+  }
+}
+
+export default QuotaManager;
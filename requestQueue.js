@@ -0,0 +1,122 @@
+/**
+ * Request Queue
+ *
+ * Runs the requests that change a conversation one at a time per key (the
+ * conversation's agent; s.js keys by user, as each user has one agent for all
+ * their conversations), in arrival order, so turns never interleave:
+ * - 'queue' mode: later requests wait their turn, at most maxDepth of them per key;
+ *   waiting requests are told their position (1: next) whenever it changes
+ * - 'reject' mode: a request arriving while another runs fails with 409
+ * - A waiting request whose signal aborts (e.g. the client disconnected) leaves the queue
+ *
+ * Errors carry the HTTP status to report: 409 (busy, reject mode) or 429 (queue full).
+ */
+
+export const QUEUE_MODES = ['queue', 'reject'];
+
+function queueError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export class RequestQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'queue' or 'reject' (default: REQUEST_QUEUE_MODE or 'queue')
+   * @param {number} options.maxDepth - Most requests waiting per key (default: REQUEST_QUEUE_MAX_DEPTH or 5)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.REQUEST_QUEUE_MODE || 'queue';
+    if (!QUEUE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown request queue mode "${this.mode}"; expected ${QUEUE_MODES.join(' or ')}`);
+    }
+    this.maxDepth = options.maxDepth !== undefined
+      ? options.maxDepth
+      : Number(process.env.REQUEST_QUEUE_MAX_DEPTH) || 5;
+    this.queues = new Map(); // key -> { waiting: [{ start, onPosition }] }, while a request runs
+  }
+
+  /**
+   * Wait for the key's turn
+   * @param {string} key - What requests are serialized on
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Leaves the queue when aborted, rejecting with its reason
+   * @param {Function} options.onPosition - (position) => void, called while waiting whenever the position changes
+   * @returns {Promise<Function>} - release(), to call once the request is done
+   * @throws {Error} - 409 in reject mode when a request is running, 429 when the queue is full
+   */
+  async enter(key, { signal, onPosition } = {}) {
+    signal?.throwIfAborted();
+
+    const queue = this.queues.get(key);
+    if (!queue) {
+      const running = { waiting: [] };
+      this.queues.set(key, running);
+      return this._releaser(key, running);
+    }
+    if (this.mode === 'reject') {
+      throw queueError(409, 'Another request for this agent\'s conversations is in progress');
+    }
+    if (queue.waiting.length >= this.maxDepth) {
+      throw queueError(429, `Too many requests are waiting for this agent's conversations (at most ${this.maxDepth})`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        queue.waiting.splice(queue.waiting.indexOf(waiter), 1);
+        this._reportPositions(queue);
+        reject(signal.reason);
+      };
+      const waiter = {
+        onPosition,
+        start: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(this._releaser(key, queue));
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      queue.waiting.push(waiter);
+      onPosition?.(queue.waiting.length);
+    });
+  }
+
+  // Hands the turn to the next waiting request (once, however often it is called)
+  _releaser(key, queue) {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = queue.waiting.shift();
+      if (next) {
+        next.start();
+        this._reportPositions(queue);
+      } else {
+        this.queues.delete(key);
+      }
+    };
+  }
+
+  _reportPositions(queue) {
+    queue.waiting.forEach((waiter, index) => {
+      try {
+        waiter.onPosition?.(index + 1);
+      } catch (error) {
+        console.error('Error reporting a queue position:', error);
+      }
+    });
+  }
+
+  /**
+   * Requests for a key
+   * @param {string} key - What requests are serialized on
+   * @returns {Object} - { running, waiting }
+   */
+  status(key) {
+    const queue = this.queues.get(key);
+    return { running: Boolean(queue), waiting: queue ? queue.waiting.length : 0 };
+  }
+}
+
+export default RequestQueue;
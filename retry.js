@@ -0,0 +1,92 @@
+/**
+ * Retry
+ *
+ * Retries model API calls that fail for transient reasons:
+ * - Rate limits (429), request timeouts (408), server errors (5xx) and network failures
+ *   are retried; anything else (bad requests, auth, aborts) fails right away
+ * - Attempts are spaced by exponential backoff with full jitter
+ * - A retry-after hint from the server (the Retry-After header, or Gemini's
+ *   RetryInfo retryDelay) is waited out instead; a hint longer than maxDelay
+ *   fails the call at once, so a fallback model can take over
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelay: 500,
+  maxDelay: 30000
+};
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+/**
+ * Whether a failed call is worth retrying
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  if (RETRYABLE_STATUSES.has(error.status)) return true;
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_CODES.has(code) || error.message === 'fetch failed';
+}
+
+/**
+ * The server's hint for when to retry
+ * @param {Error} error - Error thrown by a provider
+ * @returns {number|null} - Delay in ms, or null without a hint
+ */
+export function getRetryAfter(error) {
+  if (typeof error.retryAfter === 'number' && !Number.isNaN(error.retryAfter)) {
+    return error.retryAfter * 1000;
+  }
+  // Gemini puts a RetryInfo detail in the error body, e.g. "retryDelay": "17s"
+  const match = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(error.message || '');
+  return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Backoff before a retry: a random delay up to baseDelay * 2^attempt, capped at maxDelay
+ * @param {number} attempt - Number of the failed attempt, from 0
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @returns {number} - Delay in ms
+ */
+export function backoffDelay(attempt, { baseDelay, maxDelay } = DEFAULT_RETRY_OPTIONS) {
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+/**
+ * Call fn, retrying retryable errors
+ * @param {Function} fn - Async function, called with the attempt number (from 0)
+ * @param {Object} options
+ * @param {number} options.maxRetries - Retries after the first attempt (default: 3)
+ * @param {number} options.baseDelay - Backoff base in ms (default: 500)
+ * @param {number} options.maxDelay - Longest wait between attempts in ms (default: 30000)
+ * @param {AbortSignal} options.signal - Stops waiting and retrying when aborted
+ * @param {Function} options.onRetry - Called with (error, retry number, delay) before each wait
+ * @returns {Promise<*>} - fn's result
+ * @throws {Error} - The last error once retries are exhausted, or a non-retryable error
+ */
+export async function withRetry(fn, options = {}) {
+  const { maxRetries, baseDelay, maxDelay, signal, onRetry } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || signal?.aborted || !isRetryableError(error)) throw error;
+
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== null && retryAfter > maxDelay) throw error;
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, { baseDelay, maxDelay });
+
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await sleep(delay, undefined, { signal });
+    }
+  }
+}
@@ -1,7 +1,13 @@
 import express from 'express';
 import session from 'express-session';
 import MongoStore from 'connect-mongo';
+import multer from 'multer';
+import { randomBytes, randomUUID } from 'crypto';
 import { Agent } from './agent.js';
+import { QuotaManager, FileQuotaStore, MongoQuotaStore, loadQuotas } from './quota.js';
+import { Accounts, FileUserStore, MongoUserStore } from './auth.js';
+import { AgentCache } from './agentCache.js';
+import { RequestQueue } from './requestQueue.js';
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 
@@ -32,12 +38,24 @@ async function connectToMongoDB() {
 // Initialize MongoDB connection
 const mongoConnected = await connectToMongoDB();
 
-// Configure session middleware with MongoDB store
+// Secret signing the session cookie. Without SESSION_SECRET a random one is used,
+// so logins don't survive a restart; production requires it.
+if (!process.env.SESSION_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('SESSION_SECRET must be set in production');
+  process.exit(1);
+}
+const sessionSecret = process.env.SESSION_SECRET || randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts');
+}
+
+// Configure session middleware with MongoDB store. Sessions are only stored
+// once a user logs in; API-key clients don't get one.
 if (mongoConnected) {
   app.use(session({
-    secret: process.env.SESSION_SECRET || 'your-secret-key',
+    secret: sessionSecret,
     resave: false,
-    saveUninitialized: true,
+    saveUninitialized: false,
     store: MongoStore.create({
       mongoUrl: MONGO_URI,
       collectionName: 'sessions',
@@ -46,6 +64,8 @@ if (mongoConnected) {
     cookie: {
       secure: process.env.NODE_ENV === 'production',
       httpOnly: true,
+      // The cookie authenticates API requests, so other sites can't send it along (CSRF)
+      sameSite: 'lax',
       maxAge: 14 * 24 * 60 * 60 * 1000 // 14 days
     },
     name: 'agent.sid' // Custom session name
@@ -54,70 +74,616 @@ if (mongoConnected) {
 } else {
   console.warn('Using in-memory session store as MongoDB connection failed');
   app.use(session({
-    secret: process.env.SESSION_SECRET || 'your-secret-key',
+    secret: sessionSecret,
     resave: false,
-    saveUninitialized: true,
-    cookie: { maxAge: 24 * 60 * 60 * 1000 } // 1 day
+    saveUninitialized: false,
+    cookie: {
+      secure: process.env.NODE_ENV === 'production',
+      httpOnly: true,
+      // The cookie authenticates API requests, so other sites can't send it along (CSRF)
+      sameSite: 'lax',
+      maxAge: 24 * 60 * 60 * 1000 // 1 day
+    }
   }));
 }
 
-// Agent instance map to store active agents
-const agentInstances = new Map();
+// Spend and token quotas shared by all sessions (config/quotas.json), with
+// counters kept in MongoDB or in a file so they survive restarts
+const quota = new QuotaManager({
+  ...loadQuotas(),
+  store: mongoConnected ? new MongoQuotaStore() : new FileQuotaStore()
+});
+quota.on('warning', ({ scope, subject, window, metric, used, limit }) => {
+  console.warn(`Quota warning: ${scope} ${subject} has used ${metric === 'cost' ? `$${used.toFixed(4)}` : used} of its ${window} ${metric} limit of ${limit}`);
+});
 
-// Middleware to initialize or retrieve agent for the session
-app.use(async (req, res, next) => {
-  if (!req.session.id) {
-    return next();
-  }
-  
-  // Get or create agent for this session
-  if (!agentInstances.has(req.session.id)) {
-    const agent = new Agent(req.session.id, {
-      useMongoDb: mongoConnected
+// User accounts (see auth.js), kept in MongoDB or in a file
+const accounts = new Accounts({
+  store: mongoConnected ? new MongoUserStore() : new FileUserStore()
+});
+// Anyone can sign up unless ALLOW_REGISTRATION=false
+const allowRegistration = process.env.ALLOW_REGISTRATION !== 'false';
+// Operators, who can read server-wide statistics: a comma-separated list of user
+// ids (see /api/auth/me). Ids rather than usernames, so nobody can register into the role.
+const adminUserIds = new Set((process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+
+// Start a new cookie session for a user, so a session id from before the login can't be reused
+function logIn(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      req.session.userId = user.id;
+      resolve();
     });
-    
-    // Wait for MongoDB connection if using MongoDB
-    if (mongoConnected) {
-      await agent.waitForMongoConnection();
+  });
+}
+
+// Create a local account and log in with it
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    if (!allowRegistration) {
+      return res.status(403).json({ error: 'Registration is disabled' });
     }
-    agentInstances.set(req.session.id, agent);
+    const { username, password } = req.body || {};
+    const user = await accounts.register(username, password);
+    await logIn(req, user);
+    res.status(201).json({ user });
+  } catch (error) {
+    console.error('Register error:', error.message);
+    sendError(res, error, 'Failed to register');
   }
-  
-  // Attach agent to request
-  req.agent = agentInstances.get(req.session.id);
-  next();
 });
 
-// Chat endpoint
-app.post('/api/chat', async (req, res) => {
+// Log in with a username and password; the cookie session then identifies the user
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const { message } = req.body;
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-    
-    // Stream response
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    
-    const responseStream = await req.agent.analyzeStream(message);
-    
-    // Send response chunks as they arrive
-    for await (const chunk of responseStream) {
-      if (chunk.text) {
-        res.write(`data: ${JSON.stringify({ text: chunk.text })}\n\n`);
-      }
+    const { username, password } = req.body || {};
+    const user = await accounts.login(username, password);
+    await logIn(req, user);
+    res.json({ user });
+  } catch (error) {
+    console.error('Login error:', error.message);
+    sendError(res, error, 'Failed to log in');
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  req.session.destroy(error => {
+    if (error) {
+      console.error('Logout error:', error);
+      return res.status(500).json({ error: 'Failed to log out' });
+    }
+    res.json({ loggedOut: true });
+  });
+});
+
+// Every other API route requires a user: an API key (Authorization: Bearer <key>
+// or X-API-Key) or a logged-in cookie session
+app.use('/api', async (req, res, next) => {
+  try {
+    const authorization = req.get('Authorization');
+    const apiKey = authorization?.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : req.get('X-API-Key');
+
+    let user = null;
+    if (apiKey) {
+      user = await accounts.authenticateApiKey(apiKey);
+      if (!user) return res.status(401).json({ error: 'Invalid API key' });
+    } else if (req.session.userId) {
+      user = await accounts.getUser(req.session.userId);
+    }
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    sendError(res, error, 'Failed to authenticate');
+  }
+});
+
+// The logged-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// List the user's API keys (without the keys themselves)
+app.get('/api/auth/keys', async (req, res) => {
+  try {
+    res.json({ apiKeys: await accounts.listApiKeys(req.user.id) });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    sendError(res, error, 'Failed to list API keys');
+  }
+});
+
+// Create an API key; the response is the only time the key is shown
+app.post('/api/auth/keys', async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({ error: 'Name must be a string' });
+    }
+    res.status(201).json(await accounts.createApiKey(req.user.id, name?.trim()));
+  } catch (error) {
+    console.error('Create API key error:', error);
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+app.delete('/api/auth/keys/:id', async (req, res) => {
+  try {
+    if (!(await accounts.revokeApiKey(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: `API key "${req.params.id}" not found` });
+    }
+    res.json({ revoked: req.params.id });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+// Session each evicted agent was on, so the user's next request continues it.
+// Kept for at most this many users, oldest dropped first.
+const resumeSessionIds = new Map();
+const MAX_RESUME_SESSIONS = 10000;
+
+// Agent for a user: on the conversation its previous agent was on, or the one
+// they updated last, or a new one
+async function createAgent(userId) {
+  const agent = new Agent(randomUUID(), {
+    useMongoDb: mongoConnected,
+    userId,
+    quota
+  });
+
+  // Wait for MongoDB connection if using MongoDB
+  if (mongoConnected) {
+    await agent.waitForMongoConnection();
+  }
+
+  let sessionId = resumeSessionIds.get(userId);
+  resumeSessionIds.delete(userId);
+  if (!sessionId) {
+    const [latest] = await agent.memory.listSessions({ userId });
+    sessionId = latest?.sessionId;
+  }
+  if (sessionId) {
+    await agent.setSessionId(sessionId);
+  }
+  return agent;
+}
+
+// Agents of active users, one per user and shared by their clients; idle ones
+// are evicted and created again from storage when needed (see agentCache.js)
+const agentCache = new AgentCache({ create: createAgent });
+agentCache.on('evict', ({ key, reason, agent }) => {
+  resumeSessionIds.set(key, agent.sessionId);
+  if (resumeSessionIds.size > MAX_RESUME_SESSIONS) {
+    resumeSessionIds.delete(resumeSessionIds.keys().next().value);
+  }
+  console.log(`Evicted agent of user ${key} (${reason})`);
+});
+
+// Agent cache statistics: agents held, estimated memory, hit rate and evictions.
+// They cover every user's agents, so only operators can read them.
+app.get('/api/stats/agents', (req, res) => {
+  if (!adminUserIds.has(req.user.id)) {
+    return res.status(403).json({ error: 'Only operators can read server statistics' });
+  }
+  res.json(agentCache.stats());
+});
+
+// Middleware to retrieve the agent of the request's user; it stays in use
+// (and isn't evicted) until the response is done
+app.use('/api', async (req, res, next) => {
+  try {
+    req.agent = await agentCache.acquire(req.user.id);
+    res.once('close', () => agentCache.release(req.user.id));
+    next();
+  } catch (error) {
+    console.error('Agent error:', error);
+    sendError(res, error, 'Failed to start the agent');
+  }
+});
+
+// Start a server-sent event response, unless a queue position already started it
+function startEventStream(res) {
+  if (res.headersSent) return;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+// Send an agent response stream to the client as server-sent events
+async function streamResponse(res, responseStream) {
+  startEventStream(res);
+
+  // Send response chunks as they arrive
+  for await (const chunk of responseStream) {
+    if (chunk.text) {
+      res.write(`data: ${JSON.stringify({ text: chunk.text })}\n\n`);
     }
-    
-    res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
+  }
+
+  res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
+  res.end();
+}
+
+// Abort the agent's reply when the client disconnects before it is complete,
+// so the model stream isn't consumed for nobody (the partial reply is kept)
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+// Requests that change a user's conversation run one at a time, in order
+// (or are refused with 409 in REQUEST_QUEUE_MODE=reject; see requestQueue.js).
+// The queue is keyed by the user's agent, so by user id like agentCache: a user's
+// conversations all live on that one agent, which holds one active session at a
+// time, so requests on two of them must not run side by side either.
+const requestQueue = new RequestQueue();
+
+// Run a route that changes the conversation in turn with the user's other such requests.
+// When stream(req) is true the route replies with server-sent events, and a request
+// that has to wait is sent its queue position first: { queued: { position } }, 1 being next.
+function inTurn(handler, stream = () => false) {
+  return async (req, res) => {
+    let release;
+    try {
+      release = await requestQueue.enter(req.user.id, {
+        signal: abortOnClose(res),
+        onPosition: stream(req)
+          ? position => {
+            startEventStream(res);
+            res.write(`data: ${JSON.stringify({ queued: { position } })}\n\n`);
+          }
+          : undefined
+      });
+    } catch (error) {
+      console.error('Request queue error:', error.message);
+      return sendError(res, error, 'Failed to queue request');
+    }
+
+    try {
+      await handler(req, res);
+    } finally {
+      release();
+    }
+  };
+}
+
+// Report a failed request, using the status an agent error carries (e.g. 404 for an unknown message)
+function sendError(res, error, fallbackMessage) {
+  // The client is gone (e.g. a cancelled request): nobody to report to
+  if (res.destroyed) return;
+  if (res.headersSent) {
+    res.write(`data: ${JSON.stringify({ error: error.status ? error.message : fallbackMessage })}\n\n`);
     res.end();
+    return;
+  }
+  if (error.status) {
+    // e.g. a quota that resets later
+    if (error.retryAfter !== undefined) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: fallbackMessage });
+  }
+}
+
+// Message as returned to clients (without internal fields like the cached embedding)
+function toPublicMessage(message) {
+  const { embedding, ...publicMessage } = message;
+  return publicMessage;
+}
+
+// Multipart uploads for /api/chat: files stay in memory and are handed to the agent as buffers
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 10 }
+});
+
+function acceptFiles(req, res, next) {
+  upload.array('files')(req, res, error => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    next();
+  });
+}
+
+// Malformed input is refused before the request waits for its turn: a queued
+// request has already started its event stream and can't answer 400 any more
+function validateChatInput(req, res, next) {
+  const { message } = req.body || {};
+  if (message !== undefined && typeof message !== 'string') {
+    return res.status(400).json({ error: 'Message must be a string; upload attachments as multipart files' });
+  }
+  if (!message && (req.files || []).length === 0) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  next();
+}
+
+function validateEditInput(req, res, next) {
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Text is required' });
+  }
+  next();
+}
+
+// Chat endpoint: JSON { message }, or multipart with a 'message' field and 'files'
+app.post('/api/chat', acceptFiles, validateChatInput, inTurn(async (req, res) => {
+  try {
+    const { message } = req.body;
+    const files = req.files || [];
+
+    // Attachments only ever come from the uploaded buffers
+    const input = files.length > 0
+      ? {
+        text: message || '',
+        attachments: files.map(file => ({ data: file.buffer, mimeType: file.mimetype, name: file.originalname }))
+      }
+      : message;
+    await streamResponse(res, await req.agent.analyzeStream(input, { signal: abortOnClose(res) }));
   } catch (error) {
     console.error('Chat error:', error);
-    res.status(500).json({ error: 'Failed to process chat request' });
+    sendError(res, error, 'Failed to process chat request');
+  }
+}, () => true));
+
+// Whether a request is changing the user's conversation and how many wait for it
+app.get('/api/queue', (req, res) => {
+  res.json({ mode: requestQueue.mode, maxDepth: requestQueue.maxDepth, ...requestQueue.status(req.user.id) });
+});
+
+// List the messages on the active branch with their ids
+app.get('/api/messages', (req, res) => {
+  res.json({ messages: req.agent.memory.getAllMessages().map(toPublicMessage) });
+});
+
+// Edit a user message; by default later turns are dropped and the reply is streamed again.
+// With fork: true the edited message starts a new branch instead.
+app.patch('/api/messages/:id', validateEditInput, inTurn(async (req, res) => {
+  try {
+    const { text, regenerate, fork, branchName } = req.body;
+    const responseStream = await req.agent.editMessage(req.params.id, text, {
+      regenerate,
+      fork,
+      branchName,
+      signal: abortOnClose(res)
+    });
+    if (!responseStream) {
+      const messages = req.agent.memory.getAllMessages();
+      const message = fork ? messages[messages.length - 1] : req.agent.memory.getMessage(req.params.id);
+      return res.json({ message: toPublicMessage(message) });
+    }
+    await streamResponse(res, responseStream);
+  } catch (error) {
+    console.error('Edit message error:', error);
+    sendError(res, error, 'Failed to edit message');
+  }
+}, req => req.body?.regenerate !== false));
+
+// Delete a message
+app.delete('/api/messages/:id', inTurn(async (req, res) => {
+  try {
+    const removed = await req.agent.deleteMessage(req.params.id);
+    res.json({ deleted: removed.map(message => message.id) });
+  } catch (error) {
+    console.error('Delete message error:', error);
+    sendError(res, error, 'Failed to delete message');
+  }
+}));
+
+// Regenerate the reply for the turn containing a message, dropping later turns.
+// With fork: true the new reply goes on a new branch and the current one is kept.
+app.post('/api/messages/:id/regenerate', inTurn(async (req, res) => {
+  try {
+    const { fork, branchName } = req.body || {};
+    await streamResponse(res, await req.agent.regenerate(req.params.id, { fork, branchName, signal: abortOnClose(res) }));
+  } catch (error) {
+    console.error('Regenerate error:', error);
+    sendError(res, error, 'Failed to regenerate response');
+  }
+}, () => true));
+
+// List the conversation's branches
+app.get('/api/branches', (req, res) => {
+  res.json({ branches: req.agent.listBranches() });
+});
+
+// Fork a new branch after a message (or from the start without messageId) and switch to it
+app.post('/api/branches', inTurn(async (req, res) => {
+  try {
+    const { messageId, name, switchTo } = req.body || {};
+    const branch = await req.agent.fork(messageId, { name, switchTo });
+    res.status(201).json({ branch });
+  } catch (error) {
+    console.error('Fork error:', error);
+    sendError(res, error, 'Failed to create branch');
+  }
+}));
+
+// Continue the conversation on another branch
+app.post('/api/branches/:id/switch', inTurn(async (req, res) => {
+  try {
+    const branch = await req.agent.switchBranch(req.params.id);
+    res.json({ branch, messages: req.agent.memory.getAllMessages().map(toPublicMessage) });
+  } catch (error) {
+    console.error('Switch branch error:', error);
+    sendError(res, error, 'Failed to switch branch');
+  }
+}));
+
+// Download an attachment of one of the conversation's messages
+app.get('/api/attachments/:id', async (req, res) => {
+  try {
+    const attachment = req.agent.memory.allMessages
+      .flatMap(message => message.attachments || [])
+      .find(other => other.id === req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const data = await req.agent.attachments.read(attachment.id);
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(attachment.name)}"`);
+    res.send(data);
+  } catch (error) {
+    console.error('Attachment error:', error);
+    sendError(res, error, 'Failed to read attachment');
+  }
+});
+
+// One of the user's sessions. Sessions of other users are reported as not found,
+// like unknown ones; the agent's current session is the user's even before it is stored.
+async function getOwnedSession(req, sessionId) {
+  const session = await req.agent.memory.getSession(sessionId);
+  const unsaved = sessionId === req.agent.sessionId && !session?.userId;
+  if (!session || (!unsaved && session.userId !== req.user.id)) {
+    const error = new Error(`Session "${sessionId}" not found`);
+    error.status = 404;
+    throw error;
+  }
+  return session;
+}
+
+// Parse ?offset=&limit= for paginated lists
+function parsePage(query, defaultLimit = 50, maxLimit = 200) {
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    const error = new Error(`offset must be a non-negative integer and limit an integer from 1 to ${maxLimit}`);
+    error.status = 400;
+    throw error;
+  }
+  return { offset, limit };
+}
+
+// A session with one page of its messages (the active branch path, oldest first)
+function toSessionPage(session, { offset, limit }) {
+  return {
+    sessionId: session.sessionId,
+    title: session.title,
+    activeBranchId: session.activeBranchId,
+    total: session.messages.length,
+    offset,
+    limit,
+    messages: session.messages.slice(offset, offset + limit).map(toPublicMessage)
+  };
+}
+
+// List the user's sessions, most recently updated first
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const sessions = (await req.agent.memory.listSessions({ userId: req.user.id }))
+      .map(({ userId, ...session }) => session);
+
+    // The current session may not be stored yet (or at all, without storage)
+    if (!sessions.some(session => session.sessionId === req.agent.sessionId)) {
+      const messages = req.agent.memory.allMessages;
+      sessions.unshift({
+        sessionId: req.agent.sessionId,
+        title: req.agent.memory.title,
+        messageCount: messages.length,
+        lastUpdated: messages.length > 0 ? messages[messages.length - 1].timestamp : null
+      });
+    }
+
+    res.json({
+      sessions: sessions.map(session => ({ ...session, active: session.sessionId === req.agent.sessionId }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    sendError(res, error, 'Failed to list sessions');
+  }
+});
+
+// Start a new conversation and make it the active one
+app.post('/api/sessions', inTurn(async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({ error: 'Title must be a non-empty string' });
+    }
+
+    await req.agent.setSessionId(randomUUID());
+    if (title) await req.agent.memory.setTitle(title.trim());
+    res.status(201).json({
+      session: { sessionId: req.agent.sessionId, title: req.agent.memory.title, messageCount: 0, lastUpdated: null, active: true }
+    });
+  } catch (error) {
+    console.error('Create session error:', error);
+    sendError(res, error, 'Failed to create session');
+  }
+}));
+
+// A session's history, paginated with ?offset=&limit= (default 50, at most 200)
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const session = await getOwnedSession(req, req.params.id);
+    res.json(toSessionPage(session, parsePage(req.query)));
+  } catch (error) {
+    console.error('Get session error:', error);
+    sendError(res, error, 'Failed to load session');
   }
 });
 
+// Continue another of the user's conversations
+app.post('/api/sessions/:id/switch', inTurn(async (req, res) => {
+  try {
+    await getOwnedSession(req, req.params.id);
+    const page = parsePage(req.query);
+    await req.agent.setSessionId(req.params.id);
+    res.json(toSessionPage(await req.agent.memory.getSession(), page));
+  } catch (error) {
+    console.error('Switch session error:', error);
+    sendError(res, error, 'Failed to switch session');
+  }
+}));
+
+// Rename a session
+app.patch('/api/sessions/:id', inTurn(async (req, res) => {
+  try {
+    await getOwnedSession(req, req.params.id);
+    const { title } = req.body || {};
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    await req.agent.memory.renameSession(req.params.id, title.trim());
+    res.json({ sessionId: req.params.id, title: title.trim() });
+  } catch (error) {
+    console.error('Rename session error:', error);
+    sendError(res, error, 'Failed to rename session');
+  }
+}));
+
+// Delete a session and its stored messages. Deleting the active session starts a new one.
+app.delete('/api/sessions/:id', inTurn(async (req, res) => {
+  try {
+    await getOwnedSession(req, req.params.id);
+    const deleted = await req.agent.memory.deleteSession(req.params.id);
+
+    if (req.params.id === req.agent.sessionId) {
+      await req.agent.setSessionId(randomUUID());
+    }
+    res.json({ deleted, activeSessionId: req.agent.sessionId });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    sendError(res, error, 'Failed to delete session');
+  }
+}));
+
 // Simple HTML interface
 app.get('/', (req, res) => {
   res.send(`
@@ -132,10 +698,21 @@ app.get('/', (req, res) => {
         button { padding: 8px 15px; }
         .user { color: blue; }
         .agent { color: green; }
+        #account { margin-bottom: 10px; }
       </style>
     </head>
     <body>
       <h1>AI Chat</h1>
+      <div id="account">
+        <span id="status"></span>
+        <span id="login">
+          <input id="username" type="text" placeholder="Username">
+          <input id="password" type="password" placeholder="Password">
+          <button onclick="authenticate('login')">Log in</button>
+          <button onclick="authenticate('register')">Sign up</button>
+        </span>
+        <button id="logout" onclick="logOut()" style="display: none">Log out</button>
+      </div>
       <div id="chat"></div>
       <input id="input" type="text" placeholder="Type your message...">
       <button onclick="sendMessage()">Send</button>
@@ -143,6 +720,40 @@ app.get('/', (req, res) => {
       <script>
         const chatDiv = document.getElementById('chat');
         const inputField = document.getElementById('input');
+
+        function showUser(user) {
+          document.getElementById('status').textContent = user ? 'Logged in as ' + user.username : '';
+          document.getElementById('login').style.display = user ? 'none' : '';
+          document.getElementById('logout').style.display = user ? '' : 'none';
+        }
+
+        async function authenticate(action) {
+          const response = await fetch('/api/auth/' + action, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              username: document.getElementById('username').value,
+              password: document.getElementById('password').value
+            })
+          });
+          const data = await response.json();
+          if (!response.ok) {
+            document.getElementById('status').textContent = data.error;
+            return;
+          }
+          chatDiv.textContent = '';
+          showUser(data.user);
+        }
+
+        async function logOut() {
+          await fetch('/api/auth/logout', { method: 'POST' });
+          chatDiv.textContent = '';
+          showUser(null);
+        }
+
+        fetch('/api/auth/me')
+          .then(response => response.ok ? response.json() : { user: null })
+          .then(data => showUser(data.user));
         
         function addMessage(role, text) {
           const div = document.createElement('div');
@@ -170,6 +781,10 @@ app.get('/', (req, res) => {
               headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify({ message })
             });
+            if (!response.ok) {
+              responseDiv.textContent += 'Error: ' + (await response.json()).error;
+              return;
+            }
             
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
@@ -184,6 +799,15 @@ app.get('/', (req, res) => {
               for (const line of lines) {
                 if (line.startsWith('data: ')) {
                   const data = JSON.parse(line.substring(6));
+                  // Earlier messages are still being answered
+                  if (data.queued) {
+                    responseDiv.textContent = 'AI: (waiting, position ' + data.queued.position + ')';
+                    responseDiv.dataset.queued = 'true';
+                  }
+                  if (data.text && responseDiv.dataset.queued) {
+                    responseDiv.textContent = 'AI: ';
+                    delete responseDiv.dataset.queued;
+                  }
                   if (data.text) {
                     responseDiv.textContent += data.text;
                     chatDiv.scrollTop = chatDiv.scrollHeight;
@@ -215,10 +839,8 @@ app.listen(PORT, () => {
 process.on('SIGINT', async () => {
   console.log('Shutting down server...');
   
-  // Close all agent connections
-  for (const agent of agentInstances.values()) {
-    await agent.closeMongoConnection();
-  }
+  // Save what the agents still have queued
+  await agentCache.clear();
   
   // Close MongoDB connection
   if (mongoConnected) {
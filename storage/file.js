@@ -0,0 +1,234 @@
+/**
+ * JSON Lines File Storage
+ *
+ * Stores each session as a .jsonl file in a directory: a log replayed in order on load.
+ * - { "message": {...} } appends a message
+ * - { "update": [{ id, fields }] } sets fields on messages
+ * - { "remove": [ids] } removes messages
+ * - { "summary": {...} } adds a rolling summary
+ * - { "summaries": [...] } sets all summaries (written by replace)
+ * - { "branches": [...], "activeBranchId": "..." } sets the branches and the active one
+ * - { "title": "..." } sets the session's title
+ * - { "userId": "..." } sets the user the session belongs to
+ * Every change only adds lines. Replace (and compaction, once the log holds
+ * many more records than messages) rewrites the file through a temporary file
+ * and a rename, so a crash never leaves a half-written conversation.
+ * A truncated last line (from a crash during an append) is skipped on load, and
+ * records repeated by a replay (same message or summary id) are applied once.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class FileStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory for the session files (default: MEMORY_DIR or ./data/sessions)
+   * @param {number} options.compactionRatio - Records per message that trigger a rewrite on load (default: 3)
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = path.resolve(options.directory || process.env.MEMORY_DIR || path.join('data', 'sessions'));
+    this.writeQueues = new Map(); // sessionId -> promise of the last write, to keep writes in order
+    // Rewrite a file once its log holds this many times more records than messages
+    this.compactionRatio = options.compactionRatio || 3;
+  }
+
+  isReady() {
+    return true;
+  }
+
+  async waitUntilReady() {
+    return true;
+  }
+
+  _filePath(sessionId) {
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}.jsonl`);
+  }
+
+  // Run writes to one session file one at a time
+  _enqueueWrite(sessionId, write) {
+    const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(write);
+    this.writeQueues.set(sessionId, next);
+    next.finally(() => {
+      if (this.writeQueues.get(sessionId) === next) this.writeQueues.delete(sessionId);
+    }).catch(() => {});
+    return next;
+  }
+
+  async _readRecords(sessionId) {
+    let content;
+    try {
+      content = await fs.readFile(this._filePath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const records = [];
+    const lines = content.split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable line ${index + 1} in ${this._filePath(sessionId)}: ${error.message}`);
+      }
+    });
+    return records;
+  }
+
+  // Replay log records into the conversation they describe
+  _replay(records) {
+    let messages = [];
+    let summaries = [];
+    let branches = [];
+    let activeBranchId;
+    let title = null;
+    let userId = null;
+    const seen = new Set(); // Message ids ever appended, so replays (even of removed messages) are skipped
+    for (const record of records) {
+      if (record.message) {
+        if (record.message.id && seen.has(record.message.id)) continue;
+        if (record.message.id) seen.add(record.message.id);
+        messages.push(record.message);
+      } else if (Array.isArray(record.update)) {
+        for (const { id, fields } of record.update) {
+          const index = messages.findIndex(message => message.id === id);
+          if (index !== -1) messages[index] = { ...messages[index], ...fields };
+        }
+      } else if (Array.isArray(record.remove)) {
+        const removed = new Set(record.remove);
+        messages = messages.filter(message => !removed.has(message.id));
+      } else if (record.summary) {
+        if (!summaries.some(summary => summary.id && summary.id === record.summary.id)) {
+          summaries.push(record.summary);
+        }
+      } else if (Array.isArray(record.summaries)) {
+        summaries = record.summaries;
+      } else if (Array.isArray(record.branches)) {
+        branches = record.branches;
+        activeBranchId = record.activeBranchId;
+      } else if (record.title !== undefined) {
+        title = record.title;
+      } else if (record.userId !== undefined) {
+        userId = record.userId;
+      }
+    }
+    return { messages, summaries, branches, activeBranchId, title, userId };
+  }
+
+  async load(sessionId) {
+    await this.writeQueues.get(sessionId)?.catch(() => {});
+    const records = await this._readRecords(sessionId);
+    if (!records) return null;
+
+    const conversation = this._replay(records);
+    if (records.length > (conversation.messages.length + 1) * this.compactionRatio) {
+      await this.replace(sessionId, conversation);
+    }
+    return conversation;
+  }
+
+  // Append log records to a session file
+  async _appendRecords(sessionId, records) {
+    if (records.length === 0) return;
+    const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+    await this._enqueueWrite(sessionId, async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.appendFile(this._filePath(sessionId), lines, 'utf8');
+    });
+  }
+
+  async append(sessionId, messages) {
+    await this._appendRecords(sessionId, messages.map(message => ({ message })));
+  }
+
+  async updateMessages(sessionId, updates) {
+    await this._appendRecords(sessionId, [{ update: updates }]);
+  }
+
+  async removeMessages(sessionId, ids) {
+    await this._appendRecords(sessionId, [{ remove: ids }]);
+  }
+
+  async addSummary(sessionId, summary) {
+    await this._appendRecords(sessionId, [{ summary }]);
+  }
+
+  async setBranches(sessionId, { branches, activeBranchId }) {
+    await this._appendRecords(sessionId, [{ branches, activeBranchId }]);
+  }
+
+  async setTitle(sessionId, title) {
+    await this._appendRecords(sessionId, [{ title }]);
+  }
+
+  async setOwner(sessionId, userId) {
+    await this._appendRecords(sessionId, [{ userId }]);
+  }
+
+  async replace(sessionId, { messages, summaries = [], branches = [], activeBranchId, title = null, userId = null }) {
+    const lines = [
+      ...messages.map(message => JSON.stringify({ message })),
+      JSON.stringify({ summaries }),
+      JSON.stringify({ branches, activeBranchId }),
+      JSON.stringify({ title }),
+      JSON.stringify({ userId })
+    ].join('\n') + '\n';
+
+    await this._enqueueWrite(sessionId, async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      const filePath = this._filePath(sessionId);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, lines, 'utf8');
+      await fs.rename(tempPath, filePath);
+    });
+  }
+
+  async delete(sessionId) {
+    return this._enqueueWrite(sessionId, async () => {
+      try {
+        await fs.unlink(this._filePath(sessionId));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  async listSessions({ userId } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = [];
+    for (const file of files.filter(name => name.endsWith('.jsonl'))) {
+      const sessionId = decodeURIComponent(file.slice(0, -'.jsonl'.length));
+      const [records, stats] = await Promise.all([
+        this._readRecords(sessionId),
+        fs.stat(path.join(this.directory, file))
+      ]);
+      if (!records) continue;
+      const conversation = this._replay(records);
+      if (userId && conversation.userId !== userId) continue;
+      sessions.push({
+        sessionId,
+        title: conversation.title,
+        userId: conversation.userId,
+        messageCount: conversation.messages.length,
+        lastUpdated: Math.floor(stats.mtimeMs)
+      });
+    }
+    return sessions.sort((a, b) => b.lastUpdated - a.lastUpdated);
+  }
+}
+
+export default FileStorage;
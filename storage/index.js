@@ -0,0 +1,53 @@
+/**
+ * Conversation storage registry
+ *
+ * Memory persists sessions through a storage adapter. Every adapter implements:
+ * - isReady() -> whether it can be used right now
+ * - waitUntilReady(timeoutMs) -> boolean, waiting for a connection still being opened
+ * - load(sessionId) -> { messages, summaries, branches, activeBranchId, title, userId } or null for an unknown session
+ * - append(sessionId, messages) -> add messages to the end of a session, skipping ids already stored
+ * - updateMessages(sessionId, [{ id, fields }]) -> set fields on messages
+ * - removeMessages(sessionId, ids) -> remove messages
+ * - addSummary(sessionId, summary) -> add a rolling summary, unless its id is already stored
+ * - setBranches(sessionId, { branches, activeBranchId }) -> store the session's branches (see conversationTree.js)
+ * - setTitle(sessionId, title) -> set the session's title
+ * - setOwner(sessionId, userId) -> set the user the session belongs to
+ * - replace(sessionId, { messages, summaries, branches, activeBranchId, title, userId }) -> overwrite a session
+ * - delete(sessionId) -> boolean, whether the session existed
+ * - listSessions({ userId }) -> [{ sessionId, title, userId, messageCount, lastUpdated }], most recent first;
+ *   only the sessions of userId when it is given
+ * Messages are plain memory messages with an id and a numeric timestamp, in the order they were added
+ * (across all branches).
+ * Every write is idempotent for the ids storage currently holds, so replaying an operation
+ * (see writeAheadLog.js) is safe; the log itself keeps deleted messages from being re-added.
+ */
+
+import { MongoStorage } from './mongo.js';
+import { FileStorage } from './file.js';
+import { SqliteStorage } from './sqlite.js';
+
+const storages = {
+  mongodb: MongoStorage,
+  file: FileStorage,
+  sqlite: SqliteStorage
+};
+
+/**
+ * Resolve a storage adapter from a name or an existing instance
+ * @param {string|Object|null} storage - Storage name ('mongodb', 'file', 'sqlite'), adapter instance, or null for none
+ * @param {Object} options - Options passed to the adapter constructor
+ * @returns {Object|null} - Storage adapter, or null when nothing is persisted
+ */
+export function createStorage(storage, options = {}) {
+  if (!storage) return null;
+  if (typeof storage === 'object') return storage;
+
+  const StorageClass = storages[storage];
+  if (!StorageClass) {
+    throw new Error(`Unknown storage "${storage}". Available storages: ${Object.keys(storages).join(', ')}`);
+  }
+
+  return new StorageClass(options);
+}
+
+export { MongoStorage, FileStorage, SqliteStorage };
@@ -0,0 +1,214 @@
+/**
+ * MongoDB Storage
+ *
+ * Stores each session as a Conversation document through the app's
+ * mongoose connection. The connection itself is opened by the caller
+ * (Agent, s.js); this adapter only waits for it.
+ */
+
+import mongoose from 'mongoose';
+import Conversation from '../models/conversation.js';
+
+export class MongoStorage {
+  constructor() {
+    this.name = 'mongodb';
+  }
+
+  // Whether the mongoose connection is open
+  isReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Wait for a connection that is still being opened
+   * @param {number} timeoutMs - Maximum time to wait in ms (default: 5000)
+   * @returns {Promise<boolean>} - Whether MongoDB is connected
+   */
+  async waitUntilReady(timeoutMs = 5000) {
+    if (mongoose.connection.readyState === 0) {
+      let checkInterval;
+      let timeoutHandle;
+      try {
+        await Promise.race([
+          new Promise(resolve => {
+            checkInterval = setInterval(() => {
+              if (mongoose.connection.readyState === 1) resolve(true);
+            }, 100);
+          }),
+          new Promise((_, reject) => {
+            timeoutHandle = setTimeout(() => reject(new Error('MongoDB connection timeout')), timeoutMs);
+          })
+        ]);
+      } catch (error) {
+        console.warn('MongoDB connection failed:', error.message);
+      } finally {
+        // Clear both timers so a failed check doesn't keep the process alive
+        clearInterval(checkInterval);
+        clearTimeout(timeoutHandle);
+      }
+    }
+    return this.isReady();
+  }
+
+  // Convert a stored message subdocument to a plain memory message
+  _toMessage(msg) {
+    return {
+      ...(msg.id && { id: msg.id }),
+      ...(msg.parentId !== undefined && { parentId: msg.parentId }),
+      ...(msg.branchId && { branchId: msg.branchId }),
+      role: msg.role,
+      text: msg.text,
+      timestamp: msg.timestamp.getTime(),
+      ...(msg.attachments?.length > 0 && { attachments: msg.attachments.map(attachment => attachment.toObject()) }),
+      ...(msg.editedAt && { editedAt: msg.editedAt.getTime() }),
+      ...(msg.model && { model: msg.model }),
+      ...(msg.usage && { usage: msg.usage.toObject() }),
+      ...(msg.interrupted && { interrupted: true, interruptReason: msg.interruptReason }),
+      ...(msg.toolCall?.name && { toolCall: msg.toolCall.toObject() }),
+      ...(msg.toolResult?.name && { toolResult: msg.toolResult.toObject() }),
+      ...(msg.summarized && { summarized: true }),
+      ...(msg.embedding && msg.embedding.length > 0 && { embedding: [...msg.embedding] })
+    };
+  }
+
+  async load(sessionId) {
+    const conversation = await Conversation.findOne({ sessionId });
+    if (!conversation) return null;
+
+    if (!Array.isArray(conversation.messages)) {
+      console.warn(`Invalid 'messages' field in MongoDB document for session ${sessionId}. Expected an array.`);
+    }
+
+    return {
+      messages: Array.isArray(conversation.messages) ? conversation.messages.map(msg => this._toMessage(msg)) : [],
+      summaries: (conversation.summaries || []).map(summary => ({
+        ...(summary.id && { id: summary.id }),
+        ...(summary.branchId && { branchId: summary.branchId }),
+        ...(summary.lastMessageId && { lastMessageId: summary.lastMessageId }),
+        text: summary.text,
+        messageCount: summary.messageCount,
+        coversUntil: summary.coversUntil.getTime(),
+        timestamp: summary.timestamp.getTime()
+      })),
+      branches: (conversation.branches || []).map(branch => ({
+        id: branch.id,
+        name: branch.name,
+        forkedFrom: branch.forkedFrom || null,
+        createdAt: branch.createdAt.getTime()
+      })),
+      activeBranchId: conversation.activeBranchId,
+      title: conversation.title || null,
+      userId: conversation.userId || null
+    };
+  }
+
+  async append(sessionId, messages) {
+    // Skip messages a previous attempt already stored
+    const ids = messages.map(message => message.id).filter(Boolean);
+    const [existing] = ids.length > 0
+      ? await Conversation.aggregate([
+        { $match: { sessionId } },
+        { $project: { ids: { $setIntersection: ['$messages.id', ids] } } }
+      ])
+      : [];
+    const stored = new Set(existing ? existing.ids : []);
+    const newMessages = messages.filter(message => !stored.has(message.id));
+    if (newMessages.length === 0) return;
+
+    await Conversation.updateOne(
+      { sessionId },
+      {
+        $push: { messages: { $each: newMessages } },
+        $set: { lastUpdated: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  async updateMessages(sessionId, updates) {
+    const $set = { lastUpdated: new Date() };
+    const arrayFilters = [];
+    updates.forEach(({ id, fields }, i) => {
+      for (const [key, value] of Object.entries(fields)) {
+        $set[`messages.$[m${i}].${key}`] = value;
+      }
+      arrayFilters.push({ [`m${i}.id`]: id });
+    });
+    await Conversation.updateOne({ sessionId }, { $set }, { arrayFilters });
+  }
+
+  async removeMessages(sessionId, ids) {
+    await Conversation.updateOne(
+      { sessionId },
+      {
+        $pull: { messages: { id: { $in: ids } } },
+        $set: { lastUpdated: new Date() }
+      }
+    );
+  }
+
+  async addSummary(sessionId, summary) {
+    // The filter makes a replayed summary a no-op
+    await Conversation.updateOne(
+      { sessionId, 'summaries.id': { $ne: summary.id } },
+      {
+        $push: { summaries: summary },
+        $set: { lastUpdated: new Date() }
+      }
+    );
+  }
+
+  async setBranches(sessionId, { branches, activeBranchId }) {
+    await Conversation.updateOne(
+      { sessionId },
+      { $set: { branches, activeBranchId, lastUpdated: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async setTitle(sessionId, title) {
+    await Conversation.updateOne(
+      { sessionId },
+      { $set: { title, lastUpdated: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async setOwner(sessionId, userId) {
+    await Conversation.updateOne(
+      { sessionId },
+      { $set: { userId }, $setOnInsert: { lastUpdated: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async replace(sessionId, { messages, summaries = [], branches = [], activeBranchId, title = null, userId = null }) {
+    await Conversation.findOneAndUpdate(
+      { sessionId },
+      { messages, summaries, branches, activeBranchId, title, userId, lastUpdated: new Date() },
+      { upsert: true, lean: true }
+    );
+  }
+
+  async delete(sessionId) {
+    const result = await Conversation.deleteOne({ sessionId });
+    return result.deletedCount > 0;
+  }
+
+  async listSessions({ userId } = {}) {
+    const sessions = await Conversation.aggregate([
+      ...(userId ? [{ $match: { userId } }] : []),
+      { $project: { _id: 0, sessionId: 1, title: 1, userId: 1, lastUpdated: 1, messageCount: { $size: { $ifNull: ['$messages', []] } } } },
+      { $sort: { lastUpdated: -1 } }
+    ]);
+    return sessions.map(session => ({
+      sessionId: session.sessionId,
+      title: session.title || null,
+      userId: session.userId || null,
+      messageCount: session.messageCount,
+      lastUpdated: session.lastUpdated ? session.lastUpdated.getTime() : null
+    }));
+  }
+}
+
+export default MongoStorage;
@@ -0,0 +1,265 @@
+/**
+ * SQLite Storage
+ *
+ * Stores sessions in an embedded SQLite database file (better-sqlite3):
+ * - conversations: one row per session with its title, owner, summaries, branches and last update time
+ * - messages: one row per message, as JSON, in insertion order and unique by message id
+ * better-sqlite3 is loaded on first use, so it is only needed when this backend is selected.
+ */
+
+export class SqliteStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.filename - Database file (default: SQLITE_PATH or ./data/memory.sqlite)
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.filename = options.filename || process.env.SQLITE_PATH || 'data/memory.sqlite';
+    this.db = null;
+    this.opening = null;
+  }
+
+  isReady() {
+    return true;
+  }
+
+  async waitUntilReady() {
+    await this._open();
+    return true;
+  }
+
+  // Open the database and create the tables on first use
+  async _open() {
+    if (this.db) return this.db;
+    if (!this.opening) {
+      this.opening = (async () => {
+        let Database;
+        try {
+          ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+          throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        if (this.filename !== ':memory:') {
+          const { mkdir } = await import('fs/promises');
+          const { dirname } = await import('path');
+          await mkdir(dirname(this.filename), { recursive: true });
+        }
+
+        const db = new Database(this.filename);
+        db.pragma('journal_mode = WAL');
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS conversations (
+            session_id TEXT PRIMARY KEY,
+            title TEXT,
+            user_id TEXT,
+            summaries TEXT NOT NULL DEFAULT '[]',
+            branches TEXT NOT NULL DEFAULT '[]',
+            active_branch_id TEXT,
+            last_updated INTEGER NOT NULL
+          );
+          CREATE TABLE IF NOT EXISTS messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            message_id TEXT,
+            data TEXT NOT NULL
+          );
+          CREATE INDEX IF NOT EXISTS messages_by_session ON messages (session_id, id);
+        `);
+        // Databases created before message ids were stored
+        const columns = db.prepare('PRAGMA table_info(messages)').all().map(column => column.name);
+        if (!columns.includes('message_id')) {
+          db.exec('ALTER TABLE messages ADD COLUMN message_id TEXT');
+        }
+        db.exec('CREATE UNIQUE INDEX IF NOT EXISTS messages_by_id ON messages (session_id, message_id)');
+        // Databases created before conversations could branch
+        const conversationColumns = db.prepare('PRAGMA table_info(conversations)').all().map(column => column.name);
+        if (!conversationColumns.includes('branches')) {
+          db.exec(`ALTER TABLE conversations ADD COLUMN branches TEXT NOT NULL DEFAULT '[]'`);
+          db.exec('ALTER TABLE conversations ADD COLUMN active_branch_id TEXT');
+        }
+        // Databases created before sessions had titles
+        if (!conversationColumns.includes('title')) {
+          db.exec('ALTER TABLE conversations ADD COLUMN title TEXT');
+        }
+        // Databases created before sessions belonged to users
+        if (!conversationColumns.includes('user_id')) {
+          db.exec('ALTER TABLE conversations ADD COLUMN user_id TEXT');
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS conversations_by_user ON conversations (user_id)');
+        this.db = db;
+        return db;
+      })();
+      this.opening.catch(() => { this.opening = null; });
+    }
+    return this.opening;
+  }
+
+  // Insert or refresh the conversation row
+  _touch(db, sessionId, summaries) {
+    if (summaries) {
+      db.prepare(`
+        INSERT INTO conversations (session_id, summaries, last_updated) VALUES (?, ?, ?)
+        ON CONFLICT (session_id) DO UPDATE SET summaries = excluded.summaries, last_updated = excluded.last_updated
+      `).run(sessionId, JSON.stringify(summaries), Date.now());
+    } else {
+      db.prepare(`
+        INSERT INTO conversations (session_id, last_updated) VALUES (?, ?)
+        ON CONFLICT (session_id) DO UPDATE SET last_updated = excluded.last_updated
+      `).run(sessionId, Date.now());
+    }
+  }
+
+  _insertMessages(db, sessionId, messages) {
+    // Messages already stored by an earlier attempt are ignored
+    const insert = db.prepare('INSERT OR IGNORE INTO messages (session_id, message_id, data) VALUES (?, ?, ?)');
+    for (const message of messages) {
+      insert.run(sessionId, message.id || null, JSON.stringify(message));
+    }
+  }
+
+  async load(sessionId) {
+    const db = await this._open();
+    const conversation = db.prepare('SELECT title, user_id, summaries, branches, active_branch_id FROM conversations WHERE session_id = ?').get(sessionId);
+    if (!conversation) return null;
+
+    const rows = db.prepare('SELECT data FROM messages WHERE session_id = ? ORDER BY id').all(sessionId);
+    return {
+      messages: rows.map(row => JSON.parse(row.data)),
+      summaries: JSON.parse(conversation.summaries),
+      branches: JSON.parse(conversation.branches),
+      activeBranchId: conversation.active_branch_id || undefined,
+      title: conversation.title,
+      userId: conversation.user_id
+    };
+  }
+
+  async append(sessionId, messages) {
+    const db = await this._open();
+    db.transaction(() => {
+      this._touch(db, sessionId);
+      this._insertMessages(db, sessionId, messages);
+    })();
+  }
+
+  async updateMessages(sessionId, updates) {
+    const db = await this._open();
+    db.transaction(() => {
+      const select = db.prepare('SELECT data FROM messages WHERE session_id = ? AND message_id = ?').pluck();
+      const update = db.prepare('UPDATE messages SET data = ? WHERE session_id = ? AND message_id = ?');
+      for (const { id, fields } of updates) {
+        const data = select.get(sessionId, id);
+        if (data === undefined) continue;
+        update.run(JSON.stringify({ ...JSON.parse(data), ...fields }), sessionId, id);
+      }
+      this._touch(db, sessionId);
+    })();
+  }
+
+  async removeMessages(sessionId, ids) {
+    const db = await this._open();
+    db.transaction(() => {
+      const remove = db.prepare('DELETE FROM messages WHERE session_id = ? AND message_id = ?');
+      for (const id of ids) {
+        remove.run(sessionId, id);
+      }
+      this._touch(db, sessionId);
+    })();
+  }
+
+  async addSummary(sessionId, summary) {
+    const db = await this._open();
+    db.transaction(() => {
+      const row = db.prepare('SELECT summaries FROM conversations WHERE session_id = ?').get(sessionId);
+      const summaries = row ? JSON.parse(row.summaries) : [];
+      if (summaries.some(existing => existing.id && existing.id === summary.id)) return;
+      this._touch(db, sessionId, [...summaries, summary]);
+    })();
+  }
+
+  _setBranches(db, sessionId, branches, activeBranchId) {
+    db.prepare('UPDATE conversations SET branches = ?, active_branch_id = ? WHERE session_id = ?')
+      .run(JSON.stringify(branches), activeBranchId || null, sessionId);
+  }
+
+  async setBranches(sessionId, { branches, activeBranchId }) {
+    const db = await this._open();
+    db.transaction(() => {
+      this._touch(db, sessionId);
+      this._setBranches(db, sessionId, branches, activeBranchId);
+    })();
+  }
+
+  _setTitle(db, sessionId, title) {
+    db.prepare('UPDATE conversations SET title = ? WHERE session_id = ?').run(title, sessionId);
+  }
+
+  async setTitle(sessionId, title) {
+    const db = await this._open();
+    db.transaction(() => {
+      this._touch(db, sessionId);
+      this._setTitle(db, sessionId, title);
+    })();
+  }
+
+  _setOwner(db, sessionId, userId) {
+    db.prepare('UPDATE conversations SET user_id = ? WHERE session_id = ?').run(userId, sessionId);
+  }
+
+  async setOwner(sessionId, userId) {
+    const db = await this._open();
+    db.transaction(() => {
+      this._touch(db, sessionId);
+      this._setOwner(db, sessionId, userId);
+    })();
+  }
+
+  async replace(sessionId, { messages, summaries = [], branches = [], activeBranchId, title = null, userId = null }) {
+    const db = await this._open();
+    db.transaction(() => {
+      db.prepare('DELETE FROM messages WHERE session_id = ?').run(sessionId);
+      this._touch(db, sessionId, summaries);
+      this._setBranches(db, sessionId, branches, activeBranchId);
+      this._setTitle(db, sessionId, title);
+      this._setOwner(db, sessionId, userId);
+      this._insertMessages(db, sessionId, messages);
+    })();
+  }
+
+  async delete(sessionId) {
+    const db = await this._open();
+    return db.transaction(() => {
+      db.prepare('DELETE FROM messages WHERE session_id = ?').run(sessionId);
+      return db.prepare('DELETE FROM conversations WHERE session_id = ?').run(sessionId).changes > 0;
+    })();
+  }
+
+  async listSessions({ userId } = {}) {
+    const db = await this._open();
+    const rows = db.prepare(`
+      SELECT c.session_id, c.title, c.user_id, c.last_updated, COUNT(m.id) AS message_count
+      FROM conversations c LEFT JOIN messages m ON m.session_id = c.session_id
+      ${userId ? 'WHERE c.user_id = @userId' : ''}
+      GROUP BY c.session_id
+      ORDER BY c.last_updated DESC
+    `).all(...(userId ? [{ userId }] : []));
+    return rows.map(row => ({
+      sessionId: row.session_id,
+      title: row.title,
+      userId: row.user_id,
+      messageCount: row.message_count,
+      lastUpdated: row.last_updated
+    }));
+  }
+
+  // Close the database file
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.opening = null;
+    }
+  }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,183 @@
+/**
+ * Write-Ahead Log
+ *
+ * Keeps Memory's pending storage operations on local disk until storage has
+ * applied them, so queued writes survive crashes and storage outages:
+ * - Each session has a .jsonl file; an operation is appended (and synced)
+ *   before it is queued for storage
+ * - Operations are removed once storage has applied them
+ * - On the next start (or reconnect) the remaining operations are replayed.
+ *   Operations are keyed by message and summary ids, so replaying one that
+ *   storage already applied has no effect
+ * - Storage adapters only skip ids they currently hold, so a replayed add would
+ *   bring back a message deleted since. Removing a delete drops the deleted
+ *   messages from logged adds in the same rewrite
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class WriteAheadLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory for the log files (default: MEMORY_WAL_DIR or ./data/wal)
+   * @param {boolean} options.sync - Flush each append to disk before returning (default: true)
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || process.env.MEMORY_WAL_DIR || path.join('data', 'wal'));
+    this.sync = options.sync !== undefined ? options.sync : true;
+    this.writeQueues = new Map(); // sessionId -> promise of the last write, to keep writes in order
+  }
+
+  _filePath(sessionId) {
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}.jsonl`);
+  }
+
+  // Run writes to one log file one at a time
+  _enqueueWrite(sessionId, write) {
+    const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(write);
+    this.writeQueues.set(sessionId, next);
+    next.finally(() => {
+      if (this.writeQueues.get(sessionId) === next) this.writeQueues.delete(sessionId);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Record operations before they are sent to storage
+   * @param {string} sessionId
+   * @param {Array<Object>} operations - Queue entries ({ id, type, payload, ... })
+   */
+  async append(sessionId, operations) {
+    if (operations.length === 0) return;
+    const lines = operations.map(operation => JSON.stringify(operation)).join('\n') + '\n';
+
+    await this._enqueueWrite(sessionId, async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      const handle = await fs.open(this._filePath(sessionId), 'a');
+      try {
+        await handle.appendFile(lines, 'utf8');
+        if (this.sync) await handle.datasync();
+      } finally {
+        await handle.close();
+      }
+    });
+  }
+
+  /**
+   * Read a session's operations that storage hasn't applied yet
+   * @param {string} sessionId
+   * @returns {Promise<Array<Object>>} - Operations in the order they were logged
+   */
+  async read(sessionId) {
+    await this.writeQueues.get(sessionId)?.catch(() => {});
+
+    let content;
+    try {
+      content = await fs.readFile(this._filePath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const operations = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        operations.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append leaves a partial last line; that operation never reached the queue
+        console.warn(`Skipping unreadable write-ahead log entry for session ${sessionId}`);
+      }
+    }
+    return operations;
+  }
+
+  /**
+   * Drop operations storage has applied
+   * @param {string} sessionId
+   * @param {Array<string>} operationIds - Ids of the applied operations
+   * @param {Array<string>} removedMessageIds - Ids of messages the applied operations removed from
+   *   storage; logged adds of these messages are dropped too, so a replay can't restore them
+   */
+  async remove(sessionId, operationIds, removedMessageIds = []) {
+    if (operationIds.length === 0) return;
+    const applied = new Set(operationIds);
+    const removed = new Set(removedMessageIds);
+
+    await this._enqueueWrite(sessionId, async () => {
+      const filePath = this._filePath(sessionId);
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      const remaining = [];
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        let operation;
+        try {
+          operation = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        if (applied.has(operation.id)) continue;
+
+        if (operation.type === 'add' && removed.size > 0) {
+          const items = (operation.payload?.items || []).filter(message => !removed.has(message.id));
+          if (items.length === 0) continue;
+          if (items.length < operation.payload.items.length) {
+            remaining.push(JSON.stringify({ ...operation, payload: { ...operation.payload, items } }));
+            continue;
+          }
+        }
+        remaining.push(line);
+      }
+
+      if (remaining.length === 0) {
+        await fs.unlink(filePath).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+        return;
+      }
+
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, remaining.join('\n') + '\n', 'utf8');
+      await fs.rename(tempPath, filePath);
+    });
+  }
+
+  /**
+   * Discard all of a session's pending operations
+   * @param {string} sessionId
+   */
+  async clear(sessionId) {
+    await this._enqueueWrite(sessionId, async () => {
+      await fs.unlink(this._filePath(sessionId)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    });
+  }
+
+  /**
+   * List the sessions with operations waiting to be replayed
+   * @returns {Promise<Array<string>>} - Session ids
+   */
+  async sessions() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => decodeURIComponent(file.slice(0, -'.jsonl'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+export default WriteAheadLog;
@@ -0,0 +1,61 @@
+/**
+ * Structured Output
+ *
+ * Helpers for asking a model for JSON that conforms to a JSON schema
+ * (see Agent.analyzeStructured):
+ * - The prompt carries the schema and asks for JSON only
+ * - Replies are parsed leniently: a code fence or text around the JSON is ignored
+ * - Validation problems (see jsonSchema.js) become the feedback for a retry
+ */
+
+/**
+ * Add the schema and output instructions to a prompt
+ * @param {string} input - The request
+ * @param {Object} schema - JSON schema the reply must conform to
+ * @returns {string} - Prompt
+ */
+export function buildStructuredPrompt(input, schema) {
+  return [
+    input,
+    `Respond with a single JSON value that conforms to this JSON schema:\n${JSON.stringify(schema, null, 2)}`,
+    'Reply with the JSON only: no explanations and no code fences.'
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build the follow-up prompt for a reply that didn't conform
+ * @param {Array<Object>} problems - { path, message } from parsing or validation
+ * @returns {string} - Prompt
+ */
+export function buildRetryPrompt(problems) {
+  const list = problems.map(problem => `- ${problem.path}: ${problem.message}`).join('\n');
+  return `Your previous reply did not conform to the JSON schema:\n${list}\n\nReply again with corrected JSON only.`;
+}
+
+/**
+ * Parse the JSON in a model reply
+ * @param {string} text - Reply text
+ * @returns {*} - Parsed value
+ * @throws {Error} - When the reply holds no valid JSON
+ */
+export function parseJsonReply(text) {
+  const trimmed = text.trim();
+  const fenced = trimmed.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/i);
+  const candidate = fenced ? fenced[1].trim() : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost object or array, for replies with text around the JSON
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (innerError) {
+        // Report the error for the whole reply below
+      }
+    }
+    throw new Error(`Reply is not valid JSON: ${error.message}`);
+  }
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+
+const REPLY = 'one two three four five six seven eight nine ten';
+
+function createAgent(sessionId, options = {}) {
+  const provider = new FakeProvider({ responses: [REPLY], chunkSize: 1, delay: 20 });
+  return new Agent(sessionId, { provider, summarize: false, ...options });
+}
+
+function lastMessage(agent) {
+  return agent.memory.getAllMessages().at(-1);
+}
+
+test('aborting the signal stops the stream and saves the partial reply as interrupted', async () => {
+  const agent = createAgent('abort-session');
+  const controller = new AbortController();
+  const stream = await agent.analyzeStream('count to ten', { signal: controller.signal });
+
+  let received = '';
+  await assert.rejects(async () => {
+    for await (const chunk of stream) {
+      received += chunk.text || '';
+      if (received.includes('two')) controller.abort();
+    }
+  }, error => error.name === 'AbortError' && error.reason === 'cancelled' && error.status === 499);
+
+  const saved = lastMessage(agent);
+  assert.equal(saved.role, 'assistant');
+  assert.equal(saved.text, received);
+  assert.ok(REPLY.startsWith(saved.text) && saved.text.length < REPLY.length);
+  assert.equal(saved.interrupted, true);
+  assert.equal(saved.interruptReason, 'cancelled');
+});
+
+test('a reply that takes longer than the timeout is stopped with 504', async () => {
+  const agent = createAgent('timeout-session');
+
+  const stream = await agent.analyzeStream('count to ten', { timeout: 90 });
+  await assert.rejects(async () => {
+    for await (const chunk of stream) void chunk;
+  }, error => error.reason === 'timeout' && error.status === 504);
+
+  const saved = lastMessage(agent);
+  assert.equal(saved.interruptReason, 'timeout');
+  assert.ok(saved.text.length > 0 && saved.text.length < REPLY.length);
+});
+
+test('requestTimeout applies to every reply unless the request overrides it', async () => {
+  const agent = createAgent('default-timeout-session', { requestTimeout: 60 });
+
+  await assert.rejects(async () => {
+    for await (const chunk of await agent.analyzeStream('count to ten')) void chunk;
+  }, error => error.reason === 'timeout');
+
+  let reply = '';
+  for await (const chunk of await agent.analyzeStream('count again', { timeout: 0 })) reply += chunk.text || '';
+  assert.equal(reply, REPLY);
+  assert.equal(lastMessage(agent).interrupted, undefined);
+});
+
+test('a caller that stops reading leaves the reply saved as cancelled', async () => {
+  const agent = createAgent('break-session');
+
+  for await (const chunk of await agent.analyzeStream('count to ten')) {
+    if (chunk.text) break;
+  }
+
+  const saved = lastMessage(agent);
+  assert.equal(saved.text, 'one ');
+  assert.equal(saved.interruptReason, 'cancelled');
+});
+
+test('an already aborted signal fails before the model is asked', async () => {
+  const agent = createAgent('aborted-session');
+
+  await assert.rejects(async () => {
+    for await (const chunk of await agent.analyzeStream('hello', { signal: AbortSignal.abort() })) void chunk;
+  }, error => error.reason === 'cancelled');
+  assert.equal(agent.provider.calls.length, 0);
+});
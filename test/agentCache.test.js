@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AgentCache } from '../agentCache.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+import { FileStorage } from '../storage/file.js';
+import { Accounts, FileUserStore } from '../auth.js';
+import { startServer } from './helpers/server.js';
+
+async function consume(stream) {
+  for await (const chunk of stream) void chunk;
+}
+
+function createCache(t, agentOptions = () => ({})) {
+  const cache = new AgentCache({
+    idleTimeout: 60 * 1000,
+    create: async (key) => new Agent(`session-${key}`, { provider: new FakeProvider(), ...agentOptions() })
+  });
+  t.after(() => clearInterval(cache.sweepTimer));
+  return cache;
+}
+
+test('an agent without storage is not evicted while it holds messages', async (t) => {
+  const cache = createCache(t);
+  const agent = await cache.acquire('u1');
+  await consume(await agent.analyzeStream('remember this'));
+  cache.release('u1');
+
+  assert.equal(await cache.evict('u1', 'idle'), false);
+  assert.equal(cache.stats().evictions.idle, 0);
+  assert.equal(await cache.acquire('u1'), agent);
+  assert.equal(agent.memory.getAllMessages().length, 2);
+});
+
+test('an agent without storage and without messages is evicted', async (t) => {
+  const cache = createCache(t);
+  await cache.acquire('u1');
+  cache.release('u1');
+
+  assert.equal(await cache.evict('u1', 'idle'), true);
+  assert.equal(cache.stats().agents, 0);
+});
+
+test('an evicted agent with storage is created again from what it saved', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-cache-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const storage = new FileStorage({ directory: path.join(directory, 'sessions') });
+  process.env.MEMORY_WAL_DIR = path.join(directory, 'wal');
+  t.after(() => { delete process.env.MEMORY_WAL_DIR; });
+  const cache = createCache(t, () => ({ storage }));
+
+  const agent = await cache.acquire('u1');
+  await agent.memory.loading;
+  await consume(await agent.analyzeStream('remember this'));
+  cache.release('u1');
+
+  assert.equal(await cache.evict('u1', 'idle'), true);
+  assert.equal(cache.stats().evictions.idle, 1);
+
+  const recreated = await cache.acquire('u1');
+  assert.notEqual(recreated, agent);
+  await recreated.memory.loading;
+  assert.deepEqual(recreated.memory.getAllMessages().map(message => message.text), ['remember this', 'Echo: remember this']);
+});
+
+test('the server keeps idle conversations it cannot persist', async (t) => {
+  const server = await startServer(t, { AGENT_IDLE_TIMEOUT_MS: '200' });
+  const client = server.client();
+  await client.register('erin');
+
+  const response = await client.request('/api/chat', { method: 'POST', body: { message: 'hello' } });
+  await response.text();
+  await new Promise(resolve => setTimeout(resolve, 600));
+
+  const { messages } = await (await client.request('/api/messages')).json();
+  assert.equal(messages.length, 2);
+});
+
+test('only operators can read the agent cache statistics', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-admin-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const usersFile = path.join(directory, 'users.json');
+  const operator = await new Accounts({ store: new FileUserStore({ path: usersFile }) })
+    .register('operator', 'correct horse battery');
+
+  const server = await startServer(t, { USERS_FILE: usersFile, ADMIN_USER_IDS: operator.id });
+  const user = server.client();
+  await user.register('frank');
+  assert.equal((await user.request('/api/stats/agents')).status, 403);
+
+  const admin = server.client();
+  const login = await admin.request('/api/auth/login', {
+    method: 'POST',
+    body: { username: 'operator', password: 'correct horse battery' }
+  });
+  assert.equal(login.status, 200);
+  const response = await admin.request('/api/stats/agents');
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).maxAgents, 100);
+});
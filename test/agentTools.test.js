@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+import { calculatorTool } from '../tools/index.js';
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+test('the agent runs tool calls and sends the results back to the model', async () => {
+  const provider = new FakeProvider({
+    responses: [
+      { functionCalls: [{ id: 'call_1', name: 'calculate', args: { expression: '6 * 7' } }] },
+      'It is 42.'
+    ]
+  });
+  const agent = new Agent('tools-session', { provider, tools: [calculatorTool] });
+
+  const chunks = await collect(await agent.analyzeStream('what is 6 * 7?'));
+
+  assert.deepEqual(chunks.find(chunk => chunk.toolCall).toolCall, { id: 'call_1', name: 'calculate', args: { expression: '6 * 7' } });
+  assert.equal(chunks.find(chunk => chunk.toolResult).toolResult.name, 'calculate');
+  assert.deepEqual(provider.calls[0].tools.map(tool => tool.name), ['calculate']);
+  assert.deepEqual(provider.calls[1].message, [{ functionResponse: chunks.find(chunk => chunk.toolResult).toolResult }]);
+  assert.deepEqual(agent.memory.getAllMessages().map(message => message.role), ['user', 'tool_call', 'tool_result', 'assistant']);
+});
+
+test('text streamed before a function call stays ahead of it in the history', async () => {
+  const provider = new FakeProvider({
+    responses: [
+      { text: 'Let me calculate that. ', functionCalls: [{ id: 'call_1', name: 'calculate', args: { expression: '1 + 1' } }] },
+      'The answer is 2.',
+      'You are welcome.'
+    ]
+  });
+  const agent = new Agent('preamble-session', { provider, tools: [calculatorTool] });
+
+  const chunks = await collect(await agent.analyzeStream('what is 1 + 1?'));
+  assert.equal(chunks.map(chunk => chunk.text || '').join(''), 'Let me calculate that. The answer is 2.');
+
+  const messages = agent.memory.getAllMessages();
+  assert.equal(messages[1].precedingText, 'Let me calculate that. ');
+  assert.equal(messages[3].text, 'The answer is 2.');
+
+  await collect(await agent.analyzeStream('thanks'));
+  const history = provider.calls[2].history;
+  assert.deepEqual(history.map(content => content.role), ['user', 'model', 'user', 'model']);
+  assert.deepEqual(history[1].parts, [
+    { text: 'Let me calculate that. ' },
+    { functionCall: { id: 'call_1', name: 'calculate', args: { expression: '1 + 1' } } }
+  ]);
+  assert.equal(history[2].parts[0].functionResponse.id, 'call_1');
+  assert.deepEqual(history[3].parts, [{ text: 'The answer is 2.' }]);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AttachmentStore, localFile, normalizeInput } from '../attachments.js';
+import { startServer } from './helpers/server.js';
+
+async function createStore(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-attachments-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return { directory, store: new AttachmentStore({ directory: path.join(directory, 'store') }) };
+}
+
+test('save stores attachment data under its hash', async (t) => {
+  const { store } = await createStore(t);
+  const reference = await store.save({ data: Buffer.from('hello'), name: 'hello.txt' });
+
+  assert.equal(reference.mimeType, 'text/plain');
+  assert.equal(reference.size, 5);
+  assert.equal((await store.read(reference.id)).toString(), 'hello');
+});
+
+test('toParts sends images and PDFs as inline data with their name, text files as text', async (t) => {
+  const { store } = await createStore(t);
+  const pdf = await store.save({ data: Buffer.from('%PDF-1.4 test'), name: 'report.pdf' });
+  const text = await store.save({ data: Buffer.from('hello'), name: 'hello.txt' });
+
+  const parts = await store.toParts([pdf, text]);
+  assert.deepEqual(parts, [
+    { inlineData: { mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4 test').toString('base64') }, fileName: 'report.pdf' },
+    { text: 'Attached file hello.txt:\nhello' }
+  ]);
+});
+
+test('save refuses a path that did not come from localFile', async (t) => {
+  const { store } = await createStore(t);
+  const { attachments } = normalizeInput({ text: 'read this', attachments: [{ path: '/etc/passwd', mimeType: 'text/plain' }] });
+
+  await assert.rejects(store.save(attachments[0]), error => error.status === 400);
+  // Serialized input (such as a JSON request body) loses the localFile marker
+  await assert.rejects(store.save(JSON.parse(JSON.stringify(localFile('/etc/passwd')))), error => error.status === 400);
+});
+
+test('save reads files attached with localFile', async (t) => {
+  const { directory, store } = await createStore(t);
+  const filePath = path.join(directory, 'notes.md');
+  await fs.writeFile(filePath, '# Notes');
+
+  const reference = await store.save(localFile(filePath));
+  assert.equal(reference.name, 'notes.md');
+  assert.equal(reference.mimeType, 'text/markdown');
+});
+
+test('/api/chat rejects a message that is not a string', async (t) => {
+  const server = await startServer(t);
+  const client = server.client();
+  await client.register('alice');
+
+  const response = await client.request('/api/chat', {
+    method: 'POST',
+    body: { message: { text: 'read this', attachments: [{ path: '/etc/passwd', mimeType: 'text/plain' }] } }
+  });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /must be a string/);
+
+  const messages = await (await client.request('/api/messages')).json();
+  assert.deepEqual(messages.messages, []);
+});
+
+test('/api/chat stores uploaded files as attachments', async (t) => {
+  const server = await startServer(t);
+  const client = server.client();
+  await client.register('bob');
+
+  const form = new FormData();
+  form.append('message', 'summarize this');
+  form.append('files', new Blob(['some notes']), 'notes.txt');
+  const response = await client.request('/api/chat', { method: 'POST', body: form });
+  assert.equal(response.status, 200);
+  await response.text();
+
+  const { messages } = await (await client.request('/api/messages')).json();
+  assert.equal(messages[0].text, 'summarize this');
+  assert.equal(messages[0].attachments[0].name, 'notes.txt');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+test('the session cookie is HttpOnly and SameSite=Lax', async (t) => {
+  const server = await startServer(t);
+  const response = await fetch(`${server.baseUrl}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'carol', password: 'correct horse battery' })
+  });
+
+  assert.equal(response.status, 201);
+  const cookie = response.headers.get('set-cookie');
+  assert.match(cookie, /HttpOnly/i);
+  assert.match(cookie, /SameSite=Lax/i);
+});
+
+test('API routes require a logged-in user', async (t) => {
+  const server = await startServer(t);
+  const client = server.client();
+
+  assert.equal((await client.request('/api/messages')).status, 401);
+  await client.register('dave');
+  assert.equal((await client.request('/api/messages')).status, 200);
+});
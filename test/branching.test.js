@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Memory } from '../memory.js';
+import { SqliteStorage } from '../storage/sqlite.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+
+async function tempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-branches-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+async function addMessages(memory, texts) {
+  const added = [];
+  for (const [i, text] of texts.entries()) {
+    added.push(await memory.addMessage({ role: i % 2 === 0 ? 'user' : 'assistant', text }));
+  }
+  return added;
+}
+
+function textsOf(messages) {
+  return messages.map(message => message.text);
+}
+
+test('a fork shares the history up to its message and continues separately', async () => {
+  const memory = new Memory();
+  const [, answer] = await addMessages(memory, ['q1', 'a1', 'q2', 'a2']);
+
+  const branch = await memory.fork(answer.id, { name: 'other' });
+  await addMessages(memory, ['q2 again', 'a2 again']);
+
+  assert.equal(memory.getActiveBranch().id, branch.id);
+  assert.deepEqual(textsOf(memory.getAllMessages()), ['q1', 'a1', 'q2 again', 'a2 again']);
+
+  await memory.switchBranch('main');
+  assert.deepEqual(textsOf(memory.getAllMessages()), ['q1', 'a1', 'q2', 'a2']);
+  assert.equal(memory.allMessages.length, 6);
+  assert.deepEqual(memory.listBranches().map(({ name, forkedFrom, messageCount, active }) => ({ name, forkedFrom, messageCount, active })), [
+    { name: 'main', forkedFrom: null, messageCount: 4, active: true },
+    { name: 'other', forkedFrom: answer.id, messageCount: 4, active: false }
+  ]);
+});
+
+test('forking from the start gives an empty branch and unknown ids are refused', async () => {
+  const memory = new Memory();
+  await addMessages(memory, ['q1', 'a1']);
+
+  await memory.fork(null);
+  assert.deepEqual(memory.getAllMessages(), []);
+
+  await assert.rejects(memory.fork('missing'), /No message with id "missing"/);
+  await assert.rejects(memory.switchBranch('missing'), /No branch with id "missing"/);
+});
+
+test('branches and the active branch are stored and reloaded', async (t) => {
+  const storage = new SqliteStorage({ filename: path.join(await tempDir(t), 'memory.sqlite') });
+  const options = { sessionId: 's1', storage, writeAheadLog: false };
+  const memory = new Memory(options);
+  await memory.loading;
+  const [question] = await addMessages(memory, ['q1', 'a1']);
+  const branch = await memory.fork(question.id, { name: 'retry' });
+  await memory.addMessage({ role: 'assistant', text: 'a1 again' });
+  await memory.flushPendingOperations();
+
+  const reloaded = new Memory(options);
+  await reloaded.loading;
+  assert.equal(reloaded.getActiveBranch().id, branch.id);
+  assert.deepEqual(textsOf(reloaded.getAllMessages()), ['q1', 'a1 again']);
+  await reloaded.switchBranch('main');
+  assert.deepEqual(textsOf(reloaded.getAllMessages()), ['q1', 'a1']);
+});
+
+test('the agent builds the history from the active branch only', async () => {
+  const provider = new FakeProvider();
+  const agent = new Agent('branch-session', { provider, summarize: false });
+  for (const input of ['first', 'second']) {
+    for await (const chunk of await agent.analyzeStream(input)) void chunk;
+  }
+  const [first, firstReply] = agent.memory.getAllMessages();
+
+  await agent.fork(firstReply.id, { name: 'alternative' });
+  for await (const chunk of await agent.analyzeStream('another second')) void chunk;
+
+  const history = provider.calls.at(-1).history;
+  assert.deepEqual(history.map(content => content.parts[0].text), ['first', 'Echo: first']);
+
+  // "Try a different answer": a new reply on a new branch, keeping the current one
+  const regenerated = await agent.regenerate(first.id, { fork: true, branchName: 'retry' });
+  for await (const chunk of regenerated) void chunk;
+  assert.deepEqual(agent.listBranches().map(branch => [branch.name, branch.messageCount]),
+    [['main', 4], ['alternative', 4], ['retry', 2]]);
+  await assert.rejects(agent.switchBranch('missing'), error => error.status === 404);
+});
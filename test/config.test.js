@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAllConfigs } from '../loader.js';
+import { validateConfigs } from '../validator.js';
+
+test('the shipped config files pass the validator', async () => {
+  const result = validateConfigs(await loadAllConfigs());
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+});
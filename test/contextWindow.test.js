@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assembleContext, groupIntoTurns, estimateMessageTokens } from '../contextWindow.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+
+// Ten turns of user + assistant messages, 14 tokens per turn
+function conversation(turnCount = 10) {
+  const messages = [];
+  for (let i = 0; i < turnCount; i++) {
+    messages.push({ role: 'user', text: `question ${i}`.padEnd(12, '.') });
+    messages.push({ role: 'assistant', text: `answer ${i}`.padEnd(12, '.') });
+  }
+  return messages;
+}
+
+test('groupIntoTurns starts a turn at each user message', () => {
+  const messages = [
+    { role: 'user', text: 'aaaa' },
+    { role: 'tool_call', text: '' },
+    { role: 'tool_result', text: '' },
+    { role: 'assistant', text: 'bbbb' },
+    { role: 'user', text: 'cccc' }
+  ];
+
+  const turns = groupIntoTurns(messages);
+
+  assert.deepEqual(turns.map(turn => turn.messages.length), [4, 1]);
+  assert.equal(turns[0].tokens, messages.slice(0, 4).reduce((sum, message) => sum + estimateMessageTokens(message), 0));
+});
+
+test('assembleContext keeps the recent turns and fills the rest with relevant older turns in order', () => {
+  const messages = conversation();
+  const turnTokens = estimateMessageTokens(messages[0]) + estimateMessageTokens(messages[1]);
+
+  const context = assembleContext({
+    messages,
+    // The answer of turn 1 ranks first, then the question of turn 4
+    rankedMessages: [messages[3], messages[8]],
+    budget: turnTokens * 5,
+    recentRatio: 0.6
+  });
+
+  assert.equal(context.recentTurns, 3);
+  assert.equal(context.relevantTurns, 2);
+  assert.equal(context.droppedTurns, 5);
+  assert.ok(context.tokens <= turnTokens * 5);
+  // Whole turns in chronological order, so roles still alternate
+  assert.deepEqual(context.messages.map(message => message.text.replace(/\.+$/, '')), [
+    'question 1', 'answer 1', 'question 4', 'answer 4',
+    'question 7', 'answer 7', 'question 8', 'answer 8', 'question 9', 'answer 9'
+  ]);
+});
+
+test('assembleContext falls back to the most recent older turns without a ranking', () => {
+  const messages = conversation();
+  const turnTokens = estimateMessageTokens(messages[0]) + estimateMessageTokens(messages[1]);
+
+  const context = assembleContext({ messages, budget: turnTokens * 4, recentRatio: 0.5 });
+
+  assert.deepEqual(context.messages.filter(message => message.role === 'user').map(message => message.text.replace(/\.+$/, '')),
+    ['question 6', 'question 7', 'question 8', 'question 9']);
+});
+
+test('the agent sends only the history that fits its token budget', async () => {
+  const provider = new FakeProvider({ responses: ['x'.repeat(400)] });
+  const agent = new Agent('budget-session', {
+    provider,
+    summarize: false,
+    maxContextTokens: 1000,
+    maxOutputTokens: 200
+  });
+
+  for (let i = 0; i < 12; i++) {
+    for await (const chunk of await agent.analyzeStream(`message ${i} ${'y'.repeat(400)}`)) void chunk;
+  }
+
+  const { history, message, config } = provider.calls.at(-1);
+  const budget = 1000 - 200 - Math.ceil(config.systemInstruction.length / 4) - Math.ceil(message.length / 4) - 4;
+  // One message per content, each a single text part
+  const historyTokens = history.reduce((sum, content) => sum + estimateMessageTokens({ text: content.parts[0].text }), 0);
+  assert.ok(history.length > 0 && history.length < 22);
+  assert.ok(historyTokens > 0 && historyTokens <= budget);
+  assert.equal(history[0].role, 'user');
+  assert.ok(history.every((content, i) => content.role === (i % 2 === 0 ? 'user' : 'model')));
+});
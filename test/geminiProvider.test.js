@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { GeminiProvider } from '../providers/gemini.js';
+import { isRetryableError, withRetry } from '../retry.js';
+import { Agent } from '../agent.js';
+
+let server;
+let baseUrl;
+const requests = [];
+let flakyFailures = 0;
+
+function apiError(res, code, status) {
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { code, message: 'Stubbed failure', status } }));
+}
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    for await (const chunk of req) void chunk;
+    const model = /models\/([^:]+):/.exec(req.url)?.[1];
+    requests.push({ url: req.url, model });
+
+    if (model === 'busy-model') {
+      apiError(res, 429, 'RESOURCE_EXHAUSTED');
+    } else if (model === 'flaky-model' && flakyFailures-- > 0) {
+      apiError(res, 503, 'UNAVAILABLE');
+    } else if (model === 'broken-stream-model') {
+      // Errors after the response started arrive as a chunk of the stream
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(JSON.stringify({ error: { code: 500, message: 'Internal error', status: 'INTERNAL' } }));
+    } else if (req.url.includes(':countTokens')) {
+      apiError(res, 503, 'UNAVAILABLE');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`data: ${JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ text: `Hello from ${model}` }] } }] })}\n\n`);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+function createProvider() {
+  return new GeminiProvider({ apiKey: 'test-key', baseUrl });
+}
+
+async function collectText(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk.text || '';
+  return text;
+}
+
+test('a rate-limited request fails with the HTTP status on the error', async () => {
+  await assert.rejects(createProvider().streamChat({ model: 'busy-model', message: 'hi' }), error => {
+    assert.match(error.message, /got status: 429/);
+    assert.equal(error.status, 429);
+    assert.equal(isRetryableError(error), true);
+    return true;
+  });
+});
+
+test('an error inside the stream gets the status from its body', async () => {
+  const stream = await createProvider().streamChat({ model: 'broken-stream-model', message: 'hi' });
+  await assert.rejects(collectText(stream), error => error.status === 500 && isRetryableError(error));
+});
+
+test('countTokens errors carry the status too', async () => {
+  await assert.rejects(createProvider().countTokens({ model: 'chat-model', contents: [{ role: 'user', parts: [{ text: 'hi' }] }] }), error => error.status === 503);
+});
+
+test('withRetry retries a server error from the SDK', async () => {
+  const provider = createProvider();
+  flakyFailures = 1;
+  const retries = [];
+
+  const stream = await withRetry(() => provider.streamChat({ model: 'flaky-model', message: 'hi' }), {
+    baseDelay: 1,
+    onRetry: error => retries.push(error.status)
+  });
+
+  assert.deepEqual(retries, [503]);
+  assert.equal(await collectText(stream), 'Hello from flaky-model');
+});
+
+test('the agent falls back to the next model when the SDK reports a rate limit', async () => {
+  const agent = new Agent('gemini-fallback-session', {
+    provider: createProvider(),
+    model: 'busy-model',
+    fallbackModels: ['chat-model'],
+    retry: { maxRetries: 1, baseDelay: 1 },
+    summarize: false
+  });
+  const before = requests.length;
+
+  const reply = await collectText(await agent.analyzeStream('hello'));
+
+  assert.equal(reply, 'Hello from chat-model');
+  assert.deepEqual(requests.slice(before).map(request => request.model), ['busy-model', 'busy-model', 'chat-model']);
+});
@@ -0,0 +1,106 @@
+/**
+ * Runs s.js in a child process for HTTP tests: the fake LLM provider, no
+ * MongoDB, and every data file in a temporary directory.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * Start the server and stop it when the test ends
+ * @param {Object} t - node:test context
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<Object>} - { baseUrl, output(), client() }
+ */
+export async function startServer(t, env = {}) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-server-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['s.js'], {
+    cwd: root,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LLM_PROVIDER: 'fake',
+      USERS_FILE: path.join(directory, 'users.json'),
+      QUOTA_USAGE_FILE: path.join(directory, 'quota-usage.json'),
+      ATTACHMENTS_DIR: path.join(directory, 'attachments'),
+      MEMORY_DIR: path.join(directory, 'memory'),
+      MEMORY_WAL_DIR: path.join(directory, 'wal'),
+      SQLITE_PATH: path.join(directory, 'memory.sqlite'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  t.after(async () => {
+    child.kill();
+    await exited;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    const onData = () => {
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    exited.then(code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  return {
+    baseUrl,
+    output: () => output,
+    client: () => createClient(baseUrl)
+  };
+}
+
+/**
+ * A client that keeps the session cookie between requests
+ * @param {string} baseUrl
+ * @returns {Object} - { request(path, { method, body, headers, signal }), register(username) }
+ */
+function createClient(baseUrl) {
+  let cookie = null;
+
+  const request = async (requestPath, options = {}) => {
+    const headers = { ...options.headers };
+    if (cookie) headers.Cookie = cookie;
+    let body = options.body;
+    if (body !== undefined && !(body instanceof FormData)) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${requestPath}`, { method: options.method || 'GET', headers, body, signal: options.signal });
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return response;
+  };
+
+  return {
+    request,
+    async register(username) {
+      const response = await request('/api/auth/register', {
+        method: 'POST',
+        body: { username, password: 'correct horse battery' }
+      });
+      if (response.status !== 201) throw new Error(`Register failed: ${await response.text()}`);
+      return (await response.json()).user;
+    }
+  };
+}
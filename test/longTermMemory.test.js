@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { LongTermMemory } from '../longTermMemory.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+import { toEmbeddingModel } from '../providers/index.js';
+
+function createLongTermMemory() {
+  return new LongTermMemory({ embeddingModel: toEmbeddingModel(new FakeProvider()) });
+}
+
+async function ask(agent, input) {
+  let reply = '';
+  for await (const chunk of await agent.analyzeStream(input)) reply += chunk.text || '';
+  return reply;
+}
+
+test('memories are recalled by similarity, per user, and duplicates are not stored twice', async () => {
+  const memory = createLongTermMemory();
+  const { entry } = await memory.remember('alice', 'Alice has a dog named Rex');
+  await memory.remember('alice', 'Alice works as a nurse');
+  await memory.remember('bob', 'Bob has a dog named Spot');
+
+  const duplicate = await memory.remember('alice', '  Alice has a dog named Rex ');
+  assert.equal(duplicate.created, false);
+  assert.equal(duplicate.entry.id, entry.id);
+  assert.equal((await memory.list('alice')).length, 2);
+
+  const [best] = await memory.recall('alice', 'what is my dog named');
+  assert.equal(best.entry.text, 'Alice has a dog named Rex');
+  assert.ok((await memory.recall('bob', 'dog named')).every(result => result.entry.userId === 'bob'));
+
+  assert.equal(await memory.forget('alice', entry.id), true);
+  assert.deepEqual((await memory.list('alice')).map(memory => memory.text), ['Alice works as a nurse']);
+});
+
+test('a memory saved in one session is recalled in another session of the same user', async () => {
+  const longTermMemory = createLongTermMemory();
+  const provider = new FakeProvider({
+    responses: [
+      { functionCalls: [{ name: 'save_memory', args: { fact: 'The user is allergic to peanuts' } }] },
+      'Noted.',
+      'Skip the peanuts.'
+    ]
+  });
+  const options = { provider, longTermMemory, userId: 'carol', summarize: false };
+
+  await ask(new Agent('carol-session-1', options), 'Remember that I am allergic to peanuts');
+  assert.deepEqual((await longTermMemory.list('carol')).map(memory => [memory.text, memory.sessionId]),
+    [['The user is allergic to peanuts', 'carol-session-1']]);
+
+  await ask(new Agent('carol-session-2', options), 'Am I allergic to peanuts?');
+  assert.match(provider.calls.at(-1).config.systemInstruction,
+    /What you remember about the user from previous conversations:\n- The user is allergic to peanuts/);
+  assert.deepEqual(provider.calls.at(-1).history, []);
+});
+
+test('facts are extracted from each exchange when extractMemories is on', async () => {
+  const longTermMemory = createLongTermMemory();
+  const provider = new FakeProvider({
+    responses: ({ config }) => config.systemInstruction.startsWith('You extract')
+      ? '```json\n["The user lives in Lisbon"]\n```'
+      : 'Lisbon is lovely.'
+  });
+  const agent = new Agent('dave-session', { provider, longTermMemory, userId: 'dave', extractMemories: true, summarize: false });
+
+  await ask(agent, 'I live in Lisbon');
+  // Extraction runs in the background after the reply
+  for (let i = 0; i < 50 && (await longTermMemory.list('dave')).length === 0; i++) await sleep(10);
+
+  const [memory] = await longTermMemory.list('dave');
+  assert.equal(memory.text, 'The user lives in Lisbon');
+  assert.equal(memory.source, 'extracted');
+});
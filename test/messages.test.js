@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// Events of a server-sent event stream
+async function readEvents(response) {
+  return (await response.text())
+    .split('\n\n')
+    .filter(block => block.startsWith('data: '))
+    .map(block => JSON.parse(block.slice('data: '.length)));
+}
+
+function streamedText(events) {
+  return events.map(event => event.text || '').join('');
+}
+
+async function startConversation(t, turns) {
+  const server = await startServer(t);
+  const client = server.client();
+  await client.register('erin');
+  for (const message of turns) {
+    const response = await client.request('/api/chat', { method: 'POST', body: { message } });
+    await readEvents(response);
+  }
+  const { messages } = await (await client.request('/api/messages')).json();
+  return { client, messages };
+}
+
+test('editing without a body is refused with 400', async (t) => {
+  const { client, messages } = await startConversation(t, ['hello']);
+
+  const response = await client.request(`/api/messages/${messages[0].id}`, { method: 'PATCH' });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Text is required' });
+});
+
+test('an edit with regenerate: false only changes the text', async (t) => {
+  const { client, messages } = await startConversation(t, ['hello', 'how are you']);
+
+  const response = await client.request(`/api/messages/${messages[0].id}`, {
+    method: 'PATCH',
+    body: { text: 'hi there', regenerate: false }
+  });
+
+  assert.equal(response.status, 200);
+  const { message } = await response.json();
+  assert.equal(message.id, messages[0].id);
+  assert.equal(message.text, 'hi there');
+  const after = (await (await client.request('/api/messages')).json()).messages;
+  assert.deepEqual(after.map(other => other.text), ['hi there', 'Echo: hello', 'how are you', 'Echo: how are you']);
+});
+
+test('an edit streams a new reply and drops the later turns', async (t) => {
+  const { client, messages } = await startConversation(t, ['hello', 'how are you']);
+
+  const response = await client.request(`/api/messages/${messages[0].id}`, { method: 'PATCH', body: { text: 'hi there' } });
+
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+  const events = await readEvents(response);
+  assert.equal(streamedText(events), 'Echo: hi there');
+  assert.deepEqual(events.at(-1), { done: true });
+  const after = (await (await client.request('/api/messages')).json()).messages;
+  assert.deepEqual(after.map(other => other.text), ['hi there', 'Echo: hi there']);
+});
+
+test('regenerate answers the turn again and drops the later turns', async (t) => {
+  const { client, messages } = await startConversation(t, ['hello', 'how are you']);
+
+  const response = await client.request(`/api/messages/${messages[1].id}/regenerate`, { method: 'POST' });
+
+  assert.equal(streamedText(await readEvents(response)), 'Echo: hello');
+  const after = (await (await client.request('/api/messages')).json()).messages;
+  assert.deepEqual(after.map(other => other.text), ['hello', 'Echo: hello']);
+  assert.equal(after[0].id, messages[0].id);
+  assert.notEqual(after[1].id, messages[1].id);
+});
+
+test('delete removes a message and unknown ids are not found', async (t) => {
+  const { client, messages } = await startConversation(t, ['hello']);
+
+  const response = await client.request(`/api/messages/${messages[1].id}`, { method: 'DELETE' });
+  assert.deepEqual(await response.json(), { deleted: [messages[1].id] });
+  const after = (await (await client.request('/api/messages')).json()).messages;
+  assert.deepEqual(after.map(other => other.id), [messages[0].id]);
+
+  assert.equal((await client.request('/api/messages/missing', { method: 'DELETE' })).status, 404);
+  assert.equal((await client.request('/api/messages/missing', { method: 'PATCH', body: { text: 'x', regenerate: false } })).status, 404);
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OpenAICompatibleProvider } from '../providers/openai.js';
+
+let server;
+let baseUrl;
+const requests = [];
+
+function sse(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) res.write(`data: ${JSON.stringify(event)}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    const { model } = requests.at(-1).body;
+
+    if (model === 'busy-model') {
+      res.writeHead(429, { 'Retry-After': '7' }).end('slow down');
+    } else if (req.url === '/embeddings') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3] }] }));
+    } else if (model === 'trailing-model') {
+      // Nothing after [DONE] is part of the stream, so it must not be parsed
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'done' }, finish_reason: 'stop' }] })}\n\n`);
+      res.write('data: [DONE]\n\n');
+      setTimeout(() => res.end('data: {not json\n\n'), 50);
+    } else if (model === 'tool-model') {
+      sse(res, [
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'calculate', arguments: '{"expr' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ession":"1+1"}' } }] }, finish_reason: 'tool_calls' }] }
+      ]);
+    } else {
+      sse(res, [
+        { choices: [{ delta: { content: 'Hello' } }] },
+        { choices: [{ delta: { content: ' there' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14, prompt_tokens_details: { cached_tokens: 4 } } }
+      ]);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+test('streamChat translates the request and streams text with usage', async () => {
+  const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'test-key' });
+  const chunks = await collect(await provider.streamChat({
+    model: 'chat-model',
+    history: [{ role: 'user', parts: [{ text: 'hi' }] }, { role: 'model', parts: [{ text: 'hello' }] }],
+    message: 'how are you?',
+    config: { systemInstruction: 'Be brief.', temperature: 0.5, maxOutputTokens: 100 }
+  }));
+
+  const request = requests.at(-1);
+  assert.equal(request.url, '/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer test-key');
+  assert.deepEqual(request.body.messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: 'hello' },
+    { role: 'user', content: 'how are you?' }
+  ]);
+  assert.equal(request.body.stream, true);
+  assert.equal(request.body.max_tokens, 100);
+
+  assert.equal(chunks.map(chunk => chunk.text || '').join(''), 'Hello there');
+  assert.deepEqual(chunks.at(-1).usageMetadata, {
+    promptTokenCount: 12,
+    cachedContentTokenCount: 4,
+    candidatesTokenCount: 2,
+    totalTokenCount: 14
+  });
+});
+
+test('streamChat assembles tool calls from fragments', async () => {
+  const provider = new OpenAICompatibleProvider({ baseUrl });
+  const tools = [{ name: 'calculate', description: 'Calculates', parameters: { type: 'object', properties: {} } }];
+  const chunks = await collect(await provider.streamChat({ model: 'tool-model', message: 'what is 1+1?', tools }));
+
+  assert.deepEqual(requests.at(-1).body.tools, [{ type: 'function', function: tools[0] }]);
+  assert.deepEqual(chunks.flatMap(chunk => chunk.functionCalls || []), [
+    { id: 'call_1', name: 'calculate', args: { expression: '1+1' } }
+  ]);
+});
+
+test('errors carry the status and retry-after hint', async () => {
+  const provider = new OpenAICompatibleProvider({ baseUrl });
+  await assert.rejects(provider.streamChat({ model: 'busy-model', message: 'hi' }), error => {
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfter, 7);
+    return true;
+  });
+});
+
+test('embed returns the embedding vector', async () => {
+  const provider = new OpenAICompatibleProvider({ baseUrl, embeddingModel: 'embed-model' });
+  assert.deepEqual(await provider.embed('some text'), [0.1, 0.2, 0.3]);
+  assert.deepEqual(requests.at(-1).body, { model: 'embed-model', input: 'some text' });
+});
+
+test('the stream ends at [DONE]', async () => {
+  const provider = new OpenAICompatibleProvider({ baseUrl });
+  const chunks = await collect(await provider.streamChat({ model: 'trailing-model', message: 'hi' }));
+  assert.equal(chunks.map(chunk => chunk.text || '').join(''), 'done');
+});
+
+test('file attachments are sent with their own name', async () => {
+  const provider = new OpenAICompatibleProvider({ baseUrl });
+  await collect(await provider.streamChat({
+    model: 'chat-model',
+    message: [
+      { text: 'summarize' },
+      { inlineData: { mimeType: 'application/pdf', data: 'JVBERg==' }, fileName: 'report.pdf' },
+      { inlineData: { mimeType: 'image/png', data: 'iVBORw==' }, fileName: 'chart.png' }
+    ]
+  }));
+
+  const [text, file, image] = requests.at(-1).body.messages[0].content;
+  assert.deepEqual(text, { type: 'text', text: 'summarize' });
+  assert.deepEqual(file, {
+    type: 'file',
+    file: { filename: 'report.pdf', file_data: 'data:application/pdf;base64,JVBERg==' }
+  });
+  assert.deepEqual(image, { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw==' } });
+});
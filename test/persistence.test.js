@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStorage } from '../storage/file.js';
+import { Memory } from '../memory.js';
+import { FakeProvider } from '../providers/fake.js';
+import { toEmbeddingModel } from '../providers/index.js';
+
+async function tempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-persistence-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+// File storage that records its writes and can be taken offline
+class RecordingStorage extends FileStorage {
+  constructor(options) {
+    super(options);
+    this.writes = [];
+    this.online = true;
+  }
+
+  isReady() {
+    return this.online;
+  }
+
+  async waitUntilReady() {
+    return this.online;
+  }
+
+  async append(sessionId, messages) {
+    this.writes.push(['append', messages.map(message => message.text)]);
+    return super.append(sessionId, messages);
+  }
+
+  async removeMessages(sessionId, ids) {
+    this.writes.push(['remove', ids]);
+    return super.removeMessages(sessionId, ids);
+  }
+
+  async replace(sessionId, conversation) {
+    this.writes.push(['replace']);
+    return super.replace(sessionId, conversation);
+  }
+}
+
+async function createMemory(t, options = {}) {
+  const storage = new RecordingStorage({ directory: await tempDir(t) });
+  const memory = new Memory({ sessionId: 's1', storage, writeAheadLog: false, batchSaveDelay: 60000, ...options });
+  await memory.loading;
+  return { memory, storage };
+}
+
+test('new messages are appended in one batch instead of rewriting the conversation', async (t) => {
+  const { memory, storage } = await createMemory(t);
+
+  for (const text of ['one', 'two', 'three']) {
+    await memory.addMessage({ role: 'user', text });
+  }
+  assert.deepEqual(storage.writes, []);
+
+  await memory.flushPendingOperations();
+  await memory.addMessage({ role: 'user', text: 'four' });
+  await memory.flushPendingOperations();
+
+  assert.deepEqual(storage.writes, [['append', ['one', 'two', 'three']], ['append', ['four']]]);
+});
+
+test('a full batch is saved without waiting for the batch delay', async (t) => {
+  const { memory, storage } = await createMemory(t, { maxBatchSize: 2 });
+
+  await memory.addMessage({ role: 'user', text: 'one' });
+  await memory.addMessage({ role: 'user', text: 'two' });
+
+  assert.deepEqual(storage.writes, [['append', ['one', 'two']]]);
+});
+
+test('queued operations are replayed in the order they happened', async (t) => {
+  const { memory, storage } = await createMemory(t);
+
+  const first = await memory.addMessage({ role: 'user', text: 'one' });
+  await memory.addMessage({ role: 'assistant', text: 'two' });
+  await memory.deleteMessage(first.id);
+  await memory.addMessage({ role: 'user', text: 'three' });
+  await memory.flushPendingOperations();
+
+  assert.deepEqual(storage.writes, [['append', ['one', 'two']], ['remove', [first.id]], ['append', ['three']]]);
+  assert.deepEqual((await storage.load('s1')).messages.map(message => message.text), ['two', 'three']);
+});
+
+test('pruned messages are removed by id', async (t) => {
+  const { memory, storage } = await createMemory(t, {
+    maxMessageCount: 2,
+    maxSizeBytes: 1,
+    embeddingModel: toEmbeddingModel(new FakeProvider())
+  });
+
+  for (const text of ['apples', 'pears', 'plums', 'more apples', 'ripe apples']) {
+    await memory.addMessage({ role: 'user', text }, 'apples');
+  }
+  await memory.flushPendingOperations();
+
+  const kept = memory.getAllMessages().map(message => message.id);
+  const removed = storage.writes.filter(([type]) => type === 'remove').flatMap(([, ids]) => ids);
+  assert.equal(removed.length, 5 - kept.length);
+  assert.ok(removed.every(id => !kept.includes(id)));
+  assert.ok(!storage.writes.some(([type]) => type === 'replace'));
+  assert.deepEqual((await storage.load('s1')).messages.map(message => message.id), kept);
+});
+
+test('operations queued while storage is offline are saved in order once it is back', async (t) => {
+  const { memory, storage } = await createMemory(t, { retryDelay: 60000 });
+  storage.online = false;
+
+  const first = await memory.addMessage({ role: 'user', text: 'one' });
+  await memory.addMessage({ role: 'user', text: 'two' });
+  await memory.deleteMessage(first.id);
+  await memory.flushPendingOperations();
+  assert.deepEqual(storage.writes, []);
+  assert.ok(memory.pendingOperations.length > 0);
+
+  storage.online = true;
+  await memory.flushPendingOperations();
+  clearTimeout(memory.retryTimeout);
+
+  assert.deepEqual(storage.writes, [['append', ['one', 'two']], ['remove', [first.id]]]);
+  assert.deepEqual((await storage.load('s1')).messages.map(message => message.text), ['two']);
+});
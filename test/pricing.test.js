@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCost, getModelPricing, normalizeUsage, loadPricing } from '../pricing.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+
+const table = {
+  default_model: 'cheap-model',
+  models: {
+    'cheap-model': { tiers: [{ input: 1, output: 2 }] },
+    'tiered-model': {
+      tiers: [
+        { max_prompt_tokens: 1000, input: 1, cached_input: 0.25, output: 4 },
+        { input: 2, cached_input: 0.5, output: 8 }
+      ]
+    }
+  }
+};
+
+// Fake provider that adds up the usage it reports and counts embedding calls
+class MeteredProvider extends FakeProvider {
+  constructor(options) {
+    super(options);
+    this.reported = { promptTokens: 0, outputTokens: 0 };
+    this.embedCalls = 0;
+  }
+
+  async streamChat(params) {
+    const stream = await super.streamChat(params);
+    const reported = this.reported;
+    return (async function* () {
+      for await (const chunk of stream) {
+        if (chunk.usageMetadata) {
+          reported.promptTokens += chunk.usageMetadata.promptTokenCount;
+          reported.outputTokens += chunk.usageMetadata.candidatesTokenCount;
+        }
+        yield chunk;
+      }
+    })();
+  }
+
+  async embed(text) {
+    this.embedCalls++;
+    return super.embed(text);
+  }
+}
+
+test('the tier is chosen by prompt size and cached tokens get the cached price', () => {
+  const pricing = getModelPricing(table, 'tiered-model');
+
+  assert.equal(calculateCost(pricing, { promptTokens: 1000, cachedTokens: 400, outputTokens: 100 }), (600 * 1 + 400 * 0.25 + 100 * 4) / 1e6);
+  assert.equal(calculateCost(pricing, { promptTokens: 1001, outputTokens: 100 }), (1001 * 2 + 100 * 8) / 1e6);
+  // Without a cached price, cached tokens cost the input price
+  assert.equal(calculateCost(getModelPricing(table, 'cheap-model'), { promptTokens: 10, cachedTokens: 5, outputTokens: 1 }), 12 / 1e6);
+});
+
+test('unknown models use the default model and a table without one prices them at zero', () => {
+  assert.equal(getModelPricing(table, 'unknown-model'), table.models['cheap-model']);
+  assert.equal(calculateCost(getModelPricing({ models: {} }, 'unknown-model'), { promptTokens: 10, outputTokens: 10 }), 0);
+});
+
+test('thinking tokens count as output', () => {
+  assert.deepEqual(normalizeUsage({ promptTokenCount: 10, cachedContentTokenCount: 2, candidatesTokenCount: 3, thoughtsTokenCount: 4 }),
+    { promptTokens: 10, cachedTokens: 2, outputTokens: 7 });
+  assert.deepEqual(normalizeUsage(undefined), { promptTokens: 0, cachedTokens: 0, outputTokens: 0 });
+});
+
+test('the shipped pricing table passes its schema', () => {
+  const shipped = loadPricing();
+  assert.ok(getModelPricing(shipped, shipped.default_model));
+});
+
+test('the agent totals the usage its replies report and prices it', async () => {
+  const provider = new MeteredProvider({ responses: ['one two three'] });
+  const agent = new Agent('usage-session', { provider, model: 'cheap-model', pricing: table, summarize: false });
+
+  for (const input of ['hello there', 'and again']) {
+    for await (const chunk of await agent.analyzeStream(input)) void chunk;
+  }
+
+  const stats = agent.getTokenStats();
+  assert.equal(stats.totalInput, provider.reported.promptTokens);
+  assert.equal(stats.totalOutput, 6);
+  assert.equal(stats.total, provider.reported.promptTokens + 6);
+  assert.equal(stats.cost, (provider.reported.promptTokens * 1 + 6 * 2) / 1e6);
+});
+
+test('embedding calls are not counted in the totals', async () => {
+  const provider = new MeteredProvider({ responses: ['x'.repeat(400)] });
+  // A budget too small for the whole history, so older turns are ranked by embedding
+  const agent = new Agent('embedding-usage-session', {
+    provider,
+    model: 'cheap-model',
+    pricing: table,
+    summarize: false,
+    maxContextTokens: 600,
+    maxOutputTokens: 100
+  });
+
+  for (let i = 0; i < 4; i++) {
+    for await (const chunk of await agent.analyzeStream(`message ${i} ${'y'.repeat(400)}`)) void chunk;
+  }
+
+  assert.ok(provider.embedCalls > 0);
+  assert.equal(agent.tokenStats.totalInput, provider.reported.promptTokens);
+  assert.equal(agent.tokenStats.totalOutput, provider.reported.outputTokens);
+});
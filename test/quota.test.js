@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { QuotaManager, QuotaExceededError, FileQuotaStore } from '../quota.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+
+const now = () => new Date('2026-10-19T12:00:00Z');
+
+async function consume(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk.text || '';
+  return text;
+}
+
+test('record counts usage against every scope and window', async () => {
+  const quota = new QuotaManager({
+    now,
+    limits: { session: { daily: { tokens: 100 } }, user: { monthly: { cost: 1 } }, global: { daily: { tokens: 1000 } } }
+  });
+
+  await quota.record({ sessionId: 's1', userId: 'u1' }, { tokens: 40, cost: 0.25 });
+  await quota.record({ sessionId: 's2', userId: 'u1' }, { tokens: 10, cost: 0.25 });
+
+  const usage = await quota.usage({ sessionId: 's1', userId: 'u1' });
+  assert.deepEqual(usage.map(({ scope, window, used }) => [scope, window, used]), [
+    ['session', 'daily', { tokens: 40, cost: 0.25 }],
+    ['user', 'monthly', { tokens: 50, cost: 0.5 }],
+    ['global', 'daily', { tokens: 50, cost: 0.5 }]
+  ]);
+});
+
+test('check throws once a limit is used up and warns at the threshold', async () => {
+  const quota = new QuotaManager({ now, warningThreshold: 0.5, limits: { user: { daily: { tokens: 100 } } } });
+  const warnings = [];
+  quota.on('warning', warning => warnings.push(warning));
+
+  await quota.record({ userId: 'u1' }, { tokens: 60 });
+  assert.equal(warnings.length, 1);
+  await quota.check({ userId: 'u1' });
+
+  await quota.record({ userId: 'u1' }, { tokens: 40 });
+  assert.equal(warnings.length, 1);
+  await assert.rejects(quota.check({ userId: 'u1' }), error => {
+    assert.ok(error instanceof QuotaExceededError);
+    assert.equal(error.status, 429);
+    assert.equal(error.resetsAt.toISOString(), '2026-10-20T00:00:00.000Z');
+    return true;
+  });
+  // Other users are unaffected
+  await quota.check({ userId: 'u2' });
+});
+
+test('file counters survive a restart', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-quota-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const options = { now, limits: { global: { daily: { tokens: 10 } } } };
+  const filePath = path.join(directory, 'usage.json');
+
+  await new QuotaManager({ ...options, store: new FileQuotaStore({ path: filePath }) }).record({}, { tokens: 10 });
+
+  const restarted = new QuotaManager({ ...options, store: new FileQuotaStore({ path: filePath }) });
+  await assert.rejects(restarted.check({}), QuotaExceededError);
+});
+
+test('replies and summarization count against the quota', async () => {
+  const quota = new QuotaManager({ limits: { session: { daily: { tokens: 1000000 } } } });
+  const provider = new FakeProvider({
+    responses: ({ config }) => config.systemInstruction.startsWith('You summarize') ? 'a short summary' : 'a reply'
+  });
+  const agent = new Agent('quota-session', { provider, quota, summarize: true, summarizeAfter: 2, keepRecentMessages: 1 });
+
+  await consume(await agent.analyzeStream('first question'));
+  await consume(await agent.analyzeStream('second question'));
+
+  assert.ok(agent.memory.getSummary(), 'the older turn was summarized');
+  assert.equal(provider.calls.length, 3);
+
+  const replyTokens = agent.memory.getAllMessages()
+    .filter(message => message.role === 'assistant')
+    .reduce((sum, message) => sum + message.usage.promptTokens + message.usage.outputTokens, 0);
+  const [{ used }] = await quota.usage({ sessionId: 'quota-session' });
+  assert.ok(used.tokens > replyTokens, 'the summary request was counted too');
+  assert.equal(used.tokens, agent.tokenStats.totalInput + agent.tokenStats.totalOutput);
+});
+
+test('a request over the quota is refused before calling the model', async () => {
+  const quota = new QuotaManager({ limits: { session: { daily: { tokens: 1 } } } });
+  const provider = new FakeProvider({ responses: ['a reply'] });
+  const agent = new Agent('over-quota', { provider, quota });
+
+  await consume(await agent.analyzeStream('hello'));
+  await assert.rejects(agent.analyzeStream('hello again'), QuotaExceededError);
+  assert.equal(provider.calls.length, 1);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as sleep } from 'timers/promises';
+import { RequestQueue } from '../requestQueue.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+import { startServer } from './helpers/server.js';
+
+test('requests for a key run one at a time in arrival order', async () => {
+  const queue = new RequestQueue({ mode: 'queue', maxDepth: 5 });
+  const order = [];
+  const positions = { b: [], c: [] };
+
+  const releaseA = await queue.enter('u1');
+  const b = queue.enter('u1', { onPosition: position => positions.b.push(position) })
+    .then(release => { order.push('b'); return release; });
+  const c = queue.enter('u1', { onPosition: position => positions.c.push(position) })
+    .then(release => { order.push('c'); return release; });
+  assert.deepEqual(queue.status('u1'), { running: true, waiting: 2 });
+
+  order.push('a');
+  releaseA();
+  const releaseB = await b;
+  assert.deepEqual(positions, { b: [1], c: [2, 1] });
+
+  releaseB();
+  (await c)();
+  assert.deepEqual(order, ['a', 'b', 'c']);
+  assert.deepEqual(queue.status('u1'), { running: false, waiting: 0 });
+});
+
+test('other keys do not wait', async () => {
+  const queue = new RequestQueue({ mode: 'reject' });
+  await queue.enter('u1');
+  const release = await queue.enter('u2');
+  release();
+});
+
+test('reject mode refuses a request while another runs', async () => {
+  const queue = new RequestQueue({ mode: 'reject' });
+  const release = await queue.enter('u1');
+
+  await assert.rejects(queue.enter('u1'), error => error.status === 409);
+  release();
+  (await queue.enter('u1'))();
+});
+
+test('a full queue refuses more requests', async () => {
+  const queue = new RequestQueue({ mode: 'queue', maxDepth: 1 });
+  await queue.enter('u1');
+  queue.enter('u1');
+
+  await assert.rejects(queue.enter('u1'), error => error.status === 429);
+});
+
+test('an aborted request leaves the queue', async () => {
+  const queue = new RequestQueue({ mode: 'queue' });
+  const release = await queue.enter('u1');
+  const controller = new AbortController();
+  const positions = [];
+
+  const aborted = queue.enter('u1', { signal: controller.signal });
+  const next = queue.enter('u1', { onPosition: position => positions.push(position) });
+  controller.abort(new Error('client left'));
+  await assert.rejects(aborted, /client left/);
+  assert.deepEqual(positions, [2, 1]);
+
+  release();
+  (await next)();
+});
+
+test('queued turns on one agent never interleave', async () => {
+  const queue = new RequestQueue({ mode: 'queue' });
+  const agent = new Agent('queued-session', { provider: new FakeProvider({ delay: 5, chunkSize: 1 }) });
+
+  const turn = async (text) => {
+    const release = await queue.enter('u1');
+    try {
+      for await (const chunk of await agent.analyzeStream(text)) void chunk;
+    } finally {
+      release();
+    }
+  };
+  await Promise.all([turn('first question'), turn('second question'), turn('third question')]);
+
+  assert.deepEqual(agent.memory.getAllMessages().map(message => message.text), [
+    'first question', 'Echo: first question',
+    'second question', 'Echo: second question',
+    'third question', 'Echo: third question'
+  ]);
+});
+
+test('malformed chat input is refused at once while another turn runs', async (t) => {
+  // An OpenAI-compatible model that holds the first reply until released
+  const held = [];
+  const model = http.createServer(async (req, res) => {
+    for await (const chunk of req) void chunk;
+    held.push(() => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'done' }, finish_reason: 'stop' }] })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  await new Promise(resolve => model.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    model.closeAllConnections();
+    model.close(resolve);
+  }));
+
+  const server = await startServer(t, {
+    LLM_PROVIDER: 'openai',
+    OPENAI_BASE_URL: `http://127.0.0.1:${model.address().port}`,
+    OPENAI_API_KEY: 'test-key'
+  });
+  const client = server.client();
+  await client.register('heidi');
+
+  const running = client.request('/api/chat', { method: 'POST', body: { message: 'slow question' } });
+  while (held.length === 0) await sleep(10);
+
+  for (const body of [{ message: 42 }, { message: '' }, {}]) {
+    const response = await client.request('/api/chat', { method: 'POST', body, signal: AbortSignal.timeout(2000) });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Message (must be a string|is required)/);
+  }
+  const edit = await client.request('/api/messages/any', { method: 'PATCH', body: {}, signal: AbortSignal.timeout(2000) });
+  assert.equal(edit.status, 400);
+  const queue = await (await client.request('/api/queue')).json();
+  assert.deepEqual([queue.running, queue.waiting], [true, 0]);
+
+  held[0]();
+  assert.match(await (await running).text(), /"text":"done"/);
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { searchSearxng, createSearxngTool } from '../tools/searxngTool.js';
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+
+    if (url.searchParams.get('q') === 'forbidden') {
+      res.writeHead(403).end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      results: [
+        { title: 'Solo', url: 'https://solo.example.com/', content: 'only one engine', engine: 'bing', score: 1.2 },
+        { title: 'Node.js', url: 'https://www.nodejs.org/en/?utm_source=x', content: 'JavaScript runtime', engine: 'google', engines: ['google'], score: 1 },
+        { title: 'Node.js duplicate', url: 'https://nodejs.org/en', content: '', engine: 'duckduckgo', engines: ['duckduckgo'], score: 0.9 },
+        { title: 'No url' }
+      ]
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('searchSearxng queries the JSON API with the given options', async () => {
+  await searchSearxng('node runtime', { baseUrl, categories: 'news', timeRange: 'day', page: 2 });
+
+  const url = requests.at(-1);
+  assert.equal(url.pathname, '/search');
+  assert.equal(url.searchParams.get('q'), 'node runtime');
+  assert.equal(url.searchParams.get('format'), 'json');
+  assert.equal(url.searchParams.get('categories'), 'news');
+  assert.equal(url.searchParams.get('time_range'), 'day');
+  assert.equal(url.searchParams.get('pageno'), '2');
+});
+
+test('searchSearxng normalizes, dedupes and ranks results', async () => {
+  const results = await searchSearxng('node', { baseUrl });
+
+  assert.equal(results.length, 2);
+  // Two agreeing engines outrank a single engine with a higher raw score
+  assert.equal(results[0].title, 'Node.js');
+  assert.equal(results[0].snippet, 'JavaScript runtime');
+  assert.deepEqual(results[0].engines, ['google', 'duckduckgo']);
+  assert.equal(results[1].title, 'Solo');
+  assert.deepEqual(Object.keys(results[1]), ['title', 'url', 'snippet', 'engine', 'engines', 'score']);
+});
+
+test('searchSearxng honours maxResults', async () => {
+  const results = await searchSearxng('node', { baseUrl, maxResults: 1 });
+  assert.equal(results.length, 1);
+});
+
+test('searchSearxng reports HTTP errors', async () => {
+  await assert.rejects(searchSearxng('forbidden', { baseUrl }), /status 403 \(is the json format enabled/);
+  await assert.rejects(searchSearxng('  ', { baseUrl }), /query is required/);
+});
+
+test('the tool executes a search with its configured instance', async () => {
+  const tool = createSearxngTool({ baseUrl, categories: 'general' });
+  const output = await tool.execute({ query: 'node', timeRange: 'year' });
+
+  assert.equal(tool.name, 'web_search');
+  assert.equal(output.query, 'node');
+  assert.equal(output.results.length, 2);
+  assert.equal(requests.at(-1).searchParams.get('categories'), 'general');
+  assert.equal(requests.at(-1).searchParams.get('time_range'), 'year');
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+async function chat(client, message) {
+  const response = await client.request('/api/chat', { method: 'POST', body: { message } });
+  await response.text();
+}
+
+async function json(response) {
+  return { status: response.status, body: await response.json() };
+}
+
+async function startWithStorage(t) {
+  const server = await startServer(t, { MEMORY_STORAGE: 'sqlite' });
+  const client = server.client();
+  await client.register('frank');
+  return { server, client };
+}
+
+test('sessions are created, listed, switched and paginated', async (t) => {
+  const { client } = await startWithStorage(t);
+  await chat(client, 'first question');
+  await chat(client, 'second question');
+  const firstId = (await json(await client.request('/api/sessions'))).body.sessions[0].sessionId;
+
+  const created = await json(await client.request('/api/sessions', { method: 'POST', body: { title: 'Second topic' } }));
+  assert.equal(created.status, 201);
+  assert.equal(created.body.session.title, 'Second topic');
+  await chat(client, 'another topic');
+
+  const { sessions } = (await json(await client.request('/api/sessions'))).body;
+  const byId = Object.fromEntries(sessions.map(session => [session.sessionId, session]));
+  assert.deepEqual(Object.keys(byId).sort(), [firstId, created.body.session.sessionId].sort());
+  assert.equal(byId[firstId].messageCount, 4);
+  assert.equal(byId[firstId].active, false);
+  assert.equal(byId[created.body.session.sessionId].active, true);
+
+  const page = (await json(await client.request(`/api/sessions/${firstId}?offset=1&limit=2`))).body;
+  assert.equal(page.total, 4);
+  assert.deepEqual(page.messages.map(message => message.text), ['Echo: first question', 'second question']);
+  assert.equal((await client.request(`/api/sessions/${firstId}?limit=0`)).status, 400);
+
+  const switched = (await json(await client.request(`/api/sessions/${firstId}/switch`, { method: 'POST' }))).body;
+  assert.equal(switched.sessionId, firstId);
+  const { messages } = (await json(await client.request('/api/messages'))).body;
+  assert.deepEqual(messages.map(message => message.text), ['first question', 'Echo: first question', 'second question', 'Echo: second question']);
+});
+
+test('sessions are renamed and deleted; deleting the active one starts a new session', async (t) => {
+  const { client } = await startWithStorage(t);
+  await chat(client, 'hello');
+  const sessionId = (await json(await client.request('/api/sessions'))).body.sessions[0].sessionId;
+
+  assert.equal((await client.request(`/api/sessions/${sessionId}`, { method: 'PATCH' })).status, 400);
+  const renamed = await json(await client.request(`/api/sessions/${sessionId}`, { method: 'PATCH', body: { title: ' Greetings ' } }));
+  assert.deepEqual(renamed.body, { sessionId, title: 'Greetings' });
+  assert.equal((await json(await client.request(`/api/sessions/${sessionId}`))).body.title, 'Greetings');
+
+  const deleted = (await json(await client.request(`/api/sessions/${sessionId}`, { method: 'DELETE' }))).body;
+  assert.equal(deleted.deleted, true);
+  assert.notEqual(deleted.activeSessionId, sessionId);
+  assert.equal((await client.request(`/api/sessions/${sessionId}`)).status, 404);
+  assert.deepEqual((await json(await client.request('/api/messages'))).body.messages, []);
+});
+
+test("another user's sessions are not found", async (t) => {
+  const { server, client } = await startWithStorage(t);
+  await chat(client, 'private');
+  const sessionId = (await json(await client.request('/api/sessions'))).body.sessions[0].sessionId;
+
+  const other = server.client();
+  await other.register('grace');
+  assert.equal((await other.request(`/api/sessions/${sessionId}`)).status, 404);
+  assert.equal((await other.request(`/api/sessions/${sessionId}/switch`, { method: 'POST' })).status, 404);
+  assert.equal((await other.request(`/api/sessions/${sessionId}`, { method: 'DELETE' })).status, 404);
+  assert.ok(!(await json(await other.request('/api/sessions'))).body.sessions.some(session => session.sessionId === sessionId));
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorage, FileStorage, SqliteStorage } from '../storage/index.js';
+import { Memory } from '../memory.js';
+
+async function tempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-storage-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function message(id, text, timestamp) {
+  return { id, role: 'user', text, timestamp };
+}
+
+const adapters = {
+  file: directory => new FileStorage({ directory }),
+  sqlite: directory => new SqliteStorage({ filename: path.join(directory, 'memory.sqlite') })
+};
+
+for (const [name, createAdapter] of Object.entries(adapters)) {
+  test(`${name} storage applies each write and skips ids it already holds`, async (t) => {
+    const storage = createAdapter(await tempDir(t));
+    assert.equal(await storage.waitUntilReady(1000), true);
+    assert.equal(await storage.load('s1'), null);
+
+    await storage.append('s1', [message('m1', 'one', 1), message('m2', 'two', 2)]);
+    await storage.append('s1', [message('m2', 'two', 2), message('m3', 'three', 3)]);
+    await storage.updateMessages('s1', [{ id: 'm1', fields: { text: 'uno' } }]);
+    await storage.removeMessages('s1', ['m2']);
+    const summary = { id: 'sum1', text: 'so far', messageCount: 1 };
+    await storage.addSummary('s1', summary);
+    await storage.addSummary('s1', summary);
+    await storage.setBranches('s1', { branches: [{ id: 'main', name: 'main' }], activeBranchId: 'main' });
+    await storage.setTitle('s1', 'Numbers');
+    await storage.setOwner('s1', 'alice');
+
+    const conversation = await storage.load('s1');
+    assert.deepEqual(conversation.messages.map(stored => [stored.id, stored.text]), [['m1', 'uno'], ['m3', 'three']]);
+    assert.deepEqual(conversation.summaries.map(stored => stored.id), ['sum1']);
+    assert.equal(conversation.activeBranchId, 'main');
+    assert.equal(conversation.title, 'Numbers');
+    assert.equal(conversation.userId, 'alice');
+  });
+
+  test(`${name} storage replaces, lists and deletes sessions`, async (t) => {
+    const storage = createAdapter(await tempDir(t));
+    await storage.append('s1', [message('m1', 'one', 1)]);
+    await storage.setOwner('s1', 'alice');
+    await storage.append('s2', [message('m2', 'two', 2)]);
+    await storage.setOwner('s2', 'bob');
+
+    await storage.replace('s1', { messages: [message('m4', 'four', 4), message('m5', 'five', 5)], title: 'Rewritten', userId: 'alice' });
+
+    const conversation = await storage.load('s1');
+    assert.deepEqual(conversation.messages.map(stored => stored.id), ['m4', 'm5']);
+    assert.deepEqual(conversation.summaries, []);
+    assert.equal(conversation.title, 'Rewritten');
+
+    const sessions = await storage.listSessions({ userId: 'alice' });
+    assert.deepEqual(sessions.map(({ sessionId, title, userId, messageCount }) => ({ sessionId, title, userId, messageCount })),
+      [{ sessionId: 's1', title: 'Rewritten', userId: 'alice', messageCount: 2 }]);
+    assert.deepEqual((await storage.listSessions()).map(session => session.sessionId).sort(), ['s1', 's2']);
+
+    assert.equal(await storage.delete('s1'), true);
+    assert.equal(await storage.delete('s1'), false);
+    assert.equal(await storage.load('s1'), null);
+  });
+
+  test(`a Memory on ${name} storage keeps its conversation across instances`, async (t) => {
+    const directory = await tempDir(t);
+    const options = { sessionId: 's1', storage: createAdapter(directory), writeAheadLog: false };
+    const memory = new Memory(options);
+    await memory.loading;
+    await memory.addMessage({ role: 'user', text: 'hello' });
+    await memory.addMessage({ role: 'assistant', text: 'hi' });
+    await memory.flushPendingOperations();
+
+    const reloaded = new Memory({ ...options, storage: createAdapter(directory) });
+    await reloaded.loading;
+    assert.deepEqual(reloaded.getAllMessages().map(stored => stored.text), ['hello', 'hi']);
+  });
+}
+
+test('file storage skips a truncated last line left by a crash', async (t) => {
+  const directory = await tempDir(t);
+  const storage = new FileStorage({ directory });
+  await storage.append('s1', [message('m1', 'one', 1)]);
+  await fs.appendFile(path.join(directory, 's1.jsonl'), '{"message":{"id":"m2","te');
+
+  const conversation = await storage.load('s1');
+  assert.deepEqual(conversation.messages.map(stored => stored.id), ['m1']);
+});
+
+test('createStorage resolves names and passes adapters through', async (t) => {
+  const directory = await tempDir(t);
+  assert.equal(createStorage(null), null);
+  assert.ok(createStorage('file', { directory }) instanceof FileStorage);
+  const adapter = new FileStorage({ directory });
+  assert.equal(createStorage(adapter), adapter);
+  assert.throws(() => createStorage('redis'), /Unknown storage "redis"/);
+});
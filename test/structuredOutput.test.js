@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../jsonSchema.js';
+import { parseJsonReply } from '../structuredOutput.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+import { calculatorTool } from '../tools/index.js';
+
+const comparisonSchema = {
+  type: 'object',
+  required: ['winner', 'scores'],
+  additionalProperties: false,
+  properties: {
+    winner: { type: 'string', enum: ['a', 'b'] },
+    scores: { type: 'array', minItems: 2, items: { type: 'number', minimum: 0, maximum: 10 } }
+  }
+};
+
+test('validateSchema reports each problem with its path', () => {
+  assert.deepEqual(validateSchema({ winner: 'a', scores: [3, 7] }, comparisonSchema), []);
+  assert.deepEqual(validateSchema({ winner: 'c', scores: [3, 11], extra: true }, comparisonSchema), [
+    { path: '$.winner', message: 'Expected one of "a", "b" but got "c"' },
+    { path: '$.scores[1]', message: 'Expected a value <= 10' },
+    { path: '$.extra', message: 'Unknown property' }
+  ]);
+  assert.deepEqual(validateSchema({ scores: 'none' }, comparisonSchema), [
+    { path: '$.winner', message: 'Required property is missing' },
+    { path: '$.scores', message: 'Expected array but got string' }
+  ]);
+});
+
+test('parseJsonReply ignores code fences and text around the JSON', () => {
+  assert.deepEqual(parseJsonReply('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonReply('Here you go: [1, 2] Enjoy!'), [1, 2]);
+  assert.throws(() => parseJsonReply('no json here'), /Reply is not valid JSON/);
+});
+
+test('analyzeStructured returns the parsed reply and asks for JSON mode', async () => {
+  const provider = new FakeProvider({ responses: ['{"winner": "b", "scores": [4, 8]}'] });
+  const agent = new Agent('structured-session', { provider, summarize: false });
+
+  const value = await agent.analyzeStructured('Compare a and b', comparisonSchema);
+
+  assert.deepEqual(value, { winner: 'b', scores: [4, 8] });
+  assert.equal(provider.calls[0].config.responseMimeType, 'application/json');
+  assert.match(provider.calls[0].message, /conforms to this JSON schema/);
+});
+
+test('an invalid reply is retried with the problems and the failed attempt is removed', async () => {
+  const provider = new FakeProvider({ responses: ['{"winner": "c", "scores": [4, 8]}', '{"winner": "a", "scores": [4, 8]}'] });
+  const agent = new Agent('structured-retry-session', { provider, summarize: false });
+
+  const value = await agent.analyzeStructured('Compare a and b', comparisonSchema);
+
+  assert.deepEqual(value, { winner: 'a', scores: [4, 8] });
+  assert.match(provider.calls[1].message, /did not conform to the JSON schema:\n- \$\.winner: Expected one of "a", "b" but got "c"/);
+  const messages = agent.memory.getAllMessages();
+  assert.equal(messages.length, 2);
+  assert.match(messages[0].text, /^Compare a and b/);
+  assert.equal(messages[1].text, '{"winner": "a", "scores": [4, 8]}');
+});
+
+test('analyzeStructured fails with 422 and the problems once the attempts run out', async () => {
+  const provider = new FakeProvider({ responses: ['not json'] });
+  const agent = new Agent('structured-failed-session', { provider, summarize: false });
+
+  await assert.rejects(agent.analyzeStructured('Compare a and b', comparisonSchema, { maxAttempts: 2 }), error => {
+    assert.equal(error.status, 422);
+    assert.equal(error.output, 'not json');
+    assert.match(error.problems[0].message, /Reply is not valid JSON/);
+    return true;
+  });
+  assert.equal(provider.calls.length, 2);
+});
+
+test('JSON mode is not requested when the agent has tools', async () => {
+  const provider = new FakeProvider({ responses: ['{"winner": "a", "scores": [1, 2]}'] });
+  const agent = new Agent('structured-tools-session', { provider, summarize: false, tools: [calculatorTool] });
+
+  await agent.analyzeStructured('Compare a and b', comparisonSchema);
+
+  assert.equal(provider.calls[0].config.responseMimeType, undefined);
+});
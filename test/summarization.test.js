@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Memory } from '../memory.js';
+import { SqliteStorage } from '../storage/sqlite.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+
+async function tempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-summary-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+async function addTurns(memory, count) {
+  for (let i = 0; i < count; i++) {
+    await memory.addMessage({ role: 'user', text: `question ${i}` });
+    await memory.addMessage({ role: 'assistant', text: `answer ${i}` });
+  }
+}
+
+test('older turns are condensed once the unsummarized history passes summarizeAfter', async () => {
+  const requests = [];
+  const memory = new Memory({
+    summarize: true,
+    summarizeAfter: 6,
+    keepRecentMessages: 3,
+    summarizer: async ({ messages, previousSummary }) => {
+      requests.push({ texts: messages.map(message => message.text), previousSummary });
+      return `summary ${requests.length}`;
+    }
+  });
+
+  await addTurns(memory, 4);
+
+  // 7 messages triggered it; 3 are kept, backed up to the start of turn 2
+  assert.deepEqual(requests, [{ texts: ['question 0', 'answer 0', 'question 1', 'answer 1'], previousSummary: null }]);
+  assert.equal(memory.getSummary().text, 'summary 1');
+  assert.equal(memory.getSummary().messageCount, 4);
+  assert.deepEqual(memory.getUnsummarizedMessages().map(message => message.text),
+    ['question 2', 'answer 2', 'question 3', 'answer 3']);
+  // The raw history is kept alongside the summary
+  assert.equal(memory.getAllMessages().length, 8);
+
+  await addTurns(memory, 2);
+
+  assert.equal(requests[1].previousSummary, 'summary 1');
+  assert.equal(memory.getSummary().text, 'summary 2');
+  assert.equal(memory.getSummary().messageCount, 8);
+});
+
+test('a failed summarizer leaves the messages unsummarized', async () => {
+  const memory = new Memory({
+    summarize: true,
+    summarizeAfter: 2,
+    keepRecentMessages: 0,
+    summarizer: async () => { throw new Error('model unavailable'); }
+  });
+
+  await addTurns(memory, 2);
+
+  assert.equal(memory.getSummary(), null);
+  assert.equal(memory.getUnsummarizedMessages().length, 4);
+});
+
+test('summaries are stored with the conversation and reloaded', async (t) => {
+  const directory = await tempDir(t);
+  const storage = new SqliteStorage({ filename: path.join(directory, 'memory.sqlite') });
+  const options = { sessionId: 's1', storage, writeAheadLog: false };
+  const memory = new Memory({ ...options, summarize: true, summarizeAfter: 2, keepRecentMessages: 1, summarizer: async () => 'the story so far' });
+  await memory.loading;
+
+  await addTurns(memory, 2);
+  await memory.flushPendingOperations();
+
+  const reloaded = new Memory(options);
+  await reloaded.loading;
+  assert.equal(reloaded.getSummary().text, 'the story so far');
+  assert.deepEqual(reloaded.getUnsummarizedMessages().map(message => message.text), ['question 1', 'answer 1']);
+});
+
+test('the agent sends the summary in the system instruction instead of the summarized turns', async () => {
+  const provider = new FakeProvider({
+    responses: ({ config }) => config.systemInstruction.startsWith('You summarize') ? 'The user asked two questions.' : 'noted'
+  });
+  const agent = new Agent('summary-session', { provider, summarize: true, summarizeAfter: 4, keepRecentMessages: 2 });
+
+  for (const text of ['first', 'second', 'third']) {
+    for await (const chunk of await agent.analyzeStream(text)) void chunk;
+  }
+
+  const { history, config } = provider.calls.at(-1);
+  assert.match(config.systemInstruction, /Summary of the earlier conversation:\nThe user asked two questions\./);
+  assert.deepEqual(history.map(content => content.parts[0].text), ['second', 'noted']);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { cosineSimilarity, InMemoryVectorIndex } from '../vectorIndex.js';
+import { Memory } from '../memory.js';
+import { SqliteStorage } from '../storage/sqlite.js';
+import { FakeProvider } from '../providers/fake.js';
+
+async function tempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-vectors-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+// Embedding model that records every text it embeds
+function countingEmbeddingModel() {
+  const provider = new FakeProvider();
+  const texts = [];
+  return {
+    texts,
+    async embedContent(text) {
+      texts.push(text);
+      return { embedding: { values: await provider.embed(text) } };
+    }
+  };
+}
+
+test('cosineSimilarity compares direction and treats mismatched or empty vectors as unrelated', () => {
+  assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 3]), 0);
+  assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test('the in-memory index returns the top k entries, best first', () => {
+  const index = new InMemoryVectorIndex();
+  index.add('east', [1, 0]);
+  index.add('north', [0, 1]);
+  index.add('north-east', [1, 1]);
+  index.add('east', [1, 0.1]);
+  index.remove('north');
+
+  assert.equal(index.size, 2);
+  assert.deepEqual(index.search([1, 0], 1).map(result => result.id), ['east']);
+  assert.deepEqual(index.search([0, 1]).map(result => result.id), ['north-east', 'east']);
+});
+
+test('each message is embedded once and the query once per lookup', async () => {
+  const embeddingModel = countingEmbeddingModel();
+  const memory = new Memory({ embeddingModel });
+  for (const text of ['the cat sat on the mat', 'stock prices fell today', 'my cat likes fish']) {
+    await memory.addMessage({ role: 'user', text });
+  }
+
+  const first = await memory.searchSimilar('what does my cat eat', 2);
+  await memory.searchSimilar('market news', 2);
+
+  assert.equal(first.length, 2);
+  assert.equal(first[0].message.text, 'my cat likes fish');
+  assert.equal(embeddingModel.texts.length, 5);
+  assert.deepEqual(embeddingModel.texts.filter(text => text === 'my cat likes fish'), ['my cat likes fish']);
+  assert.equal(memory.vectorIndex.size, 3);
+});
+
+test('embeddings are saved with the messages and not computed again after a reload', async (t) => {
+  const storage = new SqliteStorage({ filename: path.join(await tempDir(t), 'memory.sqlite') });
+  const memory = new Memory({ sessionId: 's1', storage, writeAheadLog: false, embeddingModel: countingEmbeddingModel() });
+  await memory.loading;
+  await memory.addMessage({ role: 'user', text: 'remember the blue door' });
+  await memory.searchSimilar('door');
+  await memory.flushPendingOperations();
+
+  const embeddingModel = countingEmbeddingModel();
+  const reloaded = new Memory({ sessionId: 's1', storage, writeAheadLog: false, embeddingModel });
+  await reloaded.loading;
+  await reloaded.searchSimilar('door');
+
+  assert.deepEqual(embeddingModel.texts, ['door']);
+});
+
+test('a custom vector index is used for retrieval', async () => {
+  const searches = [];
+  class RecordingIndex extends InMemoryVectorIndex {
+    search(queryVector, k) {
+      searches.push(queryVector);
+      return super.search(queryVector, k);
+    }
+  }
+  const memory = new Memory({ embeddingModel: countingEmbeddingModel(), vectorIndex: new RecordingIndex() });
+  await memory.addMessage({ role: 'user', text: 'hello there' });
+
+  await memory.getRelevantContext('hello');
+
+  assert.equal(searches.length, 1);
+  assert.equal(memory.vectorIndex.size, 1);
+});
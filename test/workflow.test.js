@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkflowRunner } from '../workflow.js';
+import { FakeProvider } from '../providers/fake.js';
+import { sinksOf, buildWorkflowGraph } from '../workflowGraph.js';
+
+const configs = {
+  agents: { agents: { writer: { description: 'Writes things.', async_support: true } } },
+  tasks: {
+    tasks: {
+      outline: { description: 'Outline {topic}', agent: 'writer' },
+      intro: { description: 'Write an intro', agent: 'writer', async_execution: true },
+      summary: { description: 'Write a summary', agent: 'writer', async_execution: true }
+    }
+  },
+  workflows: {
+    workflows: {
+      branches: {
+        output_format: 'json',
+        steps: [{ task: 'outline' }, { task: 'intro' }, { task: 'summary' }]
+      }
+    }
+  }
+};
+
+function createRunner(responses) {
+  return new WorkflowRunner(configs, {
+    agentOptions: { provider: new FakeProvider({ responses }), summarize: false }
+  });
+}
+
+test('sinksOf returns every step nothing depends on', () => {
+  const { nodes } = buildWorkflowGraph(configs.workflows.workflows.branches, configs.tasks.tasks, configs.agents.agents);
+  assert.deepEqual(sinksOf(nodes).map(node => node.id), ['intro', 'summary']);
+});
+
+test('a workflow with several final steps combines their outputs', async () => {
+  const runner = createRunner(({ message }) => {
+    const text = typeof message === 'string' ? message : message.map(part => part.text || '').join('');
+    if (text.includes('Outline')) return 'the outline';
+    return text.includes('intro') ? '{"part":"intro"}' : '{"part":"summary"}';
+  });
+
+  const result = await runner.run('branches', { topic: 'tests' });
+
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(result.output, { intro: { part: 'intro' }, summary: { part: 'summary' } });
+});
+
+test('a failed final step fails the workflow even when it is not the last step', async () => {
+  const runner = createRunner(({ message }) => {
+    const text = typeof message === 'string' ? message : message.map(part => part.text || '').join('');
+    if (text.includes('Outline')) return 'the outline';
+    return text.includes('intro') ? 'not json' : '{"part":"summary"}';
+  });
+
+  const result = await runner.run('branches', { topic: 'tests' });
+
+  assert.equal(result.status, 'failed');
+  assert.deepEqual(result.errors.map(error => error.step), ['intro']);
+  assert.deepEqual(result.output, { summary: { part: 'summary' } });
+});
+
+const parallelConfigs = {
+  agents: { agents: { writer: { description: 'Writes things.', async_support: true } } },
+  tasks: {
+    tasks: {
+      plan: { description: 'Plan {topic}', agent: 'writer' },
+      draft_a: { description: 'Draft part A', agent: 'writer', async_execution: true },
+      draft_b: { description: 'Draft part B', agent: 'writer', async_execution: true },
+      draft_c: { description: 'Draft part C', agent: 'writer', async_execution: true },
+      draft_d: { description: 'Draft part D', agent: 'writer', async_execution: true },
+      review: { description: 'Review the drafts', agent: 'writer' }
+    }
+  },
+  workflows: {
+    workflows: {
+      fan_out: {
+        steps: [{ task: 'plan' }, { task: 'draft_a' }, { task: 'draft_b' }, { task: 'draft_c' }, { task: 'draft_d' }, { task: 'review' }]
+      },
+      explicit: {
+        steps: [{ task: 'plan' }, { task: 'draft_a', depends_on: [] }, { task: 'review', depends_on: ['draft_a'] }]
+      }
+    }
+  }
+};
+
+// Tracks how many streams are open at once
+class CountingProvider extends FakeProvider {
+  constructor(options) {
+    super(options);
+    this.active = 0;
+    this.maxActive = 0;
+  }
+
+  async streamChat(params) {
+    const stream = await super.streamChat(params);
+    const provider = this;
+    provider.active++;
+    provider.maxActive = Math.max(provider.maxActive, provider.active);
+    return (async function* () {
+      try {
+        yield* stream;
+      } finally {
+        provider.active--;
+      }
+    })();
+  }
+}
+
+function textOf(message) {
+  return typeof message === 'string' ? message : message.map(part => part.text || '').join('');
+}
+
+test('async steps depend on the last synchronous step and the next synchronous step joins them', () => {
+  const { tasks, agents, workflows } = parallelConfigs;
+  const { nodes, errors } = buildWorkflowGraph(workflows.workflows.fan_out, tasks.tasks, agents.agents);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(Object.fromEntries(nodes.map(node => [node.id, node.dependsOn])), {
+    plan: [],
+    draft_a: ['plan'],
+    draft_b: ['plan'],
+    draft_c: ['plan'],
+    draft_d: ['plan'],
+    review: ['plan', 'draft_a', 'draft_b', 'draft_c', 'draft_d']
+  });
+});
+
+test('explicit depends_on replaces the implicit edges and is checked for unknown steps and cycles', () => {
+  const { tasks, agents, workflows } = parallelConfigs;
+  const { nodes } = buildWorkflowGraph(workflows.workflows.explicit, tasks.tasks, agents.agents);
+  assert.deepEqual(nodes.map(node => node.dependsOn), [[], [], ['draft_a']]);
+
+  const { errors } = buildWorkflowGraph({
+    steps: [
+      { task: 'plan', depends_on: ['review'] },
+      { task: 'review', depends_on: ['plan', 'missing'] }
+    ]
+  }, tasks.tasks, agents.agents);
+  assert.deepEqual(errors.map(error => error.path), ['steps[1].depends_on[1]', 'steps']);
+  assert.match(errors[1].message, /cycle: plan -> review -> plan/);
+});
+
+test('async steps run concurrently up to the concurrency limit', async () => {
+  const provider = new CountingProvider({ delay: 20 });
+  const runner = new WorkflowRunner(parallelConfigs, {
+    concurrency: 2,
+    agentOptions: { provider, summarize: false }
+  });
+
+  const result = await runner.run('fan_out', { topic: 'tests' });
+
+  assert.equal(result.status, 'completed');
+  assert.equal(provider.maxActive, 2);
+  // The review step starts after every draft and sees all of their outputs
+  const reviewPrompt = textOf(provider.calls.at(-1).message);
+  for (const part of ['A', 'B', 'C', 'D']) {
+    assert.match(reviewPrompt, new RegExp(`Echo: .*Draft part ${part}`));
+  }
+});
+
+test('a failed branch skips its dependents and keeps the results of the other branches', async () => {
+  const provider = new FakeProvider({
+    responses: ({ message }) => {
+      if (textOf(message).includes('Draft part B')) throw new Error('model unavailable');
+      return 'done';
+    }
+  });
+  const runner = new WorkflowRunner(parallelConfigs, {
+    agentOptions: { provider, summarize: false, retry: { maxRetries: 0 } }
+  });
+
+  const result = await runner.run('fan_out', { topic: 'tests' });
+  const byId = Object.fromEntries(result.tasks.map(task => [task.id, task]));
+
+  assert.equal(result.status, 'failed');
+  assert.equal(byId.draft_b.status, 'failed');
+  assert.equal(byId.review.status, 'skipped');
+  for (const id of ['plan', 'draft_a', 'draft_c', 'draft_d']) {
+    assert.equal(byId[id].status, 'completed');
+    assert.equal(byId[id].output, 'done');
+  }
+  assert.deepEqual(result.errors.map(error => [error.step, error.status]), [['draft_b', 'failed'], ['review', 'skipped']]);
+});
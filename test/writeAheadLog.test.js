@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WriteAheadLog } from '../storage/writeAheadLog.js';
+import { SqliteStorage } from '../storage/sqlite.js';
+import { Memory } from '../memory.js';
+import { Agent } from '../agent.js';
+import { FakeProvider } from '../providers/fake.js';
+
+async function tempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent284-wal-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function addOperation(id, messageIds) {
+  return { id, sessionId: 's1', type: 'add', payload: { items: messageIds.map(messageId => ({ id: messageId, text: messageId })) } };
+}
+
+test('remove drops applied operations and the removed messages from logged adds', async (t) => {
+  const wal = new WriteAheadLog({ directory: await tempDir(t), sync: false });
+  await wal.append('s1', [addOperation('op1', ['m1']), addOperation('op2', ['m2', 'm3'])]);
+  await wal.append('s1', [{ id: 'op3', sessionId: 's1', type: 'delete', payload: { ids: ['m1', 'm2'] } }]);
+
+  await wal.remove('s1', ['op3'], ['m1', 'm2']);
+
+  const remaining = await wal.read('s1');
+  assert.deepEqual(remaining.map(operation => operation.id), ['op2']);
+  assert.deepEqual(remaining[0].payload.items.map(message => message.id), ['m3']);
+});
+
+test('replaying the log after a delete does not restore the deleted message', async (t) => {
+  const directory = await tempDir(t);
+  const storage = new SqliteStorage({ filename: path.join(directory, 'memory.sqlite') });
+
+  // The first removal (of the saved add) fails, so the add stays logged
+  class FlakyLog extends WriteAheadLog {
+    async remove(...args) {
+      if (!this.failed) {
+        this.failed = true;
+        throw new Error('disk full');
+      }
+      return super.remove(...args);
+    }
+  }
+  const walDirectory = path.join(directory, 'wal');
+  const memory = new Memory({ sessionId: 's1', storage, writeAheadLog: new FlakyLog({ directory: walDirectory, sync: false }) });
+  await memory.loading;
+
+  const message = await memory.addMessage({ role: 'user', text: 'forget me' });
+  await memory.flushPendingOperations();
+  assert.equal((await memory.writeAheadLog.read('s1')).length, 1);
+
+  await memory.deleteMessage(message.id);
+  await memory.flushPendingOperations();
+  assert.deepEqual(await memory.writeAheadLog.read('s1'), []);
+
+  const reloaded = new Memory({ sessionId: 's1', storage, writeAheadLogOptions: { directory: walDirectory, sync: false } });
+  await reloaded.loading;
+  assert.deepEqual(reloaded.allMessages, []);
+  assert.deepEqual((await storage.load('s1')).messages, []);
+});
+
+test('the agent passes its write-ahead log options to its memory', async (t) => {
+  const directory = await tempDir(t);
+  const storage = new SqliteStorage({ filename: path.join(directory, 'memory.sqlite') });
+  const walDirectory = path.join(directory, 'wal');
+
+  const agent = new Agent('s1', { provider: new FakeProvider(), storage, writeAheadLogOptions: { directory: walDirectory, sync: false } });
+  await agent.memory.loading;
+  for await (const chunk of await agent.analyzeStream('hello')) void chunk;
+  assert.equal(agent.memory.writeAheadLog.directory, walDirectory);
+  assert.ok((await agent.memory.writeAheadLog.read('s1')).length > 0);
+  await agent.memory.flushPendingOperations();
+
+  const log = new WriteAheadLog({ directory: walDirectory, sync: false });
+  assert.equal(new Agent('s2', { provider: new FakeProvider(), storage, writeAheadLog: log }).memory.writeAheadLog, log);
+  assert.equal(new Agent('s3', { provider: new FakeProvider(), storage, writeAheadLog: false }).memory.writeAheadLog, null);
+});
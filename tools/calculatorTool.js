@@ -0,0 +1,91 @@
+/**
+ * Calculator Tool
+ *
+ * Evaluates arithmetic expressions with a small recursive-descent parser
+ * instead of `new Function`, so model-supplied input is never executed as code.
+ * Supports + - * / % ^, parentheses, unary minus and decimal numbers.
+ */
+
+/**
+ * Evaluate an arithmetic expression
+ * @param {string} expression - Expression such as "(2 + 3) * 4"
+ * @returns {number} - The result
+ */
+export function evaluateExpression(expression) {
+  const tokens = String(expression).match(/\d+(?:\.\d+)?|\.\d+|[-+*/%^()]|\S/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === '(') {
+      const value = parseExpression();
+      if (next() !== ')') throw new Error('Expected closing parenthesis');
+      return value;
+    }
+    if (token === '-') return -parsePrimary();
+    if (token === '+') return parsePrimary();
+    if (token !== undefined && /^(\d|\.\d)/.test(token)) return parseFloat(token);
+    throw new Error(token === undefined ? 'Unexpected end of expression' : `Unexpected token "${token}"`);
+  };
+
+  // Exponentiation is right-associative
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parsePower());
+    }
+    return base;
+  };
+
+  const parseTerm = () => {
+    let value = parsePower();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = parsePower();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (['+', '-'].includes(peek())) {
+      const operator = next();
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${peek()}"`);
+  }
+  return result;
+}
+
+export const calculatorTool = {
+  name: 'calculate',
+  description: 'Evaluates a mathematical expression. Supports + - * / % ^ and parentheses.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The arithmetic expression to evaluate, e.g. "(2 + 3) * 4"'
+      }
+    },
+    required: ['expression']
+  },
+  async execute({ expression }) {
+    return { expression, result: evaluateExpression(expression) };
+  }
+};
+
+export default calculatorTool;
@@ -0,0 +1,35 @@
+/**
+ * Tool catalog
+ *
+ * Maps the tool names used in config/agents.json to factories
+ * returning tool definitions for the agent's ToolRegistry.
+ */
+
+import { calculatorTool } from './calculatorTool.js';
+import { weatherTool } from './weatherTool.js';
+import { createSearxngTool } from './searxngTool.js';
+
+export const toolCatalog = {
+  SearxngSearchTool: (options = {}) => createSearxngTool(options),
+  CalculatorTool: () => calculatorTool,
+  WeatherTool: () => weatherTool
+};
+
+/**
+ * Create the tools for a list of config tool names
+ * @param {Array<string>} names - Tool names from an agent config
+ * @param {Object} options - Per-tool options keyed by tool name
+ * @returns {Array<Object>} - Tool definitions
+ */
+export function createTools(names = [], options = {}) {
+  return names.map(name => {
+    const factory = toolCatalog[name];
+    if (!factory) {
+      throw new Error(`Unknown tool "${name}". Available tools: ${Object.keys(toolCatalog).join(', ')}`);
+    }
+    return factory(options[name]);
+  });
+}
+
+export { ToolRegistry } from './registry.js';
+export { calculatorTool, weatherTool, createSearxngTool };
@@ -0,0 +1,113 @@
+/**
+ * Tool Registry
+ *
+ * Holds the tools an agent can call. Each tool is declared with:
+ * - name: identifier the model uses to call it
+ * - description: what the tool does, shown to the model
+ * - parameters: JSON schema (type 'object') describing the arguments
+ * - execute: async function receiving the parsed arguments
+ */
+
+export class ToolRegistry {
+  /**
+   * Create a new tool registry
+   * @param {Array<Object>} tools - Tools to register up front
+   */
+  constructor(tools = []) {
+    this.tools = new Map();
+    for (const tool of tools) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition ({ name, description, parameters, execute })
+   * @returns {ToolRegistry} - This registry, for chaining
+   */
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name "${tool?.name}". Names must start with a letter or underscore and contain at most 64 letters, digits, underscores, dots or dashes.`);
+    }
+    if (typeof tool.execute !== 'function') {
+      throw new Error(`Tool "${tool.name}" must have an execute function`);
+    }
+    if (tool.parameters && tool.parameters.type !== 'object') {
+      throw new Error(`Tool "${tool.name}" parameters must be a JSON schema of type 'object'`);
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether a tool was removed
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Get a tool by name
+   * @param {string} name - Tool name
+   * @returns {Object|undefined}
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Number of registered tools
+   * @returns {number}
+   */
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Get the declarations sent to the model
+   * @returns {Array<Object>} - Array of { name, description, parameters }
+   */
+  getFunctionDeclarations() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Execute a tool call. Errors are caught and returned so the model
+   * can see what went wrong and recover.
+   * @param {string} name - Tool name
+   * @param {Object} args - Arguments from the model
+   * @returns {Promise<Object>} - { result } on success, { error } on failure
+   */
+  async execute(name, args = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool "${name}"` };
+    }
+
+    try {
+      const result = await tool.execute(args || {});
+      return { result };
+    } catch (error) {
+      console.error(`Error executing tool "${name}":`, error.message);
+      return { error: error.message };
+    }
+  }
+}
+
+export default ToolRegistry;
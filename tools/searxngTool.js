@@ -0,0 +1,162 @@
+/**
+ * SearXNG Search Tool
+ *
+ * Web search through a SearXNG instance's JSON API (/search?format=json).
+ * Results from the different engines SearXNG aggregates are:
+ * - Normalized to { title, url, snippet, engine }
+ * - Deduplicated by canonical URL (protocol, www., trailing slash, fragment and tracking params ignored)
+ * - Ranked by SearXNG's score, boosted when several engines agree on a result
+ *
+ * The instance must have the json format enabled in its settings.yml (search.formats).
+ */
+
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|ref|ref_src)$/i;
+
+/**
+ * Build a canonical form of a URL for deduplication
+ * @param {string} url - Result URL
+ * @returns {string} - Canonical URL
+ */
+export function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${path}${query ? `?${query}` : ''}`;
+  } catch (error) {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+/**
+ * Normalize, deduplicate and rank raw SearXNG results
+ * @param {Array<Object>} rawResults - The `results` array from the SearXNG JSON API
+ * @param {number} maxResults - Maximum number of results to return
+ * @returns {Array<Object>} - Ranked results ({ title, url, snippet, engine, engines, score })
+ */
+export function normalizeResults(rawResults = [], maxResults = 10) {
+  const byUrl = new Map();
+
+  rawResults.forEach((raw, position) => {
+    if (!raw || !raw.url) return;
+
+    const key = canonicalizeUrl(raw.url);
+    const engines = raw.engines && raw.engines.length > 0 ? raw.engines : [raw.engine].filter(Boolean);
+    // Fall back to position when the instance doesn't report scores
+    const baseScore = typeof raw.score === 'number' ? raw.score : 1 / (position + 1);
+    const existing = byUrl.get(key);
+
+    if (existing) {
+      existing.engines = [...new Set([...existing.engines, ...engines])];
+      existing.baseScore = Math.max(existing.baseScore, baseScore);
+      if (!existing.snippet && raw.content) existing.snippet = raw.content.trim();
+      return;
+    }
+
+    byUrl.set(key, {
+      title: (raw.title || raw.url).trim(),
+      url: raw.url,
+      snippet: (raw.content || '').trim(),
+      engine: raw.engine || engines[0] || 'unknown',
+      engines,
+      baseScore,
+      position
+    });
+  });
+
+  return [...byUrl.values()]
+    .map(result => ({
+      ...result,
+      // Results confirmed by more engines rank higher
+      score: result.baseScore * (1 + 0.5 * (result.engines.length - 1))
+    }))
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .slice(0, maxResults)
+    .map(({ title, url, snippet, engine, engines, score }) => ({ title, url, snippet, engine, engines, score }));
+}
+
+/**
+ * Query a SearXNG instance
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {string} options.baseUrl - SearXNG instance URL (default: process.env.SEARXNG_URL or http://localhost:8080)
+ * @param {number} options.maxResults - Maximum number of results (default: 10)
+ * @param {string} options.categories - Comma-separated SearXNG categories (e.g. 'general,news')
+ * @param {string} options.language - Search language (e.g. 'en')
+ * @param {string} options.timeRange - 'day', 'month' or 'year'
+ * @param {number} options.page - Results page (default: 1)
+ * @param {number} options.timeoutMs - Request timeout in ms (default: 10000)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {Promise<Array<Object>>} - Ranked results
+ */
+export async function searchSearxng(query, options = {}) {
+  if (!query || !String(query).trim()) {
+    throw new Error('Search query is required');
+  }
+
+  const baseUrl = (options.baseUrl || process.env.SEARXNG_URL || 'http://localhost:8080').replace(/\/+$/, '');
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const params = new URLSearchParams({ q: String(query), format: 'json' });
+  if (options.categories) params.set('categories', options.categories);
+  if (options.language) params.set('language', options.language);
+  if (options.timeRange) params.set('time_range', options.timeRange);
+  if (options.page) params.set('pageno', String(options.page));
+
+  const response = await fetchImpl(`${baseUrl}/search?${params}`, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(options.timeoutMs || 10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`SearXNG request failed with status ${response.status}${response.status === 403 ? ' (is the json format enabled on the instance?)' : ''}`);
+  }
+
+  const data = await response.json();
+  return normalizeResults(data.results, options.maxResults || 10);
+}
+
+/**
+ * Create a web search tool for the agent's tool registry
+ * @param {Object} options - Same options as searchSearxng, plus:
+ * @param {string} options.name - Tool name exposed to the model (default: 'web_search')
+ * @returns {Object} - Tool definition ({ name, description, parameters, execute })
+ */
+export function createSearxngTool(options = {}) {
+  return {
+    name: options.name || 'web_search',
+    description: 'Searches the web and returns the most relevant results with title, url, snippet and source engine.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The search query'
+        },
+        categories: {
+          type: 'string',
+          description: 'Optional comma-separated categories, e.g. "general", "news", "science"'
+        },
+        timeRange: {
+          type: 'string',
+          enum: ['day', 'month', 'year'],
+          description: 'Optional recency filter'
+        }
+      },
+      required: ['query']
+    },
+    async execute({ query, categories, timeRange }) {
+      const results = await searchSearxng(query, {
+        ...options,
+        categories: categories || options.categories,
+        timeRange: timeRange || options.timeRange
+      });
+      return { query, results };
+    }
+  };
+}
+
+export default createSearxngTool;
@@ -0,0 +1,30 @@
+/**
+ * Weather Tool
+ *
+ * Mock implementation - in a real app, you'd call a weather API
+ */
+
+export const weatherTool = {
+  name: 'getWeather',
+  description: 'Gets current weather information for a location.',
+  parameters: {
+    type: 'object',
+    properties: {
+      location: {
+        type: 'string',
+        description: 'City or place name, e.g. "Paris"'
+      }
+    },
+    required: ['location']
+  },
+  async execute({ location }) {
+    return {
+      location,
+      temperature: "22°C",
+      condition: "Sunny",
+      humidity: "45%"
+    };
+  }
+};
+
+export default weatherTool;
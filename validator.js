@@ -0,0 +1,315 @@
+/**
+ * Config Validator
+ *
+ * Checks config/tasks.json, config/agents.json and config/workflows.json before
+ * anything runs:
+ * - Each file against its schema
+ * - Cross-references: workflow step -> task, workflow step -> agent, task -> agent, agent -> tool,
+ *   and depends_on edges between steps (unknown steps, cycles)
+ * - {placeholders}: malformed braces, references to task outputs that aren't available yet,
+ *   and (when inputs are given) placeholders no input provides
+ *
+ * Every problem is reported with its file and JSONPath.
+ *
+ * Run directly to validate the config folder: node validator.js
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { validateSchema, joinPath } from './jsonSchema.js';
+import { loadAllConfigs } from './loader.js';
+import { toolCatalog } from './tools/index.js';
+import { buildWorkflowGraph, ancestorsOf } from './workflowGraph.js';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+export const configSchemas = {
+  'tasks.json': {
+    type: 'object',
+    required: ['tasks'],
+    additionalProperties: false,
+    properties: {
+      tasks: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['description', 'agent'],
+          additionalProperties: false,
+          properties: {
+            description: nonEmptyString,
+            steps: { type: 'array', items: nonEmptyString },
+            expected_output: { type: 'string' },
+            // JSON schema for the task's result; the last step's reply is validated against it
+            output_schema: { type: 'object' },
+            async_execution: { type: 'boolean' },
+            agent: nonEmptyString
+          }
+        }
+      }
+    }
+  },
+  'agents.json': {
+    type: 'object',
+    required: ['agents'],
+    additionalProperties: false,
+    properties: {
+      agents: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['description'],
+          additionalProperties: false,
+          properties: {
+            description: nonEmptyString,
+            skills: { type: 'array', items: nonEmptyString },
+            tools: { type: 'array', items: nonEmptyString },
+            async_support: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  },
+  'workflows.json': {
+    type: 'object',
+    required: ['workflows'],
+    additionalProperties: false,
+    properties: {
+      workflows: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['steps'],
+          additionalProperties: false,
+          properties: {
+            description: { type: 'string' },
+            steps: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['task'],
+                additionalProperties: false,
+                properties: {
+                  id: nonEmptyString,
+                  task: nonEmptyString,
+                  agent: nonEmptyString,
+                  depends_on: { type: 'array', items: nonEmptyString }
+                }
+              }
+            },
+            output_format: { enum: ['markdown', 'json', 'text'] },
+            concurrency: { type: 'integer', minimum: 1 }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Error thrown when configs fail validation
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array<Object>} errors - Problems as { file, path, message }
+   */
+  constructor(errors) {
+    const details = errors.map(error => `  ${error.file} ${error.path}: ${error.message}`).join('\n');
+    super(`Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${details}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Find the {placeholders} in a template and any malformed braces
+ * @param {string} template - Template text
+ * @returns {Object} - { names: Array<string>, malformed: boolean }
+ */
+export function parsePlaceholders(template) {
+  const names = [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  const malformed = /[{}]/.test(template.replace(/\{\w+\}/g, ''));
+  return { names, malformed };
+}
+
+/**
+ * Safely read a keyed section of a config (e.g. tasks.tasks)
+ * @param {Object} config - Parsed config file
+ * @param {string} key - Section key
+ * @returns {Object}
+ */
+function sectionOf(config, key) {
+  const section = config && config[key];
+  return section && typeof section === 'object' && !Array.isArray(section) ? section : {};
+}
+
+/**
+ * Validate the configs
+ * @param {Object} configs - { tasks, agents, workflows } as returned by loadAllConfigs
+ * @param {Object} options - Validation options
+ * @param {string} options.workflowId - Only check references reachable from this workflow
+ * @param {Object} options.inputs - Workflow inputs; when given, placeholders must all be resolvable
+ * @param {Object} options.tools - Known tool names (default: the tool catalog)
+ * @returns {Object} - { valid, errors: [{ file, path, message }], requiredInputs: { [workflowId]: Array<string> } }
+ */
+export function validateConfigs(configs, options = {}) {
+  const errors = [];
+  const knownTools = options.tools || toolCatalog;
+  const report = (file, jsonPath, message) => errors.push({ file, path: jsonPath, message });
+
+  // Schema checks
+  for (const [file, key] of [['tasks.json', 'tasks'], ['agents.json', 'agents'], ['workflows.json', 'workflows']]) {
+    for (const error of validateSchema(configs[key], configSchemas[file])) {
+      report(file, error.path, error.message);
+    }
+  }
+
+  const tasks = sectionOf(configs.tasks, 'tasks');
+  const agents = sectionOf(configs.agents, 'agents');
+  const workflows = sectionOf(configs.workflows, 'workflows');
+
+  let workflowIds = Object.keys(workflows);
+  if (options.workflowId) {
+    if (!workflows[options.workflowId]) {
+      report('workflows.json', joinPath('$.workflows', options.workflowId), `Unknown workflow "${options.workflowId}"`);
+      return { valid: false, errors, requiredInputs: {} };
+    }
+    workflowIds = [options.workflowId];
+  }
+
+  // Only check what the selected workflows use, so one broken workflow doesn't block the others
+  const usedTasks = new Set(options.workflowId ? [] : Object.keys(tasks));
+  const usedAgents = new Set(options.workflowId ? [] : Object.keys(agents));
+  const requiredInputs = {};
+
+  for (const workflowId of workflowIds) {
+    const workflowPath = joinPath('$.workflows', workflowId);
+    const steps = Array.isArray(workflows[workflowId]?.steps) ? workflows[workflowId].steps : [];
+    const { nodes, errors: graphErrors } = buildWorkflowGraph(workflows[workflowId], tasks, agents);
+    const inputs = new Set();
+
+    for (const error of graphErrors) {
+      report('workflows.json', `${workflowPath}.${error.path}`, error.message);
+    }
+
+    // Step and task ids whose {<id>_output} placeholders are meaningful
+    const outputNames = new Set([...nodes.map(node => node.id), ...Object.keys(tasks)]);
+
+    steps.forEach((step, index) => {
+      const stepPath = `${workflowPath}.steps[${index}]`;
+      const task = step && tasks[step.task];
+
+      if (step && step.task && !task) {
+        report('workflows.json', `${stepPath}.task`, `References unknown task "${step.task}"`);
+      }
+      if (step && step.agent && !agents[step.agent]) {
+        report('workflows.json', `${stepPath}.agent`, `References unknown agent "${step.agent}"`);
+      }
+      if (!task) return;
+
+      usedTasks.add(step.task);
+      usedAgents.add(step.agent || task.agent);
+
+      // Placeholders are either workflow inputs or outputs of steps this one depends on
+      const node = nodes.find(candidate => candidate.index === index);
+      const availableOutputs = new Set();
+      for (const ancestor of ancestorsOf(nodes, node.id)) {
+        availableOutputs.add(`${ancestor}_output`);
+        availableOutputs.add(`${nodes.find(candidate => candidate.id === ancestor).task}_output`);
+      }
+      const taskPath = joinPath('$.tasks', step.task);
+      const templates = [
+        [`${taskPath}.description`, task.description],
+        ...(Array.isArray(task.steps) ? task.steps.map((text, i) => [`${taskPath}.steps[${i}]`, text]) : [])
+      ];
+
+      for (const [templatePath, template] of templates) {
+        if (typeof template !== 'string') continue;
+        const { names } = parsePlaceholders(template);
+
+        for (const name of names) {
+          if (name === 'previous_output') {
+            if (node.dependsOn.length === 0) {
+              report('tasks.json', templatePath, `{previous_output} has no value in step "${node.id}" of workflow "${workflowId}" because it has no dependencies`);
+            }
+          } else if (name.endsWith('_output') && outputNames.has(name.slice(0, -'_output'.length))) {
+            if (!availableOutputs.has(name)) {
+              report('tasks.json', templatePath, `{${name}} is not available in step "${node.id}" of workflow "${workflowId}": "${name.slice(0, -'_output'.length)}" must run before it (add it to depends_on)`);
+            }
+          } else {
+            inputs.add(name);
+            if (options.inputs && (options.inputs[name] === undefined || options.inputs[name] === null)) {
+              report('tasks.json', templatePath, `Unresolved placeholder {${name}}: no input provided for workflow "${workflowId}"`);
+            }
+          }
+        }
+      }
+    });
+
+    requiredInputs[workflowId] = [...inputs];
+  }
+
+  // Task -> agent references and placeholder syntax
+  for (const taskId of usedTasks) {
+    const task = tasks[taskId];
+    if (!task || typeof task !== 'object') continue;
+    const taskPath = joinPath('$.tasks', taskId);
+
+    if (task.agent && !agents[task.agent]) {
+      report('tasks.json', `${taskPath}.agent`, `References unknown agent "${task.agent}"`);
+    }
+
+    const templates = [[`${taskPath}.description`, task.description]];
+    if (Array.isArray(task.steps)) {
+      task.steps.forEach((text, i) => templates.push([`${taskPath}.steps[${i}]`, text]));
+    }
+    for (const [templatePath, template] of templates) {
+      if (typeof template === 'string' && parsePlaceholders(template).malformed) {
+        report('tasks.json', templatePath, 'Malformed placeholder: braces must wrap a single name like {item1}');
+      }
+    }
+  }
+
+  // Agent -> tool references
+  for (const agentName of usedAgents) {
+    const agent = agents[agentName];
+    if (!agent || !Array.isArray(agent.tools)) continue;
+
+    agent.tools.forEach((toolName, index) => {
+      if (!knownTools[toolName]) {
+        report('agents.json', `${joinPath('$.agents', agentName)}.tools[${index}]`, `References unknown tool "${toolName}". Available tools: ${Object.keys(knownTools).join(', ')}`);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors, requiredInputs };
+}
+
+/**
+ * Validate the configs and throw if there are problems
+ * @param {Object} configs - { tasks, agents, workflows }
+ * @param {Object} options - Same options as validateConfigs
+ * @returns {Object} - The validation result when valid
+ * @throws {ConfigValidationError}
+ */
+export function assertValidConfigs(configs, options = {}) {
+  const result = validateConfigs(configs, options);
+  if (!result.valid) {
+    throw new ConfigValidationError(result.errors);
+  }
+  return result;
+}
+
+// Allow running as a script: node validator.js
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const result = validateConfigs(await loadAllConfigs());
+  if (result.valid) {
+    console.log('All configs are valid');
+    for (const [workflowId, inputs] of Object.entries(result.requiredInputs)) {
+      console.log(`- ${workflowId} inputs: ${inputs.join(', ') || '(none)'}`);
+    }
+  } else {
+    console.error(new ConfigValidationError(result.errors).message);
+    process.exitCode = 1;
+  }
+}
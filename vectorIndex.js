@@ -0,0 +1,84 @@
+/**
+ * Vector Index
+ *
+ * Top-k similarity search over embedding vectors. Memory uses an index
+ * through this interface, so a different implementation (an approximate
+ * nearest-neighbour library or an external vector store) can be passed in:
+ * - add(id, vector): insert or replace a vector
+ * - remove(id): delete a vector
+ * - clear(): delete every vector
+ * - has(id): whether a vector is stored for the id
+ * - search(queryVector, k): the k most similar entries as [{ id, score }], best first
+ * - size: number of stored vectors
+ */
+
+/**
+ * Calculate cosine similarity between two vectors
+ * @param {Array<number>} vec1 - First vector
+ * @param {Array<number>} vec2 - Second vector
+ * @returns {number} - Similarity score (-1 to 1, 0 when undefined)
+ */
+export function cosineSimilarity(vec1, vec2) {
+  if (!vec1 || !vec2 || vec1.length !== vec2.length) return 0;
+
+  let dotProduct = 0;
+  let mag1 = 0;
+  let mag2 = 0;
+
+  for (let i = 0; i < vec1.length; i++) {
+    dotProduct += vec1[i] * vec2[i];
+    mag1 += vec1[i] * vec1[i];
+    mag2 += vec2[i] * vec2[i];
+  }
+
+  if (mag1 === 0 || mag2 === 0) return 0;
+  return dotProduct / (Math.sqrt(mag1) * Math.sqrt(mag2));
+}
+
+/**
+ * Brute-force in-memory vector index. Scores every stored vector on each
+ * search, which is fast enough for conversation-sized collections.
+ */
+export class InMemoryVectorIndex {
+  constructor() {
+    this.vectors = new Map();
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+
+  add(id, vector) {
+    this.vectors.set(id, vector);
+  }
+
+  remove(id) {
+    return this.vectors.delete(id);
+  }
+
+  clear() {
+    this.vectors.clear();
+  }
+
+  has(id) {
+    return this.vectors.has(id);
+  }
+
+  /**
+   * Find the most similar vectors
+   * @param {Array<number>} queryVector - Query embedding
+   * @param {number} k - Number of results (default: all)
+   * @returns {Array<Object>} - [{ id, score }] sorted by descending score
+   */
+  search(queryVector, k = this.vectors.size) {
+    const results = [];
+    for (const [id, vector] of this.vectors) {
+      results.push({ id, score: cosineSimilarity(queryVector, vector) });
+    }
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
+
+export default InMemoryVectorIndex;
@@ -0,0 +1,348 @@
+/**
+ * Workflow Runner
+ *
+ * Executes the workflows defined in config/workflows.json:
+ * - Instantiates each named agent from config/agents.json with its skills and tools
+ * - Runs every task's steps from config/tasks.json in order, substituting {placeholders}
+ * - Runs independent async tasks concurrently and joins them before dependent tasks
+ * - Passes each step's output to the next step and each task's output to its dependents
+ * - Asks for JSON validated against a task's output_schema in its last step, when it has one
+ * - Returns the output of the final steps (those nothing depends on) in the workflow's output_format
+ *
+ * Configs are validated (see validator.js) before a workflow starts.
+ */
+
+import { Agent } from './agent.js';
+import { loadAllConfigs } from './loader.js';
+import { createTools } from './tools/index.js';
+import { assertValidConfigs } from './validator.js';
+import { buildWorkflowGraph, ancestorsOf, sinksOf } from './workflowGraph.js';
+
+/**
+ * Replace {placeholders} in a template with values
+ * @param {string} template - Text containing {name} placeholders
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Substituted text
+ */
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(`Missing value for placeholder {${name}} in "${template}"`);
+    }
+    return String(values[name]);
+  });
+}
+
+/**
+ * Format a task output according to a workflow output_format
+ * @param {string} output - Raw model output
+ * @param {string} format - 'markdown', 'json' or 'text'
+ * @returns {string|Object} - Formatted output
+ */
+export function formatOutput(output, format = 'markdown') {
+  const trimmed = output.trim();
+  // Models often wrap the whole answer in a code fence
+  const fenced = trimmed.match(/^```(\w+)?\s*\n([\s\S]*?)\n```$/);
+  const unwrapped = fenced ? fenced[2].trim() : trimmed;
+
+  switch (format) {
+    case 'json':
+      try {
+        return JSON.parse(unwrapped);
+      } catch (error) {
+        throw new Error(`Workflow output is not valid JSON: ${error.message}`);
+      }
+    case 'text':
+      return unwrapped;
+    case 'markdown':
+      return fenced && ['markdown', 'md', undefined].includes(fenced[1]) ? unwrapped : trimmed;
+    default:
+      throw new Error(`Unsupported output format "${format}"`);
+  }
+}
+
+export class WorkflowRunner {
+  /**
+   * Create a new workflow runner
+   * @param {Object} configs - { tasks, agents, workflows } as returned by loadAllConfigs
+   * @param {Object} options - Configuration options
+   * @param {Object} options.agentOptions - Options passed to every Agent (provider, model, useMongoDb, ...)
+   * @param {Object} options.toolOptions - Per-tool options keyed by tool name (e.g. { SearxngSearchTool: { baseUrl } })
+   * @param {number} options.concurrency - Maximum number of tasks running at once (default: 3)
+   */
+  constructor(configs, options = {}) {
+    this.configs = configs;
+    this.tasks = configs.tasks.tasks;
+    this.agents = configs.agents.agents;
+    this.workflows = configs.workflows.workflows;
+    this.agentOptions = options.agentOptions || {};
+    this.toolOptions = options.toolOptions || {};
+    this.concurrency = options.concurrency || 3;
+  }
+
+  /**
+   * Create a runner from the files in config/
+   * @param {Object} options - Same options as the constructor
+   * @returns {Promise<WorkflowRunner>}
+   */
+  static async fromConfigFiles(options = {}) {
+    return new WorkflowRunner(await loadAllConfigs(), options);
+  }
+
+  /**
+   * Instantiate an agent from its config
+   * @param {string} agentName - Key in agents.json
+   * @param {string} sessionId - Session id for the agent's memory
+   * @returns {Agent}
+   * @private
+   */
+  _createAgent(agentName, sessionId) {
+    const agentConfig = this.agents[agentName];
+    if (!agentConfig) {
+      throw new Error(`Unknown agent "${agentName}"`);
+    }
+
+    const skills = agentConfig.skills || [];
+    const systemInstruction = [
+      `You are the ${agentName} agent. ${agentConfig.description || ''}`.trim(),
+      skills.length > 0 ? `Your skills: ${skills.join(', ')}.` : '',
+      'Complete each step you are given thoroughly and build on the results of earlier steps.'
+    ].filter(Boolean).join('\n');
+
+    return new Agent(sessionId, {
+      ...this.agentOptions,
+      systemInstruction,
+      tools: createTools(agentConfig.tools || [], this.toolOptions)
+    });
+  }
+
+  /**
+   * Send a prompt to an agent and collect the full streamed reply
+   * @param {Agent} agent - The agent
+   * @param {string} prompt - The prompt
+   * @returns {Promise<string>} - Full reply text
+   * @private
+   */
+  async _ask(agent, prompt) {
+    const responseStream = await agent.analyzeStream(prompt);
+    let reply = '';
+    for await (const chunk of responseStream) {
+      if (chunk.text) reply += chunk.text;
+    }
+    return reply;
+  }
+
+  /**
+   * Run a single task with an agent
+   * @param {string} taskId - Key in tasks.json
+   * @param {Agent} agent - Agent executing the task
+   * @param {Object} values - Placeholder values (inputs plus previous outputs)
+   * @param {string} outputFormat - Workflow output format
+   * @param {boolean} isFinalTask - Whether this task produces the workflow output
+   * @returns {Promise<Object>} - { task, steps: [{ prompt, output }], output, data? }
+   * @private
+   */
+  async _runTask(taskId, agent, values, outputFormat, isFinalTask) {
+    const task = this.tasks[taskId];
+    const steps = task.steps && task.steps.length > 0 ? task.steps : [task.description];
+    const results = [];
+    let previousOutput = values.previous_output;
+    let data;
+
+    for (let i = 0; i < steps.length; i++) {
+      const stepValues = { ...values, previous_output: previousOutput };
+      const lines = [];
+
+      if (i === 0) {
+        lines.push(`Task: ${fillTemplate(task.description, stepValues)}`);
+        if (task.expected_output) lines.push(`Expected output: ${task.expected_output}`);
+        if (previousOutput) lines.push(`Results from the previous task:\n${previousOutput}`);
+      } else {
+        lines.push(`Result of the previous step:\n${previousOutput}`);
+      }
+
+      lines.push(`Step ${i + 1} of ${steps.length}: ${fillTemplate(steps[i], stepValues)}`);
+
+      const isLastStep = i === steps.length - 1;
+      if (isFinalTask && isLastStep && !task.output_schema) {
+        lines.push(`Respond with the final result only, formatted as ${outputFormat}.`);
+      }
+
+      const prompt = lines.join('\n\n');
+      console.log(`[${taskId}] Running step ${i + 1}/${steps.length}`);
+      let output;
+      if (isLastStep && task.output_schema) {
+        // Dependents and placeholders receive the validated result as JSON text
+        data = await agent.analyzeStructured(prompt, task.output_schema);
+        output = JSON.stringify(data, null, 2);
+      } else {
+        output = await this._ask(agent, prompt);
+      }
+
+      results.push({ prompt, output });
+      previousOutput = output;
+    }
+
+    return { task: taskId, steps: results, output: previousOutput, ...(data !== undefined && { data }) };
+  }
+
+  /**
+   * Run a workflow. Steps run as a dependency graph (see workflowGraph.js):
+   * async steps run concurrently up to the concurrency limit, synchronous steps
+   * run one at a time, and every step waits for the steps it depends on.
+   * A failed step skips its dependents but doesn't stop independent branches.
+   * The output combines every final step (one nothing depends on); with several,
+   * json output is keyed by step id and other formats get one section per step.
+   * @param {string} workflowId - Key in workflows.json
+   * @param {Object} inputs - Values for {placeholders} (e.g. { item1, item2, goal })
+   * @returns {Promise<Object>} - { workflow, format, status, output, tasks, errors }
+   */
+  async run(workflowId, inputs = {}) {
+    const workflow = this.workflows[workflowId];
+    if (!workflow) {
+      throw new Error(`Unknown workflow "${workflowId}"`);
+    }
+
+    // Fail before running anything if the workflow's configs have problems
+    assertValidConfigs(this.configs, { workflowId, inputs });
+
+    const outputFormat = workflow.output_format || 'markdown';
+    const concurrency = workflow.concurrency || this.concurrency;
+    const runId = `workflow_${workflowId}_${Date.now()}`;
+    const { nodes } = buildWorkflowGraph(workflow, this.tasks, this.agents);
+    const finalNodes = sinksOf(nodes);
+    const agentInstances = new Map();
+    const states = new Map(); // step id -> { status, output, steps, error }
+    const running = new Map(); // step id -> promise
+    let syncRunning = false;
+
+    console.log(`Starting workflow ${workflowId} (${nodes.length} steps, concurrency ${concurrency})`);
+
+    const startNode = (node) => {
+      // Async steps get their own agent so concurrent tasks don't share memory;
+      // synchronous steps share one agent per name and keep its memory across tasks
+      const agentKey = node.async ? `${node.agent}_${node.id}` : node.agent;
+      if (!agentInstances.has(agentKey)) {
+        agentInstances.set(agentKey, this._createAgent(node.agent, `${runId}_${agentKey}`));
+      }
+
+      const values = { ...inputs };
+      for (const ancestor of ancestorsOf(nodes, node.id)) {
+        const ancestorNode = nodes.find(candidate => candidate.id === ancestor);
+        values[`${ancestor}_output`] = states.get(ancestor).output;
+        values[`${ancestorNode.task}_output`] = states.get(ancestor).output;
+      }
+      if (node.dependsOn.length === 1) {
+        values.previous_output = states.get(node.dependsOn[0]).output;
+      } else if (node.dependsOn.length > 1) {
+        values.previous_output = node.dependsOn
+          .map(dependency => `### ${dependency}\n${states.get(dependency).output}`)
+          .join('\n\n');
+      }
+
+      if (!node.async) syncRunning = true;
+      const promise = this._runTask(node.task, agentInstances.get(agentKey), values, outputFormat, finalNodes.includes(node))
+        .then(result => {
+          states.set(node.id, { status: 'completed', output: result.output, data: result.data, steps: result.steps });
+        })
+        .catch(error => {
+          console.error(`[${node.task}] Step "${node.id}" failed:`, error.message);
+          states.set(node.id, { status: 'failed', error: error.message });
+        })
+        .finally(() => {
+          if (!node.async) syncRunning = false;
+          running.delete(node.id);
+        });
+      running.set(node.id, promise);
+    };
+
+    while (true) {
+      // Skip steps whose dependencies can no longer complete
+      let skippedAny = true;
+      while (skippedAny) {
+        skippedAny = false;
+        for (const node of nodes) {
+          if (states.has(node.id) || running.has(node.id)) continue;
+          const blocked = node.dependsOn.find(dependency => ['failed', 'skipped'].includes(states.get(dependency)?.status));
+          if (blocked) {
+            states.set(node.id, { status: 'skipped', error: `Dependency "${blocked}" did not complete` });
+            skippedAny = true;
+          }
+        }
+      }
+
+      const ready = nodes.filter(node =>
+        !states.has(node.id) &&
+        !running.has(node.id) &&
+        node.dependsOn.every(dependency => states.get(dependency)?.status === 'completed')
+      );
+
+      for (const node of ready) {
+        if (running.size >= concurrency) break;
+        if (!node.async && syncRunning) continue;
+        startNode(node);
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
+    }
+
+    const taskResults = nodes.map(node => ({
+      id: node.id,
+      task: node.task,
+      agent: node.agent,
+      ...states.get(node.id)
+    }));
+    const errors = taskResults
+      .filter(result => result.status !== 'completed')
+      .map(result => ({ step: result.id, task: result.task, status: result.status, message: result.error }));
+
+    // Several final steps (parallel terminal branches) are combined: keyed by
+    // step id for json, as one section per step otherwise
+    const outputs = [];
+    for (const node of finalNodes) {
+      const state = states.get(node.id);
+      if (state?.status !== 'completed') continue;
+      try {
+        outputs.push({ id: node.id, output: formatOutput(state.output, outputFormat) });
+      } catch (error) {
+        errors.push({ step: node.id, task: node.task, status: 'failed', message: error.message });
+      }
+    }
+
+    let output = null;
+    if (finalNodes.length === 1) {
+      output = outputs[0]?.output ?? null;
+    } else if (outputs.length > 0) {
+      output = outputFormat === 'json'
+        ? Object.fromEntries(outputs.map(({ id, output }) => [id, output]))
+        : outputs.map(({ id, output }) => `### ${id}\n${output}`).join('\n\n');
+    }
+
+    const status = errors.length === 0 ? 'completed' : 'failed';
+    console.log(`Workflow ${workflowId} ${status}${errors.length > 0 ? ` with ${errors.length} problem(s)` : ''}`);
+
+    return {
+      workflow: workflowId,
+      format: outputFormat,
+      status,
+      output,
+      tasks: taskResults,
+      errors
+    };
+  }
+}
+
+/**
+ * Load the config files and run a workflow
+ * @param {string} workflowId - Key in workflows.json
+ * @param {Object} inputs - Values for {placeholders}
+ * @param {Object} options - WorkflowRunner options
+ * @returns {Promise<Object>} - Workflow result
+ */
+export async function runWorkflow(workflowId, inputs = {}, options = {}) {
+  const runner = await WorkflowRunner.fromConfigFiles(options);
+  return runner.run(workflowId, inputs);
+}
+
+export default WorkflowRunner;
@@ -0,0 +1,149 @@
+/**
+ * Workflow Graph
+ *
+ * Turns a workflow's step list into a dependency graph (DAG).
+ * Each step is identified by its `id` (default: its task id) and may list
+ * explicit `depends_on` step ids. Steps without depends_on get implicit edges:
+ * - An async step (task.async_execution and agent.async_support) depends on the
+ *   last synchronous step before it, so consecutive async steps run side by side
+ * - A synchronous step depends on every step since (and including) the last
+ *   synchronous step, joining the async steps before it
+ * Without any async steps this is the original strictly linear order.
+ */
+
+/**
+ * Build the dependency graph for a workflow
+ * @param {Object} workflow - Workflow config ({ steps })
+ * @param {Object} tasks - Tasks keyed by id
+ * @param {Object} agents - Agents keyed by name
+ * @returns {Object} - { nodes: [{ id, index, task, agent, async, dependsOn }], errors: [{ path, message }] }
+ */
+export function buildWorkflowGraph(workflow, tasks = {}, agents = {}) {
+  const steps = Array.isArray(workflow?.steps) ? workflow.steps : [];
+  const errors = [];
+  const nodes = [];
+  const ids = new Set();
+
+  steps.forEach((step, index) => {
+    if (!step || typeof step !== 'object') return;
+
+    const id = step.id || step.task;
+    const task = tasks[step.task];
+    const agentName = step.agent || task?.agent;
+    const agent = agents[agentName];
+
+    if (ids.has(id)) {
+      errors.push({ path: `steps[${index}]`, message: `Duplicate step id "${id}"; give repeated tasks distinct ids` });
+    }
+    ids.add(id);
+
+    nodes.push({
+      id,
+      index,
+      task: step.task,
+      agent: agentName,
+      async: Boolean(task?.async_execution && agent?.async_support),
+      explicitDependsOn: Array.isArray(step.depends_on) ? step.depends_on : null,
+      dependsOn: []
+    });
+  });
+
+  // Resolve edges
+  let lastSync = null;
+  let sinceLastSync = [];
+  for (const node of nodes) {
+    if (node.explicitDependsOn) {
+      node.explicitDependsOn.forEach((dependency, i) => {
+        if (!ids.has(dependency)) {
+          errors.push({ path: `steps[${node.index}].depends_on[${i}]`, message: `References unknown step "${dependency}"` });
+        } else if (dependency === node.id) {
+          errors.push({ path: `steps[${node.index}].depends_on[${i}]`, message: 'A step cannot depend on itself' });
+        }
+      });
+      node.dependsOn = node.explicitDependsOn.filter(dependency => ids.has(dependency) && dependency !== node.id);
+    } else if (node.async) {
+      node.dependsOn = lastSync ? [lastSync] : [];
+    } else {
+      node.dependsOn = [...new Set([...(lastSync ? [lastSync] : []), ...sinceLastSync])];
+    }
+
+    if (node.async) {
+      sinceLastSync.push(node.id);
+    } else {
+      lastSync = node.id;
+      sinceLastSync = [];
+    }
+    delete node.explicitDependsOn;
+  }
+
+  const cycle = findCycle(nodes);
+  if (cycle) {
+    errors.push({ path: 'steps', message: `Dependency cycle: ${cycle.join(' -> ')}` });
+  }
+
+  return { nodes, errors };
+}
+
+/**
+ * Find a dependency cycle
+ * @param {Array<Object>} nodes - Graph nodes ({ id, dependsOn })
+ * @returns {Array<string>|null} - The ids forming a cycle, or null
+ */
+export function findCycle(nodes) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const trail = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') {
+      return [...trail.slice(trail.indexOf(id)), id];
+    }
+
+    state.set(id, 'visiting');
+    trail.push(id);
+    for (const dependency of byId.get(id)?.dependsOn || []) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    trail.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const node of nodes) {
+    const cycle = visit(node.id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Collect every step a node transitively depends on
+ * @param {Array<Object>} nodes - Graph nodes
+ * @param {string} id - Step id
+ * @returns {Set<string>} - Ancestor step ids
+ */
+export function ancestorsOf(nodes, id) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const ancestors = new Set();
+  const stack = [...(byId.get(id)?.dependsOn || [])];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (ancestors.has(current)) continue;
+    ancestors.add(current);
+    stack.push(...(byId.get(current)?.dependsOn || []));
+  }
+  return ancestors;
+}
+
+/**
+ * Find the steps no other step depends on. Their outputs make up the workflow output.
+ * @param {Array<Object>} nodes - Graph nodes
+ * @returns {Array<Object>} - Sink nodes, in step order
+ */
+export function sinksOf(nodes) {
+  const dependedOn = new Set(nodes.flatMap(node => node.dependsOn));
+  return nodes.filter(node => !dependedOn.has(node.id));
+}